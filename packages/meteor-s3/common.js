@@ -1,6 +1,111 @@
 import axios from "axios";
 import { clientConfigSchema } from "./schemas/config";
+import { buildObjectUrl } from "./helper/urls";
 import { check, Match } from "meteor/check";
+import { Mongo } from "meteor/mongo";
+
+// Browsers report an empty type for unknown files, but the server needs a type to sign the upload
+const getFileType = (file) => file.type || "application/octet-stream";
+
+/**
+ * Handle for a running upload, as returned by `MeteorS3Client.startUpload`.
+ * Use it to pause, resume or cancel the upload; `promise` resolves with the ID of the uploaded file.
+ * @locus client or server
+ */
+export class MeteorS3Upload {
+  constructor() {
+    this.fileId = undefined; // set as soon as the server created the file document
+    this.status = "running"; // "running", "paused", "cancelled", "done" or "error"
+    this.promise = undefined;
+    this.controllers = new Set();
+    this.waiters = [];
+  }
+
+  /**
+   * Pauses the upload by aborting all running requests.
+   * Multipart uploads keep the parts that are already uploaded, single uploads start over with a new URL on resume.
+   */
+  pause() {
+    if (this.status !== "running") return;
+    this.status = "paused";
+    this.controllers.forEach((controller) => controller.abort());
+  }
+
+  /**
+   * Resumes a paused upload.
+   */
+  resume() {
+    if (this.status !== "paused") return;
+    this.status = "running";
+    this.releaseWaiters();
+  }
+
+  /**
+   * Cancels the upload. The file document is removed on the server, and multipart uploads are aborted in S3.
+   * @returns {Promise<void>} - Resolves after the upload has been cleaned up.
+   */
+  cancel() {
+    if (this.status === "running" || this.status === "paused") {
+      this.status = "cancelled";
+      this.controllers.forEach((controller) => controller.abort());
+      this.releaseWaiters();
+    }
+    return Promise.resolve(this.promise).then(
+      () => {},
+      () => {}
+    );
+  }
+
+  /**
+   * Internal function to run a request of the upload.
+   * The request gets an abort signal; if it is aborted by `pause`, it is run again after `resume`.
+   * @param {Function} fn - Called with an `AbortSignal`, returns a promise.
+   * @returns {Promise<any>} - The result of the request.
+   * @throws {Meteor.Error} - If the upload was cancelled.
+   */
+  async run(fn) {
+    for (;;) {
+      while (this.status === "paused") {
+        await new Promise((resolve) => this.waiters.push(resolve));
+      }
+      this.throwIfCancelled();
+
+      const controller = new AbortController();
+      this.controllers.add(controller);
+      try {
+        return await fn(controller.signal);
+      } catch (error) {
+        if (this.status === "paused") continue;
+        this.throwIfCancelled();
+        throw error;
+      } finally {
+        this.controllers.delete(controller);
+      }
+    }
+  }
+
+  /**
+   * Internal function to stop the upload if it was cancelled.
+   * @throws {Meteor.Error} - If the upload was cancelled.
+   */
+  throwIfCancelled() {
+    if (this.status === "cancelled") {
+      throw new Meteor.Error(
+        "file-upload-cancelled",
+        "The upload was cancelled."
+      );
+    }
+  }
+
+  /**
+   * Internal function to continue all requests that wait for `resume`.
+   */
+  releaseWaiters() {
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach((resolve) => resolve());
+  }
+}
 
 /**
  * Meteor S3 Client
@@ -16,36 +121,125 @@ export class MeteorS3Client {
       config = { name: config, verbose: false };
     }
     // Validate the configuration against the client schema
-    clientConfigSchema.validate(config);
-    this.config = config;
+    const cleanedConfig = clientConfigSchema.clean(config);
+    clientConfigSchema.validate(cleanedConfig);
+    this.config = cleanedConfig;
 
     this.log(`Initializing MeteorS3Client for instance: ${this.config.name}`);
   }
 
+  /**
+   * The collection of file documents of this instance. On the client, it contains the documents published by
+   * `meteorS3.<name>.files` (cf. `publishFiles` and `subscribe`); on the server, it is the files collection itself.
+   * @returns {Mongo.Collection}
+   */
+  get files() {
+    const name = "meteor_s3_files_" + this.config.name;
+    if (!this.filesCollection) {
+      this.filesCollection =
+        Mongo.Collection.get(name) || new Mongo.Collection(name);
+    }
+    return this.filesCollection;
+  }
+
+  /**
+   * Subscribes to the file documents with the given IDs, so they are available in `files` on the client.
+   * Only files the user has the "download" permission for are published. Requires `publishFiles` on the server.
+   * @locus client
+   * @param {string[]} fileIds - The IDs of the files.
+   * @param {Object} [context={}] - Optional context object, can contain data for permission checks on the server side via onCheckPermissions-Hook.
+   * @param {Object} [callbacks] - Optional `onReady` and `onStop` callbacks, as for `Meteor.subscribe`.
+   * @returns {Object} - The subscription handle.
+   */
+  subscribe(fileIds, context = {}, callbacks) {
+    check(fileIds, [String]);
+    check(context, Object);
+    return Meteor.subscribe(
+      `meteorS3.${this.config.name}.files`,
+      { fileIds, context },
+      callbacks
+    );
+  }
+
   /**
    * Internal function to upload a file to a pre-signed URL with progress tracking.
+   * For pre-signed POST uploads, the form fields are sent before the file, as required by S3.
    * @param {string} url
    * @param {File} file
    * @param {Function} onProgress
+   * @param {Object} [options={}]
+   * @param {AbortSignal} [options.signal] - Signal to abort the upload.
+   * @param {String} [options.method="PUT"] - The HTTP method to use ("PUT" or "POST").
+   * @param {Object} [options.fields] - The form fields of a pre-signed POST.
    */
-  static async uploadFileWithProgress(url, file, onProgress) {
-    await axios.put(url, file, {
-      headers: { "Content-Type": file.type },
+  static async uploadFileWithProgress(
+    url,
+    file,
+    onProgress,
+    { signal, method = "PUT", fields } = {}
+  ) {
+    const options = {
+      signal,
       onUploadProgress: (event) => {
         if (onProgress && event.total) {
           const percent = Math.round((event.loaded * 100) / event.total);
           onProgress(percent);
         }
       },
+    };
+
+    if (method === "POST") {
+      const form = new FormData();
+      Object.entries(fields || {}).forEach(([name, value]) => {
+        form.append(name, value);
+      });
+      // The file has to be the last field of the form
+      form.append("file", file);
+      await axios.post(url, form, options);
+      return;
+    }
+
+    await axios.put(url, file, {
+      ...options,
+      headers: { "Content-Type": getFileType(file) },
     });
   }
   ƒ;
 
+  /**
+   * Internal function to upload a single part of a multipart upload to a pre-signed URL.
+   * @param {string} url
+   * @param {Blob} blob - The part of the file to upload.
+   * @param {Function} onProgress - Called with the number of bytes uploaded so far.
+   * @param {Object} [options={}]
+   * @param {AbortSignal} [options.signal] - Signal to abort the upload.
+   * @returns {Promise<string>} - The ETag of the uploaded part.
+   */
+  static async uploadPartWithProgress(url, blob, onProgress, { signal } = {}) {
+    const res = await axios.put(url, blob, {
+      signal,
+      onUploadProgress: (event) => {
+        if (onProgress) {
+          onProgress(event.loaded);
+        }
+      },
+    });
+    const etag = res.headers?.etag;
+    if (!etag) {
+      throw new Meteor.Error(
+        "file-upload-failed",
+        "Missing ETag for uploaded part. Make sure the bucket exposes the ETag header via CORS."
+      );
+    }
+    return etag;
+  }
+
   /**
    * Uploads a file to S3.
    *
    * Internally, this method calls `getUploadUrl` to obtain a pre-signed URL for uploading the file.
    * After the upload is complete, it calls the server method to handle the post file upload event.
+   * Use `startUpload` instead, if you need to pause or cancel the upload.
    * @param {File} file - The file to upload.
    * @param {Object} [meta={}] - Optional metadata to associate with the file.
    * @param {Function} [onProgress] - Optional callback to track upload progress.
@@ -54,22 +248,230 @@ export class MeteorS3Client {
    * @throws {Meteor.Error} - If the upload fails.
    */
   async uploadFile(file, meta = {}, onProgress, context = {}) {
+    return await this.startUpload(file, meta, onProgress, context).promise;
+  }
+
+  /**
+   * Uploads several files to S3 with limited concurrency.
+   *
+   * The files are uploaded in chunks of `uploadConcurrency` files. Right before a chunk starts, the pre-signed URLs
+   * for all its files are requested with a single method call, so URLs do not expire while files wait for their turn.
+   * Files at or above `multipartThreshold` are uploaded via multipart uploads, just like with `uploadFile`.
+   * If an upload fails, the failed upload and the uploads still running are cancelled and the remaining files
+   * are skipped, so no pending file documents are left behind.
+   * @param {File[]} files - The files to upload.
+   * @param {Object} [meta={}] - Optional metadata to associate with each file.
+   * @param {Function} [onProgress] - Optional callback to track upload progress. It is called with the overall progress
+   * in percent (weighted by file size) and an array with the progress of each file in percent.
+   * @param {Object} [context={}] - Optional context object, can contain data for permission checks on the server side via onCheckPermissions-Hook.
+   * @returns {Promise<string[]>} - The IDs of the uploaded files, in the same order as the files.
+   * @throws {Meteor.Error} - If any of the uploads fails.
+   */
+  async uploadFiles(files, meta = {}, onProgress, context = {}) {
+    check(files, [File]);
+    check(meta, Object);
+    check(context, Object);
+    check(onProgress, Match.Maybe(Function));
+    this.log(`Uploading ${files.length} files`);
+
+    const progress = files.map(() => 0);
+    const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+    const reportProgress = () => {
+      if (onProgress) {
+        const overall = totalSize
+          ? files.reduce(
+              (sum, file, i) => sum + (file.size * progress[i]) / totalSize,
+              0
+            )
+          : progress.reduce((sum, percent) => sum + percent, 0) / files.length;
+        onProgress(Math.round(overall), [...progress]);
+      }
+    };
+
+    const fileIds = [];
+    reportProgress();
+    for (
+      let start = 0;
+      start < files.length;
+      start += this.config.uploadConcurrency
+    ) {
+      const chunk = files
+        .slice(start, start + this.config.uploadConcurrency)
+        .map((file, i) => ({ file, index: start + i }));
+
+      // All files of the chunk below the multipart threshold share a single method call for their upload URLs
+      const singleUploads = chunk.filter(
+        ({ file }) => file.size < this.config.multipartThreshold
+      );
+      const requests = singleUploads.length
+        ? await Meteor.callAsync(`meteorS3.${this.config.name}.getUploadUrls`, {
+            files: singleUploads.map(({ file }) => ({
+              name: file.name,
+              size: file.size,
+              type: getFileType(file),
+              meta,
+            })),
+            context,
+          })
+        : [];
+      const requestsByIndex = new Map(
+        singleUploads.map(({ index }, i) => [index, requests[i]])
+      );
+
+      const uploads = chunk.map(({ file, index }) =>
+        this.launchUpload(
+          file,
+          meta,
+          (percent) => {
+            progress[index] = percent;
+            reportProgress();
+          },
+          context,
+          requestsByIndex.get(index)
+        )
+      );
+
+      let failure;
+      await Promise.all(
+        uploads.map(async (upload, i) => {
+          const { index } = chunk[i];
+          try {
+            fileIds[index] = await upload.promise;
+          } catch (error) {
+            if (upload.status === "error") {
+              // Cancelled uploads clean up after themselves, failed ones do not
+              await this.cleanupCancelledUpload(upload, context);
+            }
+            if (!failure) {
+              failure = { error };
+              await Promise.all(uploads.map((other) => other.cancel()));
+            }
+            return;
+          }
+          progress[index] = 100;
+          reportProgress();
+        })
+      );
+      if (failure) {
+        throw failure.error;
+      }
+    }
+
+    this.log(`Uploaded ${fileIds.length} files`);
+    return fileIds;
+  }
+
+  /**
+   * Starts uploading a file to S3 and returns a handle to control the upload.
+   *
+   * The handle offers `pause()`, `resume()` and `cancel()`; its `promise` resolves with the ID of the uploaded file,
+   * or rejects with a `file-upload-cancelled` error if the upload was cancelled.
+   * @param {File} file - The file to upload.
+   * @param {Object} [meta={}] - Optional metadata to associate with the file.
+   * @param {Function} [onProgress] - Optional callback to track upload progress.
+   * @param {Object} [context={}] - Optional context object, can contain data for permission checks on the server side via onCheckPermissions-Hook.
+   * @returns {MeteorS3Upload} - The handle of the upload.
+   */
+  startUpload(file, meta = {}, onProgress, context = {}) {
     check(file, File);
     check(meta, Object);
     check(context, Object);
     check(onProgress, Match.Maybe(Function));
+    return this.launchUpload(file, meta, onProgress, context);
+  }
+
+  /**
+   * Internal function to start an upload and create its handle, cf. `startUpload`.
+   * @param {File} file - The file to upload.
+   * @param {Object} meta - Metadata to associate with the file.
+   * @param {Function} [onProgress] - Optional callback to track upload progress.
+   * @param {Object} context - Context object for permission checks.
+   * @param {Object} [request] - The pre-signed request from `getUploadUrls`, if the URL was requested already.
+   * @returns {MeteorS3Upload} - The handle of the upload.
+   */
+  launchUpload(file, meta, onProgress, context, request) {
     this.log(`Uploading file: ${file.name} (${file.size} bytes)`);
 
-    const { url, fileId } = await Meteor.callAsync(
-      `meteorS3.${this.config.name}.getUploadUrl`,
-      { name: file.name, size: file.size, type: file.type, meta, context }
-    );
+    const upload = new MeteorS3Upload();
+    upload.promise = this.runUpload(
+      upload,
+      file,
+      meta,
+      onProgress,
+      context,
+      request
+    )
+      .then((fileId) => {
+        upload.status = "done";
+        return fileId;
+      })
+      .catch(async (error) => {
+        if (upload.status !== "cancelled") {
+          upload.status = "error";
+          throw error;
+        }
+        await this.cleanupCancelledUpload(upload, context);
+        throw new Meteor.Error(
+          "file-upload-cancelled",
+          "The upload was cancelled."
+        );
+      });
+    return upload;
+  }
+
+  /**
+   * Internal function to run an upload started by `startUpload`.
+   * @param {MeteorS3Upload} upload - The handle of the upload.
+   * @param {File} file - The file to upload.
+   * @param {Object} meta - Metadata to associate with the file.
+   * @param {Function} [onProgress] - Optional callback to track upload progress.
+   * @param {Object} context - Context object for permission checks.
+   * @param {Object} [presigned] - The pre-signed request from `getUploadUrls`, if the URL was requested already.
+   * @returns {Promise<string>} - The ID of the uploaded file.
+   */
+  async runUpload(upload, file, meta, onProgress, context, presigned) {
+    if (file.size >= this.config.multipartThreshold) {
+      return await this.uploadMultipart(
+        file,
+        meta,
+        onProgress,
+        context,
+        upload
+      );
+    }
+
+    let request =
+      presigned ??
+      (await Meteor.callAsync(`meteorS3.${this.config.name}.getUploadUrl`, {
+        name: file.name,
+        size: file.size,
+        type: getFileType(file),
+        meta,
+        context,
+      }));
+    const { fileId } = request;
+    upload.fileId = fileId;
 
     this.log(
-      `Start uploading file to S3: ${file.name} (${file.size} bytes) using URL: ${url}`
+      `Start uploading file to S3: ${file.name} (${file.size} bytes) using URL: ${request.url}`
     );
 
-    await MeteorS3Client.uploadFileWithProgress(url, file, onProgress);
+    let attempts = 0;
+    await upload.run(async (signal) => {
+      // A paused upload starts over after resume, when its URL may have expired already
+      if (attempts++ > 0) {
+        request = await Meteor.callAsync(
+          `meteorS3.${this.config.name}.renewUploadUrl`,
+          { fileId, context }
+        );
+      }
+      return await MeteorS3Client.uploadFileWithProgress(
+        request.url,
+        file,
+        onProgress,
+        { signal, method: request.method, fields: request.fields }
+      );
+    });
 
     this.log(`File uploaded successfully: ${file.name} with ID: ${fileId}`);
     // This is now done by the lambda function
@@ -83,28 +485,696 @@ export class MeteorS3Client {
     return fileId;
   }
 
+  /**
+   * Internal function to tell the server about a cancelled upload, so the file document is removed
+   * and multipart uploads are aborted.
+   * @param {MeteorS3Upload} upload - The handle of the cancelled upload.
+   * @param {Object} context - Context object for permission checks.
+   * @returns {Promise<void>}
+   */
+  async cleanupCancelledUpload(upload, context) {
+    if (!upload.fileId) {
+      return;
+    }
+    this.removeResumeToken(upload.fileId);
+    try {
+      await Meteor.callAsync(`meteorS3.${this.config.name}.cancelUpload`, {
+        fileId: upload.fileId,
+        context,
+      });
+      this.log(`Upload cancelled: ${upload.fileId}`);
+    } catch (error) {
+      this.log(`Failed to cancel upload on the server: ${error.message}`);
+    }
+  }
+
+  /**
+   * Uploads a file to S3 in multiple parts.
+   *
+   * This is used by `uploadFile` for files larger than `multipartThreshold`. The file is split into parts,
+   * which are uploaded in parallel (cf. `multipartConcurrency`); failed parts are retried (cf. `partRetries`).
+   * If the upload fails, it can be continued via `resumeUpload` (cf. `resumable`); otherwise, the multipart upload
+   * is aborted on the server.
+   * @param {File} file - The file to upload.
+   * @param {Object} [meta={}] - Optional metadata to associate with the file.
+   * @param {Function} [onProgress] - Optional callback to track upload progress.
+   * @param {Object} [context={}] - Optional context object, can contain data for permission checks on the server side via onCheckPermissions-Hook.
+   * @param {MeteorS3Upload} [upload] - Optional handle to pause or cancel the upload.
+   * @returns {Promise<string>} - The ID of the uploaded file.
+   * @throws {Meteor.Error} - If the upload fails.
+   */
+  async uploadMultipart(
+    file,
+    meta = {},
+    onProgress,
+    context = {},
+    upload = new MeteorS3Upload()
+  ) {
+    const { fileId, partSize, partCount } = await Meteor.callAsync(
+      `meteorS3.${this.config.name}.createMultipartUpload`,
+      { name: file.name, size: file.size, type: file.type, meta, context }
+    );
+    upload.fileId = fileId;
+
+    this.log(
+      `Start multipart upload of file: ${file.name} (${partCount} parts) with ID: ${fileId}`
+    );
+
+    this.saveResumeToken({
+      fileId,
+      name: file.name,
+      size: file.size,
+      type: file.type,
+      lastModified: file.lastModified,
+    });
+
+    try {
+      const parts = await this.uploadParts(
+        fileId,
+        file,
+        { partSize, partCount },
+        onProgress,
+        context,
+        upload
+      );
+      upload.throwIfCancelled();
+      await Meteor.callAsync(
+        `meteorS3.${this.config.name}.completeMultipartUpload`,
+        { fileId, parts, context }
+      );
+    } catch (error) {
+      // Keep resumable uploads, so they can be continued via resumeUpload; cancelled uploads are cleaned up by startUpload
+      if (!this.isResumable() && upload.status !== "cancelled") {
+        await Meteor.callAsync(
+          `meteorS3.${this.config.name}.abortMultipartUpload`,
+          { fileId, context }
+        ).catch((abortError) => {
+          this.log(`Failed to abort multipart upload: ${abortError.message}`);
+        });
+      }
+      throw error;
+    }
+
+    this.removeResumeToken(fileId);
+    this.log(`File uploaded successfully: ${file.name} with ID: ${fileId}`);
+    return fileId;
+  }
+
+  /**
+   * Resumes an interrupted multipart upload, e.g. after a page reload.
+   *
+   * The server reports which parts are already stored in S3, so only the missing parts are uploaded.
+   * You need to pass the same file again, for instance after the user selected it once more; use `findResumeToken`
+   * to check if there is an interrupted upload for a file.
+   * @param {string} fileId - The ID of the file whose upload was interrupted.
+   * @param {File} file - The file to upload.
+   * @param {Function} [onProgress] - Optional callback to track upload progress.
+   * @param {Object} [context={}] - Optional context object, can contain data for permission checks on the server side via onCheckPermissions-Hook.
+   * @returns {Promise<string>} - The ID of the uploaded file.
+   * @throws {Meteor.Error} - If the upload can not be resumed or if the upload fails.
+   */
+  async resumeUpload(fileId, file, onProgress, context = {}) {
+    check(fileId, String);
+    check(file, File);
+    check(context, Object);
+    check(onProgress, Match.Maybe(Function));
+
+    let layout;
+    try {
+      layout = await Meteor.callAsync(
+        `meteorS3.${this.config.name}.listUploadedParts`,
+        { fileId, context }
+      );
+    } catch (error) {
+      // The upload was completed, aborted or removed in the meantime
+      this.removeResumeToken(fileId);
+      throw error;
+    }
+
+    if (layout.size !== file.size) {
+      throw new Meteor.Error(
+        "file-resume-failed",
+        "The file does not match the interrupted upload."
+      );
+    }
+
+    this.log(
+      `Resuming upload of file: ${file.name} (${layout.parts.length} of ${layout.partCount} parts already uploaded)`
+    );
+
+    const parts = await this.uploadParts(
+      fileId,
+      file,
+      {
+        partSize: layout.partSize,
+        partCount: layout.partCount,
+        uploadedParts: layout.parts,
+      },
+      onProgress,
+      context
+    );
+    await Meteor.callAsync(
+      `meteorS3.${this.config.name}.completeMultipartUpload`,
+      { fileId, parts, context }
+    );
+
+    this.removeResumeToken(fileId);
+    this.log(`File uploaded successfully: ${file.name} with ID: ${fileId}`);
+    return fileId;
+  }
+
+  /**
+   * Gets the resume tokens of all interrupted multipart uploads of this instance.
+   * Tokens are persisted in the browser's localStorage, if `resumable` is enabled.
+   * @returns {Object[]} - The resume tokens as `{ fileId, name, size, type, lastModified }` objects.
+   */
+  getResumeTokens() {
+    if (!this.isResumable()) {
+      return [];
+    }
+    try {
+      return Object.values(
+        JSON.parse(localStorage.getItem(this.resumeStorageKey()) || "{}")
+      );
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * Finds the resume token of an interrupted upload for the given file.
+   * @param {File} file - The file to check.
+   * @returns {Object|undefined} - The resume token, if there is an interrupted upload for this file.
+   */
+  findResumeToken(file) {
+    return this.getResumeTokens().find(
+      (token) =>
+        token.name === file.name &&
+        token.size === file.size &&
+        token.lastModified === file.lastModified
+    );
+  }
+
+  /**
+   * Internal function to persist a resume token.
+   * @param {Object} token - The resume token.
+   */
+  saveResumeToken(token) {
+    this.updateResumeTokens((tokens) => {
+      tokens[token.fileId] = token;
+    });
+  }
+
+  /**
+   * Internal function to remove a persisted resume token.
+   * @param {string} fileId - The ID of the file the token belongs to.
+   */
+  removeResumeToken(fileId) {
+    this.updateResumeTokens((tokens) => {
+      delete tokens[fileId];
+    });
+  }
+
+  /**
+   * Internal function to update the persisted resume tokens.
+   * @param {Function} fn - Called with the tokens by file ID, may modify them.
+   */
+  updateResumeTokens(fn) {
+    if (!this.isResumable()) {
+      return;
+    }
+    try {
+      const key = this.resumeStorageKey();
+      const tokens = JSON.parse(localStorage.getItem(key) || "{}");
+      fn(tokens);
+      localStorage.setItem(key, JSON.stringify(tokens));
+    } catch (error) {
+      this.log(`Failed to persist resume token: ${error.message}`);
+    }
+  }
+
+  /**
+   * Internal function to get the localStorage key for the resume tokens of this instance.
+   * @returns {string}
+   */
+  resumeStorageKey() {
+    return `meteorS3.${this.config.name}.uploads`;
+  }
+
+  /**
+   * Checks if interrupted uploads can be resumed, i.e. if `resumable` is enabled and localStorage is available.
+   * @returns {boolean}
+   */
+  isResumable() {
+    return (
+      this.config.resumable &&
+      Meteor.isClient &&
+      typeof localStorage !== "undefined"
+    );
+  }
+
+  /**
+   * Internal function to upload the parts of a multipart upload with limited concurrency.
+   * @param {string} fileId - The ID of the file that is uploaded.
+   * @param {File} file - The file to upload.
+   * @param {Object} layout - The part layout returned by the server.
+   * @param {number} layout.partSize - The size of each part in bytes.
+   * @param {number} layout.partCount - The number of parts.
+   * @param {Object[]} [layout.uploadedParts=[]] - Parts that are already uploaded, as `{ PartNumber, ETag, Size }` objects.
+   * @param {Function} [onProgress] - Optional callback to track upload progress.
+   * @param {Object} [context={}] - Optional context object for permission checks.
+   * @param {MeteorS3Upload} [upload] - Optional handle to pause or cancel the upload.
+   * @returns {Promise<Object[]>} - The uploaded parts as `{ PartNumber, ETag }` objects.
+   */
+  async uploadParts(
+    fileId,
+    file,
+    { partSize, partCount, uploadedParts = [] },
+    onProgress,
+    context,
+    upload = new MeteorS3Upload()
+  ) {
+    const loaded = {};
+    const parts = uploadedParts.map(({ PartNumber, ETag, Size }) => {
+      loaded[PartNumber] = Size;
+      return { PartNumber, ETag };
+    });
+    const queue = Array.from({ length: partCount }, (_, i) => i + 1).filter(
+      (partNumber) => loaded[partNumber] === undefined
+    );
+
+    const reportProgress = () => {
+      if (onProgress && file.size) {
+        const total = Object.values(loaded).reduce((sum, n) => sum + n, 0);
+        onProgress(Math.round((total * 100) / file.size));
+      }
+    };
+
+    const uploadPart = async (partNumber) => {
+      const blob = file.slice(
+        (partNumber - 1) * partSize,
+        Math.min(partNumber * partSize, file.size)
+      );
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const etag = await upload.run(async (signal) => {
+            loaded[partNumber] = 0;
+            const [{ url }] = await Meteor.callAsync(
+              `meteorS3.${this.config.name}.getUploadPartUrls`,
+              { fileId, partNumbers: [partNumber], context }
+            );
+            return MeteorS3Client.uploadPartWithProgress(
+              url,
+              blob,
+              (bytes) => {
+                loaded[partNumber] = bytes;
+                reportProgress();
+              },
+              { signal }
+            );
+          });
+          loaded[partNumber] = blob.size;
+          reportProgress();
+          return { PartNumber: partNumber, ETag: etag };
+        } catch (error) {
+          loaded[partNumber] = 0;
+          if (
+            upload.status === "cancelled" ||
+            attempt >= this.config.partRetries
+          ) {
+            throw error;
+          }
+          this.log(
+            `Upload of part ${partNumber} failed, retrying: ${error.message}`
+          );
+          await new Promise((resolve) =>
+            setTimeout(resolve, 1000 * Math.min(attempt + 1, 5))
+          );
+        }
+      }
+    };
+
+    const worker = async () => {
+      while (queue.length) {
+        parts.push(await uploadPart(queue.shift()));
+      }
+    };
+
+    reportProgress();
+    await Promise.all(
+      Array.from(
+        { length: Math.min(this.config.multipartConcurrency, queue.length) },
+        worker
+      )
+    );
+
+    return parts.sort((a, b) => a.PartNumber - b.PartNumber);
+  }
+
   /**
    * Gets the pre-signed URL for downloading a file from S3.
    * @param {string} fileId - The ID of the file to download.
    * @param {Object} [context={}] - Optional context object, can contain data for permission checks on the server side via onCheckPermissions-Hook.
+   * @param {Object} [options={}] - Optional response options.
+   * @param {string} [options.disposition="inline"] - "inline" to display the file in the browser, "attachment" to save it.
+   * @param {string} [options.filename] - The filename the browser should use. Defaults to the original filename.
+   * @param {string} [options.cacheControl] - Overrides the Cache-Control header of the response.
+   * @param {string} [options.contentType] - Overrides the Content-Type header of the response.
+   * @param {number} [options.expiresIn] - Expiration time of the URL in seconds, bounded by the server.
+   * @param {string} [options.versionId] - Download a previous version of the file (cf. `listVersions`).
    * @returns {Promise<string>} - The pre-signed URL for downloading the file.
    * @throws {Meteor.Error} - If the download URL cannot be obtained.
    */
-  async getDownloadUrl(fileId, context = {}) {
+  async getDownloadUrl(fileId, context = {}, options = {}) {
     check(fileId, String);
     check(context, Object);
+    check(options, {
+      disposition: Match.Maybe(Match.OneOf("inline", "attachment")),
+      filename: Match.Maybe(String),
+      cacheControl: Match.Maybe(String),
+      contentType: Match.Maybe(String),
+      expiresIn: Match.Maybe(Match.Integer),
+      versionId: Match.Maybe(String),
+    });
     this.log(`Getting download URL for file ID: ${fileId}`);
     return await Meteor.callAsync(
       `meteorS3.${this.config.name}.getDownloadUrl`,
-      { fileId, context }
+      { fileId, context, ...options }
     );
   }
 
+  /**
+   * Replaces the content of a file, while keeping its ID.
+   * The new content is uploaded in a single request to a new key; the server switches the file to the new key
+   * once the upload is confirmed and deletes the old content.
+   * @param {string} fileId - The ID of the file.
+   * @param {File} file - The new content.
+   * @param {Function} [onProgress] - Optional callback to track upload progress.
+   * @param {Object} [context={}] - Optional context object, can contain data for permission checks on the server side via onCheckPermissions-Hook.
+   * @returns {Promise<string>} - The ID of the file.
+   * @throws {Meteor.Error} - If the upload fails.
+   */
+  async replaceFile(fileId, file, onProgress, context = {}) {
+    check(fileId, String);
+    check(file, File);
+    check(onProgress, Match.Maybe(Function));
+    check(context, Object);
+    this.log(`Replacing file ${fileId} with: ${file.name}`);
+
+    const { url, method, fields } = await Meteor.callAsync(
+      `meteorS3.${this.config.name}.getReplaceUploadUrl`,
+      {
+        fileId,
+        name: file.name,
+        size: file.size,
+        type: getFileType(file),
+        context,
+      }
+    );
+    await MeteorS3Client.uploadFileWithProgress(url, file, onProgress, {
+      method,
+      fields,
+    });
+
+    this.log(`File replaced successfully: ${fileId}`);
+    return fileId;
+  }
+
+  /**
+   * Uploads a new version of a file. Requires `versioning` on the server.
+   * The new version is uploaded in a single request and becomes the current version once the server confirmed the upload.
+   * @param {string} fileId - The ID of the file.
+   * @param {File} file - The new version.
+   * @param {Function} [onProgress] - Optional callback to track upload progress.
+   * @param {Object} [context={}] - Optional context object, can contain data for permission checks on the server side via onCheckPermissions-Hook.
+   * @returns {Promise<string>} - The ID of the file.
+   * @throws {Meteor.Error} - If the upload fails.
+   */
+  async uploadVersion(fileId, file, onProgress, context = {}) {
+    check(fileId, String);
+    check(file, File);
+    check(onProgress, Match.Maybe(Function));
+    check(context, Object);
+    this.log(`Uploading new version of file ${fileId}: ${file.name}`);
+
+    const { url, method, fields } = await Meteor.callAsync(
+      `meteorS3.${this.config.name}.getVersionUploadUrl`,
+      { fileId, size: file.size, type: getFileType(file), context }
+    );
+    await MeteorS3Client.uploadFileWithProgress(url, file, onProgress, {
+      method,
+      fields,
+    });
+
+    this.log(`New version uploaded successfully for file ID: ${fileId}`);
+    return fileId;
+  }
+
+  /**
+   * Lists the versions of a file, newest first.
+   * @param {string} fileId - The ID of the file.
+   * @param {Object} [context={}] - Optional context object, can contain data for permission checks on the server side via onCheckPermissions-Hook.
+   * @returns {Promise<Object[]>} - The versions as `{ versionId, size, mimeType, etag, createdAt, isCurrent }`.
+   * @throws {Meteor.Error} - If the versions cannot be obtained.
+   */
+  async listVersions(fileId, context = {}) {
+    check(fileId, String);
+    check(context, Object);
+    this.log(`Listing versions of file ID: ${fileId}`);
+    return await Meteor.callAsync(`meteorS3.${this.config.name}.listVersions`, {
+      fileId,
+      context,
+    });
+  }
+
+  /**
+   * Makes a previous version the current version of a file.
+   * @param {string} fileId - The ID of the file.
+   * @param {string} versionId - The ID of the version (cf. `listVersions`).
+   * @param {Object} [context={}] - Optional context object, can contain data for permission checks on the server side via onCheckPermissions-Hook.
+   * @returns {Promise<string>} - The ID of the new current version.
+   * @throws {Meteor.Error} - If the file cannot be reverted.
+   */
+  async revertToVersion(fileId, versionId, context = {}) {
+    check(fileId, String);
+    check(versionId, String);
+    check(context, Object);
+    this.log(`Reverting file ID ${fileId} to version ${versionId}`);
+    try {
+      const result = await Meteor.callAsync(
+        `meteorS3.${this.config.name}.revertToVersion`,
+        { fileId, versionId, context }
+      );
+      return result.versionId;
+    } catch (error) {
+      throw new Meteor.Error(
+        "file-revert-failed",
+        `Failed to revert file: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Gets the URL of a file on the proxy download route of the server (cf. `proxyDownloads`).
+   * The route identifies the user by the Meteor login token, so requests must send it as bearer token
+   * or as "meteor_login_token" cookie.
+   * @param {string} fileId - The ID of the file.
+   * @param {Object} [options={}]
+   * @param {boolean} [options.download=false] - Make the browser save the file instead of displaying it.
+   * @returns {string} - The absolute URL of the file.
+   */
+  getProxyUrl(fileId, { download = false } = {}) {
+    check(fileId, String);
+    const path = `api/${encodeURIComponent(this.config.name)}/files/${encodeURIComponent(fileId)}`;
+    return Meteor.absoluteUrl(download ? `${path}?download` : path);
+  }
+
+  /**
+   * Gets CloudFront signed cookies for all files with a common key prefix, e.g. a gallery.
+   * Requires the `cdn` config on the server.
+   * @param {string} prefix - The non-empty key prefix, relative to "uploads/".
+   * @param {Object} [context={}] - Optional context object, can contain data for permission checks on the server side via onCheckPermissions-Hook.
+   * @param {Object} [options={}]
+   * @param {number} [options.expiresIn] - Expiration time of the cookies in seconds, bounded by the server.
+   * @returns {Promise<Object>} - The `cookies` as name-value pairs, the `resource` URL pattern and the `expires` date.
+   * @throws {Meteor.Error} - If the cookies cannot be obtained.
+   */
+  async getSignedCookies(prefix, context = {}, options = {}) {
+    check(prefix, String);
+    check(context, Object);
+    check(options, { expiresIn: Match.Maybe(Match.Integer) });
+    this.log(`Getting signed cookies for prefix: ${prefix}`);
+    return await Meteor.callAsync(
+      `meteorS3.${this.config.name}.getSignedCookies`,
+      { prefix, context, ...options }
+    );
+  }
+
+  /**
+   * Gets the stable, unsigned URL of a file of a public instance, without a server round trip.
+   * The `region`, `endpoint` and `forcePathStyle` settings of the client must match the server config.
+   * @param {Object} fileDoc - The file document as returned by `head` for public instances, at least `{ key, bucket }`.
+   * @returns {string} - The public URL of the file.
+   * @throws {Meteor.Error} - If the file document does not contain the key and bucket, i.e. the instance is not public.
+   */
+  getPublicUrl(fileDoc) {
+    if (!fileDoc?.key || !fileDoc?.bucket) {
+      throw new Meteor.Error(
+        "file-not-public",
+        "The file document has no key and bucket. Is the instance public?"
+      );
+    }
+    return buildObjectUrl({
+      bucket: fileDoc.bucket,
+      key: fileDoc.key,
+      region: this.config.region,
+      endpoint: this.config.endpoint,
+      forcePathStyle: this.config.forcePathStyle,
+    });
+  }
+
+  /**
+   * Lists the files of this instance the user has the "download" permission for, page by page.
+   * @param {Object} [query={}]
+   * @param {Object} [query.filter={}] - Filter by `ownerId`, `mimeType` (e.g. "image/*"), `status`, `createdAfter`, `createdBefore` and `meta` values.
+   * @param {Object} [query.sort={ createdAt: -1 }] - Sort order by one of the fields `createdAt`, `filename` or `size`.
+   * @param {number} [query.limit=50] - The maximum number of files per page.
+   * @param {string} [query.cursor] - The `nextCursor` of the previous page.
+   * @param {Object} [context={}] - Optional context object, can contain data for permission checks on the server side via onCheckPermissions-Hook.
+   * @returns {Promise<Object>} - An object with the `files` of the page and the `nextCursor`, which is null on the last page.
+   * @throws {Meteor.Error} - If the files cannot be listed.
+   */
+  async listFiles({ filter = {}, sort, limit, cursor } = {}, context = {}) {
+    check(filter, Object);
+    check(context, Object);
+    this.log(`Listing files`);
+    return await Meteor.callAsync(`meteorS3.${this.config.name}.listFiles`, {
+      filter,
+      sort,
+      limit,
+      cursor,
+      context,
+    });
+  }
+
+  /**
+   * Waits until a file is uploaded and confirmed by the server.
+   *
+   * On the client, this watches the file document via `subscribe`, if the server publishes files (cf. `publishFiles`);
+   * otherwise, and on the server, it polls `head`.
+   * @param {string} fileId - The ID of the file to wait for.
+   * @param {Object} [context={}] - Optional context object, can contain data for permission checks on the server side via onCheckPermissions-Hook.
+   * @param {Object} [options={}]
+   * @param {number} [options.timeout] - Optional time in milliseconds after which to stop waiting.
+   * @param {number} [options.interval=1000] - Polling interval in milliseconds.
+   * @returns {Promise<Object>} - The file document with the public fields, once its status is "uploaded".
+   * @throws {Meteor.Error} - If the upload failed (status "error"), if the file does not exist or if the timeout is reached.
+   */
+  async waitForUpload(fileId, context = {}, { timeout, interval = 1000 } = {}) {
+    check(fileId, String);
+    check(context, Object);
+    check(timeout, Match.Maybe(Number));
+    check(interval, Number);
+
+    return await new Promise((resolve, reject) => {
+      let done = false;
+      let subscription;
+      let observer;
+      let pollTimer;
+      let timeoutTimer;
+
+      const finish = (error, fileDoc) => {
+        if (done) {
+          return;
+        }
+        done = true;
+        observer?.stop();
+        subscription?.stop();
+        clearTimeout(pollTimer);
+        clearTimeout(timeoutTimer);
+        if (error) {
+          reject(error);
+        } else {
+          resolve(fileDoc);
+        }
+      };
+
+      const handleFileDoc = (fileDoc) => {
+        if (!fileDoc) {
+          finish(new Meteor.Error("file-not-found", "File not found."));
+        } else if (fileDoc.status === "uploaded") {
+          finish(null, fileDoc);
+        } else if (fileDoc.status === "error") {
+          finish(
+            new Meteor.Error(
+              "file-upload-failed",
+              fileDoc.errorReason || "The upload failed."
+            )
+          );
+        }
+      };
+
+      const poll = async () => {
+        try {
+          handleFileDoc(await this.head(fileId, context));
+        } catch (error) {
+          finish(error);
+        }
+        if (!done) {
+          pollTimer = setTimeout(poll, interval);
+        }
+      };
+
+      if (timeout) {
+        timeoutTimer = setTimeout(() => {
+          finish(
+            new Meteor.Error(
+              "file-upload-timeout",
+              `File ${fileId} was not uploaded within ${timeout} ms.`
+            )
+          );
+        }, timeout);
+      }
+
+      if (!Meteor.isClient) {
+        poll();
+        return;
+      }
+
+      subscription = this.subscribe([fileId], context, {
+        onReady: () => {
+          if (done) {
+            return;
+          }
+          observer = this.files.find(fileId).observe({
+            added: handleFileDoc,
+            changed: handleFileDoc,
+            removed: () => handleFileDoc(undefined),
+          });
+          // The document is not published if it does not exist or if the user lacks permission
+          if (!this.files.findOne(fileId)) {
+            handleFileDoc(undefined);
+          }
+          if (done) {
+            observer.stop();
+          }
+        },
+        onStop: (error) => {
+          // The server does not publish files, fall back to polling
+          if (error && !done) {
+            subscription = undefined;
+            poll();
+          }
+        },
+      });
+    });
+  }
+
   /**
    * Gets the metadata for a file in S3, including the s3 status (pending or uploaded).
    *
-   * You can use this to wait for a file to finish uploading to s3; alternatively, you can check the status reactively
-   * by setting up a publication that publishes the files state and subscribe to it in the client.
+   * Use `waitForUpload` to wait for a file to finish uploading to s3, or watch its status reactively
+   * via `subscribe` and `files` on the client.
    *
    * @param {string} fileId - The ID of the file to get metadata for.
    * @param {Object} [context={}] - Optional context object, can contain data for permission checks on the server side via onCheckPermissions-Hook.
@@ -148,18 +1218,23 @@ export class MeteorS3Client {
   }
 
   /**
-   * Removes a file from S3.
+   * Removes a file from S3. If the server uses `softDelete`, the file is moved to the trash instead.
    * @param {string} fileId - The ID of the file to remove.
+   * @param {Object} [context={}] - Additional context for permission checks (optional).
+   * @param {Object} [options={}]
+   * @param {boolean} [options.permanent=false] - Delete the file permanently, even if the server uses `softDelete`.
    * @throws {Meteor.Error} - If the file cannot be removed.
    */
-  async removeFile(fileId, context = {}) {
+  async removeFile(fileId, context = {}, { permanent = false } = {}) {
     check(fileId, String);
     check(context, Object);
+    check(permanent, Boolean);
     this.log(`Removing file with ID: ${fileId}`);
     try {
       await Meteor.callAsync(`meteorS3.${this.config.name}.removeFile`, {
         fileId,
         context,
+        permanent,
       });
       this.log(`File removed successfully: ${fileId}`);
     } catch (error) {
@@ -170,6 +1245,30 @@ export class MeteorS3Client {
     }
   }
 
+  /**
+   * Restores a file from the trash.
+   * @param {string} fileId - The ID of the file to restore.
+   * @param {Object} [context={}] - Additional context for permission checks (optional).
+   * @throws {Meteor.Error} - If the file cannot be restored.
+   */
+  async restoreFile(fileId, context = {}) {
+    check(fileId, String);
+    check(context, Object);
+    this.log(`Restoring file with ID: ${fileId}`);
+    try {
+      await Meteor.callAsync(`meteorS3.${this.config.name}.restoreFile`, {
+        fileId,
+        context,
+      });
+      this.log(`File restored successfully: ${fileId}`);
+    } catch (error) {
+      throw new Meteor.Error(
+        "file-restore-failed",
+        `Failed to restore file: ${error.message}`
+      );
+    }
+  }
+
   /**
    * Log messages if verbose mode is enabled.
    * @param {...any} args - The arguments to log.
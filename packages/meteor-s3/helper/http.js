@@ -0,0 +1,48 @@
+/**
+ * Builds a Content-Disposition header value for a filename.
+ * Non-ASCII filenames are encoded according to RFC 5987, with an ASCII fallback for old clients.
+ * @param {String} filename - The filename the browser should use.
+ * @param {String} [type="inline"] - The disposition type, "inline" or "attachment".
+ * @returns {String}
+ */
+export function contentDisposition(filename, type = "inline") {
+  const fallback = filename
+    .replace(/[^\x20-\x7e]/g, "_")
+    .replace(/["\\]/g, "_");
+  const encoded = encodeURIComponent(filename).replace(
+    /['()*]/g,
+    (c) => "%" + c.charCodeAt(0).toString(16).toUpperCase()
+  );
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Gets the value of a cookie from a request.
+ * @param {import("http").IncomingMessage} req
+ * @param {String} name - The name of the cookie.
+ * @returns {String|undefined}
+ */
+export function getCookie(req, name) {
+  const cookies = req.headers.cookie || "";
+  for (const cookie of cookies.split(";")) {
+    const index = cookie.indexOf("=");
+    if (index > 0 && cookie.slice(0, index).trim() === name) {
+      return decodeURIComponent(cookie.slice(index + 1).trim());
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Gets the Meteor login token of a request, either from a bearer token in the
+ * Authorization header or from the "meteor_login_token" cookie.
+ * @param {import("http").IncomingMessage} req
+ * @returns {String|undefined}
+ */
+export function getLoginToken(req) {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+  if (scheme?.toLowerCase() === "bearer" && token) {
+    return token;
+  }
+  return getCookie(req, "meteor_login_token");
+}
@@ -0,0 +1,121 @@
+const metaKeyPattern = /^[\w-]+(\.[\w-]+)*$/;
+
+/**
+ * Escapes a string for use in a regular expression.
+ * @param {String} value
+ * @returns {String}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Builds a MongoDB selector for file documents from a structured filter.
+ * Unlike a raw selector, a filter can safely be accepted from clients, since it can not contain operators.
+ * @param {Object} [filter={}]
+ * @param {String} [filter.ownerId] - Only files of this owner.
+ * @param {String} [filter.mimeType] - Only files of this MIME type; wildcards are allowed for the subtype, e.g. "image/*".
+ * @param {String|String[]} [filter.status] - Only files with this status (or one of these).
+ * @param {Date} [filter.createdAfter] - Only files created at or after this date.
+ * @param {Date} [filter.createdBefore] - Only files created before this date.
+ * @param {Object} [filter.meta] - Only files with these meta values, e.g. { project: "abc" }. Nested keys use dot notation.
+ * @returns {Object}
+ */
+export function buildFileSelector({
+  ownerId,
+  mimeType,
+  status,
+  createdAfter,
+  createdBefore,
+  meta = {},
+} = {}) {
+  const selector = {};
+  if (ownerId !== undefined) {
+    selector.ownerId = ownerId;
+  }
+  if (mimeType !== undefined) {
+    const [type, subtype] = mimeType.toLowerCase().split("/");
+    selector.mimeType =
+      subtype === "*"
+        ? { $regex: `^${escapeRegExp(type)}/`, $options: "i" }
+        : mimeType;
+  }
+  if (status !== undefined) {
+    selector.status = Array.isArray(status) ? { $in: status } : status;
+  }
+  if (createdAfter || createdBefore) {
+    selector.createdAt = {};
+    if (createdAfter) {
+      selector.createdAt.$gte = createdAfter;
+    }
+    if (createdBefore) {
+      selector.createdAt.$lt = createdBefore;
+    }
+  }
+  Object.entries(meta).forEach(([key, value]) => {
+    if (!metaKeyPattern.test(key)) {
+      throw new Error(`Invalid meta key: ${key}`);
+    }
+    selector[`meta.${key}`] = value;
+  });
+  return selector;
+}
+
+/**
+ * Encodes the position after a document as an opaque pagination cursor.
+ * @param {Object} doc - The last document of a page.
+ * @param {String} field - The field the documents are sorted by.
+ * @returns {String}
+ */
+export function encodeCursor(doc, field) {
+  const value = doc[field];
+  const position = {
+    id: doc._id,
+    value: value instanceof Date ? value.toISOString() : (value ?? null),
+    date: value instanceof Date,
+  };
+  return Buffer.from(JSON.stringify(position)).toString("base64url");
+}
+
+/**
+ * Decodes a pagination cursor to the position it points to.
+ * @param {String} cursor - The cursor returned by `encodeCursor`.
+ * @param {String} field - The field the documents are sorted by.
+ * @returns {Object} - A pseudo document with the _id and the sort field of the last document of the page.
+ */
+export function decodeCursor(cursor, field) {
+  const { id, value, date } = JSON.parse(
+    Buffer.from(cursor, "base64url").toString("utf8")
+  );
+  if (typeof id !== "string") {
+    throw new Error("Invalid cursor");
+  }
+  return { _id: id, [field]: date ? new Date(value) : value };
+}
+
+/**
+ * Builds a selector for the documents after a given document in sort order.
+ * Documents with equal values of the sort field are ordered by their _id.
+ * Documents without the sort field, e.g. files without a size, come first in ascending and last in descending order,
+ * as MongoDB sorts them.
+ * @param {Object} doc - The document (or the position returned by `decodeCursor`).
+ * @param {String} field - The field the documents are sorted by.
+ * @param {Number} order - 1 for ascending, -1 for descending order.
+ * @returns {Object}
+ */
+export function selectAfter(doc, field, order) {
+  const operator = order === 1 ? "$gt" : "$lt";
+  const value = doc[field] ?? null;
+  // { field: null } also matches documents without the field
+  const sameValue = { [field]: value, _id: { [operator]: doc._id } };
+  if (value === null) {
+    return order === 1
+      ? { $or: [sameValue, { [field]: { $ne: null } }] }
+      : sameValue;
+  }
+  const after = [{ [field]: { [operator]: value } }, sameValue];
+  if (order === -1) {
+    after.push({ [field]: null });
+  }
+  return { $or: after };
+}
@@ -0,0 +1,46 @@
+/**
+ * Builds the unsigned URL of an object in S3 or an S3 compatible storage.
+ * @param {Object} param0
+ * @param {String} param0.bucket - The name of the bucket.
+ * @param {String} param0.key - The key of the object.
+ * @param {String} [param0.region="eu-central-1"] - The AWS region of the bucket, ignored if an endpoint is given.
+ * @param {String} [param0.endpoint] - The endpoint of an S3 compatible storage, e.g. "http://localhost:4566".
+ * @param {Boolean} [param0.forcePathStyle] - Use path-style URLs ("<endpoint>/<bucket>/<key>") instead of virtual-hosted-style URLs.
+ * Defaults to true for endpoints on localhost.
+ * @returns {String}
+ */
+export function buildObjectUrl({
+  bucket,
+  key,
+  region = "eu-central-1",
+  endpoint,
+  forcePathStyle,
+}) {
+  const path = key.split("/").map(encodeURIComponent).join("/");
+  const url = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const pathStyle = forcePathStyle ?? Boolean(endpoint?.includes("localhost"));
+
+  if (pathStyle) {
+    url.pathname = `${url.pathname.replace(/\/$/, "")}/${bucket}/${path}`;
+  } else {
+    url.hostname = `${bucket}.${url.hostname}`;
+    url.pathname = `${url.pathname.replace(/\/$/, "")}/${path}`;
+  }
+  return url.toString();
+}
+
+/**
+ * Builds the URL of an object served by a CloudFront distribution.
+ * @param {String} domain - The domain of the distribution, e.g. "d111111abcdef8.cloudfront.net".
+ * @param {String} key - The key of the object.
+ * @param {Object} [query={}] - Query parameters to append, e.g. response header overrides.
+ * @returns {String}
+ */
+export function buildCdnUrl(domain, key, query = {}) {
+  const url = new URL(`https://${domain}`);
+  url.pathname = "/" + key.split("/").map(encodeURIComponent).join("/");
+  Object.entries(query).forEach(([name, value]) => {
+    url.searchParams.set(name, value);
+  });
+  return url.toString();
+}
@@ -0,0 +1,82 @@
+/**
+ * Checks if a MIME type matches one of the given patterns.
+ * Patterns may contain wildcards for the subtype, e.g. "image/*" matches "image/png".
+ * @param {String} mimeType - The MIME type to check, e.g. "image/png".
+ * @param {String[]} patterns - The allowed MIME types, e.g. ["image/*", "application/pdf"].
+ * @returns {Boolean}
+ */
+export function matchesMimeType(mimeType, patterns) {
+  const [type, subtype] = normalizeMimeType(mimeType).split("/");
+  return patterns.some((pattern) => {
+    const [patternType, patternSubtype] = normalizeMimeType(pattern).split("/");
+    return (
+      (patternType === "*" || patternType === type) &&
+      (patternSubtype === "*" || patternSubtype === subtype)
+    );
+  });
+}
+
+/**
+ * Strips parameters like "; charset=utf-8" from a MIME type and converts it to lower case.
+ * @param {String} mimeType
+ * @returns {String}
+ */
+export function normalizeMimeType(mimeType = "") {
+  return mimeType.split(";")[0].trim().toLowerCase();
+}
+
+/**
+ * Checks if a MIME type carries no information about the content, e.g. "application/octet-stream".
+ * @param {String} mimeType
+ * @returns {Boolean}
+ */
+export function isGenericMimeType(mimeType) {
+  return ["", "application/octet-stream", "binary/octet-stream"].includes(
+    normalizeMimeType(mimeType)
+  );
+}
+
+/**
+ * Gets the extension of a filename in lower case and without the leading dot.
+ * @param {String} filename
+ * @returns {String} - The extension, or an empty string if the filename has none.
+ */
+export function getExtension(filename) {
+  const index = filename.lastIndexOf(".");
+  return index > 0 ? filename.slice(index + 1).toLowerCase() : "";
+}
+
+/**
+ * Checks file infos against the upload constraints of an instance
+ * (`minFileSize`, `maxFileSize`, `allowedMimeTypes` and `allowedExtensions`).
+ * @param {Object} fileInfos - The file infos to check.
+ * @param {String} fileInfos.filename
+ * @param {Number} fileInfos.size
+ * @param {String} fileInfos.mimeType
+ * @param {Object} config - The config of the instance.
+ * @returns {String|undefined} - The reason why the file violates the constraints, or undefined if it is valid.
+ */
+export function getUploadViolation({ filename, size, mimeType }, config) {
+  if (config.maxFileSize !== undefined && size > config.maxFileSize) {
+    return `File size of ${size} bytes exceeds the maximum of ${config.maxFileSize} bytes.`;
+  }
+  if (config.minFileSize !== undefined && size < config.minFileSize) {
+    return `File size of ${size} bytes is below the minimum of ${config.minFileSize} bytes.`;
+  }
+  if (
+    config.allowedMimeTypes &&
+    !matchesMimeType(mimeType, config.allowedMimeTypes)
+  ) {
+    return `File type "${mimeType}" is not allowed.`;
+  }
+  if (config.allowedExtensions) {
+    const extension = getExtension(filename);
+    const allowed = config.allowedExtensions.map((ext) =>
+      ext.replace(/^\./, "").toLowerCase()
+    );
+    if (!allowed.includes(extension)) {
+      return `File extension "${extension}" is not allowed.`;
+    }
+  }
+  return undefined;
+}
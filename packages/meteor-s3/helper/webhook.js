@@ -0,0 +1,35 @@
+import crypto from "crypto";
+
+/**
+ * Computes the signature of a webhook request, as sent by the Lambda function "uploadHandler".
+ * The signature is an HMAC-SHA256 over the timestamp and the raw request body, joined by a dot.
+ * @param {String} secret - The webhook secret of the instance.
+ * @param {Number} timestamp - The time of the request in seconds since the epoch.
+ * @param {String|Buffer} body - The raw request body.
+ * @returns {String} - The signature as hex string.
+ */
+export function signWebhook(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.`)
+    .update(body)
+    .digest("hex");
+}
+
+/**
+ * Checks the signature of a webhook request in constant time.
+ * @param {String} secret - The webhook secret of the instance.
+ * @param {Number} timestamp - The time of the request in seconds since the epoch.
+ * @param {String|Buffer} body - The raw request body.
+ * @param {String} signature - The signature sent with the request.
+ * @returns {Boolean} - Whether the signature is valid.
+ */
+export function isValidWebhookSignature(secret, timestamp, body, signature) {
+  if (typeof signature !== "string" || !/^[0-9a-f]{64}$/.test(signature)) {
+    return false;
+  }
+  return crypto.timingSafeEqual(
+    Buffer.from(signWebhook(secret, timestamp, body), "hex"),
+    Buffer.from(signature, "hex")
+  );
+}
@@ -11,10 +11,14 @@ Package.describe({
 });
 
 Npm.depends({
-  "@aws-sdk/client-s3": "3.859.0",
-  "@aws-sdk/client-lambda": "3.859.0",
-  "@aws-sdk/client-iam": "3.859.0",
-  "@aws-sdk/s3-request-presigner": "3.859.0",
+  "@aws-sdk/client-s3": "3.862.0",
+  "@aws-sdk/client-lambda": "3.862.0",
+  "@aws-sdk/client-iam": "3.862.0",
+  "@aws-sdk/client-sqs": "3.862.0",
+  "@aws-sdk/s3-request-presigner": "3.862.0",
+  "@aws-sdk/s3-presigned-post": "3.862.0",
+  "@aws-sdk/lib-storage": "3.862.0",
+  "@aws-sdk/cloudfront-signer": "3.862.0",
   axios: "1.11.0",
   "body-parser": "2.2.0",
 });
@@ -1,23 +1,28 @@
 import https from "https";
 import http from "http";
 import { URL } from "url";
+import crypto from "crypto";
 
 /**
- * Lambda-Handler für S3 ObjectCreated Events.
- * Erwartet die Umgebungsvariable WEBHOOK_URL.
+ * Lambda-Handler für S3 ObjectCreated und ObjectRemoved Events.
+ * Erwartet die Umgebungsvariablen WEBHOOK_URL und WEBHOOK_SECRET.
  */
 export const handler = async (event) => {
   if (!process.env.WEBHOOK_URL) {
     throw new Error("WEBHOOK_URL is not set");
   }
+  if (!process.env.WEBHOOK_SECRET) {
+    throw new Error("WEBHOOK_SECRET is not set");
+  }
 
   const webhookUrl = new URL(process.env.WEBHOOK_URL);
 
-  // S3 liefert Records – wir nehmen den Key und optional den ETag
+  // S3 liefert Records – wir nehmen den Key, den Event-Typ und optional den ETag
   const records = event.Records || [];
   const payloads = records.map((r) => ({
     key: decodeURIComponent(r.s3.object.key.replace(/\+/g, " ")),
     eTag: r.s3.object.eTag,
+    eventName: r.eventName, // z.B. "ObjectCreated:Put" oder "ObjectRemoved:Delete"
   }));
 
   // Für jeden Record POST an deinen Webhook
@@ -25,6 +30,13 @@ export const handler = async (event) => {
     const body = JSON.stringify(payload);
     const isHttps = webhookUrl.protocol === "https:";
 
+    // HMAC über Zeitstempel und Body, damit der Server Herkunft und Alter der Anfrage prüfen kann
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto
+      .createHmac("sha256", process.env.WEBHOOK_SECRET)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+
     const options = {
       hostname: webhookUrl.hostname,
       port: webhookUrl.port || (isHttps ? 443 : 80),
@@ -33,6 +45,8 @@ export const handler = async (event) => {
       headers: {
         "Content-Type": "application/json",
         "Content-Length": Buffer.byteLength(body),
+        "X-MeteorS3-Timestamp": String(timestamp),
+        "X-MeteorS3-Signature": signature,
       },
     };
 
@@ -13,6 +13,11 @@ export const MeteorS3BucketsSchema = new SimpleSchema({
     type: String,
     label: "Region of the bucket, e.g. 'eu-central-1'",
   },
+  webhookSecret: {
+    type: String,
+    label: "Secret for signing the requests of the upload webhook",
+    optional: true,
+  },
   createdAt: {
     type: Date,
     label: "Creation (or registration) date of the bucket",
@@ -46,10 +46,111 @@ export const configSchema = new SimpleSchema({
     optional: true,
     defaultValue: 60, // Default to 60 seconds
   },
+  maxUploadExpiresIn: {
+    type: Number,
+    label: "Maximum expiration time for upload URLs in seconds",
+    optional: true,
+    min: 1,
+    max: 7 * 24 * 60 * 60, // S3 does not accept pre-signed URLs valid for more than 7 days
+    defaultValue: 60 * 60, // Default to 1 hour
+  },
+  maxDownloadExpiresIn: {
+    type: Number,
+    label: "Maximum expiration time for download URLs in seconds",
+    optional: true,
+    min: 1,
+    max: 7 * 24 * 60 * 60,
+    defaultValue: 24 * 60 * 60, // Default to 1 day
+  },
+  /**
+   * How clients upload files: "PUT" uses a pre-signed URL, "POST" uses a pre-signed browser form upload.
+   * With "POST", S3 enforces the declared file size and type via the policy conditions.
+   */
+  uploadMethod: {
+    type: String,
+    label: "HTTP method for uploads",
+    optional: true,
+    allowedValues: ["PUT", "POST"],
+    defaultValue: "PUT",
+  },
+  multipartPartSize: {
+    type: Number,
+    label: "Preferred part size for multipart uploads in bytes",
+    optional: true,
+    min: 5 * 1024 * 1024, // S3 requires parts of at least 5 MiB
+    defaultValue: 10 * 1024 * 1024, // Default to 10 MiB
+  },
+  importTimeout: {
+    type: Number,
+    label:
+      "Time in seconds after which importFromUrl gives up on an unresponsive server",
+    optional: true,
+    min: 1,
+    defaultValue: 30,
+  },
+  maxFileSize: {
+    type: Number,
+    label: "Maximum size of uploaded files in bytes",
+    optional: true,
+    min: 0,
+  },
+  minFileSize: {
+    type: Number,
+    label: "Minimum size of uploaded files in bytes",
+    optional: true,
+    min: 0,
+  },
+  /**
+   * Allowed MIME types of uploaded files, e.g. ["image/*", "application/pdf"].
+   * By default, all types are allowed.
+   */
+  allowedMimeTypes: {
+    type: Array,
+    label: "Allowed MIME types of uploaded files",
+    optional: true,
+  },
+  "allowedMimeTypes.$": String,
+  /**
+   * Allowed extensions of uploaded files, e.g. ["jpg", "png"]. Extensions are compared case-insensitively.
+   * By default, all extensions are allowed.
+   */
+  allowedExtensions: {
+    type: Array,
+    label: "Allowed filename extensions of uploaded files",
+    optional: true,
+  },
+  "allowedExtensions.$": String,
+  /**
+   * Public instances (cf. public) always remove invalid uploads, since they would be served publicly otherwise.
+   */
+  removeInvalidUploads: {
+    type: Boolean,
+    label:
+      "Remove uploaded objects that violate the upload constraints from S3",
+    optional: true,
+    defaultValue: false,
+  },
+  maxFilesPerUser: {
+    type: Number,
+    label: "Maximum number of files per user",
+    optional: true,
+    min: 0,
+  },
+  /**
+   * Serve files via the route GET /api/<name>/files/<fileId>, which streams them from S3.
+   * Use this if S3 URLs must not be exposed to the browser. Users are identified by their Meteor login token.
+   */
+  proxyDownloads: {
+    type: Boolean,
+    label: "Serve downloads through the Meteor server",
+    optional: true,
+    defaultValue: false,
+  },
   /**
    * Check permissions prior to upload, download or file removal.
    * If action is "upload", fileDoc will only be { filename, size, mimeType, meta }, since the checks
    * are performed before the file is inserted in the files collection.
+   * For CloudFront signed cookies (cf. getSignedCookies), action is "download-prefix" and fileDoc is only { prefix }.
    *
    * Signature is (fileDoc, action, userId, context) => boolean.
    *
@@ -77,16 +178,174 @@ export const configSchema = new SimpleSchema({
     label: "Custom key generation function.",
     optional: true,
   },
+  /**
+   * Sets the expiration time of pre-signed URLs per file, e.g. long-lived URLs for videos and
+   * short-lived ones for sensitive documents.
+   *
+   * Signature is (fileDoc, action, userId, context) => number | undefined.
+   *
+   * Action is "upload" or "download". Return undefined to use the expiration time requested by the caller
+   * or the default. The result is bounded by maxUploadExpiresIn or maxDownloadExpiresIn.
+   */
+  onGetExpiry: {
+    type: Function,
+    label: "Custom expiration time function.",
+    optional: true,
+  },
   endpoint: {
     type: String,
     label: "S3 Endpoint URL",
     optional: true, // If omitted we use the default S3 endpoint; in testing we use a local MinIO instance
   },
+  forcePathStyle: {
+    type: Boolean,
+    label: "Use path-style URLs for the S3 endpoint",
+    optional: true, // Defaults to true for endpoints on localhost
+  },
+  /**
+   * Register the publication meteorS3.<name>.files, so clients can watch the status of files reactively
+   * (cf. MeteorS3Client.files and MeteorS3Client.waitForUpload).
+   */
+  publishFiles: {
+    type: Boolean,
+    label: "Publish file documents to clients",
+    optional: true,
+    defaultValue: false,
+  },
+  /**
+   * Uploads that are not confirmed within staleUploadTimeout seconds are cleaned up every cleanupInterval seconds
+   * (cf. cleanupStaleUploads). Unless the cleanup is disabled, the timeout must be greater than maxUploadExpiresIn,
+   * so running uploads are not affected. It should also be long enough for users to resume interrupted multipart uploads.
+   */
+  staleUploadTimeout: {
+    type: Number,
+    label: "Time in seconds after which unconfirmed uploads are cleaned up",
+    optional: true,
+    min: 60,
+    defaultValue: 24 * 60 * 60, // Default to 1 day
+  },
+  cleanupInterval: {
+    type: Number,
+    label:
+      "Interval in seconds for cleaning up stale uploads, 0 disables the cleanup",
+    optional: true,
+    min: 0,
+    defaultValue: 60 * 60, // Default to 1 hour
+  },
+  /**
+   * Enable versioning on the bucket, so new versions of a file can be uploaded under the same key
+   * and previous versions can be downloaded or restored (cf. getVersionUploadUrl, listVersions and revertToVersion).
+   */
+  versioning: {
+    type: Boolean,
+    label: "Enable bucket versioning",
+    optional: true,
+    defaultValue: false,
+  },
+  /**
+   * Move removed files to the trash instead of deleting them, so they can be restored with restoreFile.
+   * Files in the trash are deleted permanently after trashRetention seconds.
+   */
+  softDelete: {
+    type: Boolean,
+    label: "Move removed files to the trash",
+    optional: true,
+    defaultValue: false,
+  },
+  trashRetention: {
+    type: Number,
+    label: "Time in seconds until files in the trash are deleted permanently",
+    optional: true,
+    min: 0,
+    defaultValue: 30 * 24 * 60 * 60, // Default to 30 days
+  },
+  purgeInterval: {
+    type: Number,
+    label: "Interval in seconds for purging the trash, 0 disables purging",
+    optional: true,
+    min: 0,
+    defaultValue: 60 * 60, // Default to 1 hour
+  },
+  /**
+   * Serve downloads via a CloudFront distribution with this bucket as origin.
+   * If set, getDownloadUrl returns CloudFront signed URLs instead of S3 pre-signed URLs,
+   * and getSignedCookies issues signed cookies for a whole key prefix.
+   */
+  cdn: {
+    type: Object,
+    label: "CloudFront distribution for downloads",
+    optional: true,
+  },
+  "cdn.domain": {
+    type: String,
+    label:
+      "Domain of the CloudFront distribution, e.g. d111111abcdef8.cloudfront.net",
+  },
+  "cdn.keyPairId": {
+    type: String,
+    label: "ID of the CloudFront public key used to verify signatures",
+  },
+  "cdn.privateKey": {
+    type: String,
+    label: "PEM encoded private key matching the CloudFront public key",
+  },
+  /**
+   * Make uploaded files publicly readable via a stable, unsigned URL (cf. getPublicUrl).
+   * This sets a bucket policy allowing anonymous GET requests on all objects with the prefix "uploads/".
+   */
+  public: {
+    type: Boolean,
+    label: "Public-read instance",
+    optional: true,
+    defaultValue: false,
+  },
+  /**
+   * How uploads are confirmed once their object arrived in S3:
+   * - "lambda": S3 invokes a Lambda function, which calls the upload webhook of this app.
+   * - "sqs": S3 sends its events to an SQS queue, which is long-polled by this app (cf. pollSqsQueue).
+   * - "polling": pending uploads are checked with HeadObject every pollingInterval seconds (cf. pollPendingUploads).
+   */
+  confirmationStrategy: {
+    type: String,
+    label: "Strategy for confirming uploads",
+    optional: true,
+    allowedValues: ["lambda", "sqs", "polling"],
+    defaultValue: "lambda",
+  },
+  sqsQueueUrl: {
+    type: String,
+    label:
+      "URL of an existing SQS queue for S3 events, a queue is created if omitted",
+    optional: true,
+  },
+  /**
+   * The endpoint is for S3 only, since S3-compatible servers (e.g. MinIO) do not offer SQS.
+   * Set this to use SQS from somewhere else than AWS, e.g. from LocalStack.
+   */
+  sqsEndpoint: {
+    type: String,
+    label: "SQS Endpoint URL",
+    optional: true, // If omitted we use the default SQS endpoint of the region
+  },
+  pollingInterval: {
+    type: Number,
+    label: "Interval in seconds for checking pending uploads",
+    optional: true,
+    min: 1,
+    defaultValue: 10,
+  },
   webhookBaseUrl: {
     type: String,
     label: "Webhook Base URL",
     optional: true,
   },
+  webhookTolerance: {
+    type: Number,
+    label: "Maximum age in seconds of signed requests to the upload webhook",
+    optional: true,
+    min: 1,
+    defaultValue: 5 * 60, // Default to 5 minutes
+  },
 });
 
 export const clientConfigSchema = new SimpleSchema({
@@ -95,10 +354,65 @@ export const clientConfigSchema = new SimpleSchema({
     label: "Unique MeteorS3 Instance Name",
     optional: false,
   },
+  // The following settings are only used to build public URLs and must match the server config
+  region: {
+    type: String,
+    label: "AWS Region",
+    optional: true,
+    defaultValue: "eu-central-1",
+  },
+  endpoint: {
+    type: String,
+    label: "S3 Endpoint URL",
+    optional: true,
+  },
+  forcePathStyle: {
+    type: Boolean,
+    label: "Use path-style URLs for the S3 endpoint",
+    optional: true,
+  },
   verbose: {
     type: Boolean,
     label: "Enable verbose logging",
     optional: true,
     defaultValue: false,
   },
+  multipartThreshold: {
+    type: Number,
+    label:
+      "File size in bytes from which on files are uploaded in multiple parts",
+    optional: true,
+    defaultValue: 100 * 1024 * 1024, // Default to 100 MiB
+  },
+  multipartConcurrency: {
+    type: Number,
+    label: "Number of parts that are uploaded in parallel",
+    optional: true,
+    min: 1,
+    defaultValue: 4,
+  },
+  uploadConcurrency: {
+    type: Number,
+    label: "Number of files that are uploaded in parallel by uploadFiles",
+    optional: true,
+    min: 1,
+    defaultValue: 3,
+  },
+  /**
+   * Failed multipart uploads are not aborted if enabled, so their parts stay in S3 until they are resumed or cleaned up.
+   */
+  resumable: {
+    type: Boolean,
+    label:
+      "Keep interrupted multipart uploads in localStorage, so they can be resumed",
+    optional: true,
+    defaultValue: false,
+  },
+  partRetries: {
+    type: Number,
+    label: "Number of retries for a failed part upload",
+    optional: true,
+    min: 0,
+    defaultValue: 3,
+  },
 });
@@ -2,7 +2,7 @@ import SimpleSchema from "meteor/aldeed:simple-schema";
 
 export const MeteorS3FilesSchema = new SimpleSchema({
   filename: String,
-  size: Number,
+  size: { type: Number, optional: true }, // Unknown for streams until the upload is verified
   mimeType: {
     type: String,
     optional: true,
@@ -13,10 +13,26 @@ export const MeteorS3FilesSchema = new SimpleSchema({
   etag: { type: String, optional: true },
   status: {
     type: String,
-    allowedValues: ["pending", "uploading", "uploaded", "error"],
+    allowedValues: ["pending", "uploading", "uploaded", "error", "deleted"],
   },
+  errorReason: { type: String, optional: true }, // Set if status is "error"
+  deletedAt: { type: Date, optional: true }, // Set if status is "deleted"
+  trashKey: { type: String, optional: true }, // Key of the object in the trash
+  versionId: { type: String, optional: true }, // Current S3 version, if versioning is enabled
+  versions: { type: Array, optional: true }, // Version history, oldest first
+  "versions.$": Object,
+  "versions.$.versionId": String,
+  "versions.$.size": Number,
+  "versions.$.mimeType": { type: String, optional: true },
+  "versions.$.etag": { type: String, optional: true },
+  "versions.$.createdAt": Date,
+  replacement: { type: Object, optional: true, blackbox: true }, // New content being uploaded to a new key (cf. getReplaceUploadUrl)
+  pendingVersion: { type: Object, optional: true, blackbox: true }, // Declared size and type of a new version being uploaded
+  uploadId: { type: String, optional: true }, // S3 upload ID of an active multipart upload
+  partSize: { type: Number, optional: true },
   ownerId: { type: String, optional: true },
   createdAt: { type: Date },
+  updatedAt: { type: Date, optional: true },
   meta: { type: Object, blackbox: true, optional: true },
   // Additional fields can be added as needed
 });
@@ -6,18 +6,55 @@ import {
   S3Client,
   CreateBucketCommand,
   HeadBucketCommand,
+  PutBucketPolicyCommand,
+  PutPublicAccessBlockCommand,
+  PutBucketVersioningCommand,
+  ListObjectVersionsCommand,
   PutObjectCommand,
   GetObjectCommand,
   HeadObjectCommand,
   PutBucketCorsCommand,
   DeleteObjectCommand,
+  CopyObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  ListPartsCommand,
+  UploadPartCopyCommand,
+  ListMultipartUploadsCommand,
+  ListObjectsV2Command,
 } from "@aws-sdk/client-s3";
 import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { createPresignedPost } from "@aws-sdk/s3-presigned-post";
+import { Upload } from "@aws-sdk/lib-storage";
+import axios from "axios";
+import path from "path";
+import { Readable, Transform, pipeline } from "stream";
 import { MeteorS3BucketsSchema } from "./schemas/buckets";
 import "meteor/aldeed:collection2/dynamic";
 import { MeteorS3FilesSchema } from "./schemas/files";
 import bodyParser from "body-parser";
 import { renderTemplate } from "./helper/templates";
+import { contentDisposition, getLoginToken } from "./helper/http";
+import { buildCdnUrl, buildObjectUrl } from "./helper/urls";
+import { isValidWebhookSignature } from "./helper/webhook";
+import {
+  buildFileSelector,
+  decodeCursor,
+  encodeCursor,
+  selectAfter,
+} from "./helper/query";
+import {
+  getSignedUrl as getCloudFrontSignedUrl,
+  getSignedCookies as getCloudFrontSignedCookies,
+} from "@aws-sdk/cloudfront-signer";
+import { Accounts } from "meteor/accounts-base";
+import {
+  getUploadViolation,
+  isGenericMimeType,
+  normalizeMimeType,
+} from "./helper/validation";
 import {
   LambdaClient,
   CreateFunctionCommand,
@@ -41,18 +78,43 @@ import {
 } from "@aws-sdk/client-s3";
 // Lambda: Permission für S3->Lambda
 import { AddPermissionCommand } from "@aws-sdk/client-lambda";
+import {
+  SQSClient,
+  CreateQueueCommand,
+  GetQueueAttributesCommand,
+  SetQueueAttributesCommand,
+  ReceiveMessageCommand,
+  DeleteMessageCommand,
+} from "@aws-sdk/client-sqs";
 
 import crypto from "crypto";
 
 // --- Lambda deploy helpers -------------------------------------------------
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
+// All instances by name, so files can be copied or moved between instances
+const instances = new Map();
+
+// Larger objects can not be copied with a single CopyObject request
+const maxCopyObjectSize = 5 * 1024 * 1024 * 1024;
+
+// Selects files by their last activity, e.g. multipart uploads are active as long as part URLs are requested
+const lastActivity = (operator, date) => ({
+  $or: [
+    { updatedAt: { [operator]: date } },
+    { updatedAt: { $exists: false }, createdAt: { [operator]: date } },
+  ],
+});
+
 const publicFileFields = {
   _id: 1,
   filename: 1,
   size: 1,
   mimeType: 1,
   status: 1,
+  errorReason: 1,
+  deletedAt: 1,
+  versionId: 1,
 };
 
 async function waitForLambdaReady(lambdaClient, functionName, opts = {}) {
@@ -134,8 +196,19 @@ export class MeteorS3 {
 
     const cleanedConfig = configSchema.clean(config);
     configSchema.validate(cleanedConfig);
+    // Otherwise the cleanup would remove running uploads while their upload URLs are still valid
+    if (
+      cleanedConfig.cleanupInterval &&
+      cleanedConfig.staleUploadTimeout <= cleanedConfig.maxUploadExpiresIn
+    ) {
+      throw new Meteor.Error(
+        "s3-invalid-config",
+        "staleUploadTimeout must be greater than maxUploadExpiresIn."
+      );
+    }
 
     this.config = cleanedConfig;
+    instances.set(this.config.name, this);
 
     // State and meta infos about Files of this instance are stored here
     this.files =
@@ -166,11 +239,29 @@ export class MeteorS3 {
     this.files.createIndexAsync({ key: 1 }, { unique: true }).catch((e) => {
       console.error("Failed to create index on meteor_s3_files collection:", e);
     });
+    [
+      { ownerId: 1 },
+      { ownerId: 1, createdAt: -1 },
+      { status: 1, createdAt: -1 },
+      { status: 1, updatedAt: -1 },
+      { mimeType: 1, createdAt: -1 },
+      { createdAt: -1 },
+      { "replacement.key": 1 },
+    ].forEach((index) => {
+      this.files.createIndexAsync(index).catch((e) => {
+        console.error(
+          "Failed to create index on meteor_s3_files collection:",
+          e
+        );
+      });
+    });
     // Initialize empty hooks. Override these in your app to add custom behavior.
     this.onBeforeUpload = async (_fileDoc) => {};
     this.onAfterUpload = async (_fileDoc) => {};
+    // Called with the file document after a file was removed or moved to the trash, also if its object was deleted outside the app
+    this.onAfterRemove = async (_fileDoc) => {};
 
-    // actions are "upload", "download" or "delete"
+    // actions are "upload", "download", "update", "delete" or "restore"
     this.onCheckPermissions =
       this.config.onCheckPermissions ||
       (async (fileDoc, action, _userId, _context) => {
@@ -181,6 +272,11 @@ export class MeteorS3 {
         return false; // Deny all actions by default
       });
 
+    // Custom expiration time of pre-signed URLs per file, cf. getExpiresIn
+    this.onGetExpiry =
+      this.config.onGetExpiry ||
+      ((_fileDoc, _action, _userId, _context) => undefined);
+
     /**
      * Custom key generation function. This enables users to define their own key generation logic and
      * for example to organize all uploads in one directory per user.
@@ -219,7 +315,9 @@ export class MeteorS3 {
     this.log(`Initializing S3 client ${this.config.name}`);
     this.s3Client = new S3Client({
       endpoint: this.config.endpoint,
-      forcePathStyle: this.config.endpoint?.includes("localhost"),
+      forcePathStyle:
+        this.config.forcePathStyle ??
+        this.config.endpoint?.includes("localhost"),
       credentials: {
         accessKeyId: this.config.accessKeyId,
         secretAccessKey: this.config.secretAccessKey,
@@ -236,21 +334,59 @@ export class MeteorS3 {
     // Ensure that the methods for file uploads and downloads are available
     await this.ensureMethods();
 
+    // Ensure that the publication for file documents is available
+    if (this.config.publishFiles) {
+      await this.ensurePublications();
+    }
+
     // Ensure that the REST API endpoints are available
     await this.ensureEndpoints();
 
-    // 1) Execution Role sicherstellen
-    this.lambdaRoleArn = await this.ensureRoles();
+    // Purge the trash regularly
+    if (
+      this.config.softDelete &&
+      this.config.purgeInterval &&
+      !this.purgeTimer
+    ) {
+      this.purgeTimer = Meteor.setInterval(() => {
+        this.purgeTrash().catch((error) => {
+          console.error("Error purging trash:", error);
+        });
+      }, this.config.purgeInterval * 1000);
+    }
+
+    // Clean up uploads that were never finished
+    if (this.config.cleanupInterval && !this.cleanupTimer) {
+      this.cleanupTimer = Meteor.setInterval(() => {
+        this.cleanupStaleUploads().catch((error) => {
+          console.error("Error cleaning up stale uploads:", error);
+        });
+      }, this.config.cleanupInterval * 1000);
+    }
 
-    this.log("[ensureRoles] Lambda execution role defined");
+    // Confirm uploads once their objects arrived in S3
+    switch (this.config.confirmationStrategy) {
+      case "sqs":
+        await this.ensureSqsQueue();
+        this.startSqsPolling();
+        break;
+      case "polling":
+        this.startUploadPolling();
+        break;
+      default:
+        // 1) Execution Role sicherstellen
+        this.lambdaRoleArn = await this.ensureRoles();
 
-    // 2) Lambda deployen/aktualisieren
-    await this.ensureLambdaFunctions();
+        this.log("[ensureRoles] Lambda execution role defined");
 
-    // 3) S3 -> Lambda Trigger für uploads/ sicherstellen (in echter AWS-Umgebung)
-    await this.ensureS3UploadTrigger(
-      `meteorS3-${this.config.name}-uploadHandler` // FunctionName (siehe Manifest-Template unten)
-    );
+        // 2) Lambda deployen/aktualisieren
+        await this.ensureLambdaFunctions();
+
+        // 3) S3 -> Lambda Trigger für uploads/ sicherstellen (in echter AWS-Umgebung)
+        await this.ensureS3UploadTrigger(
+          `meteorS3-${this.config.name}-uploadHandler` // FunctionName (siehe Manifest-Template unten)
+        );
+    }
 
     this.log(`S3 client ${this.config.name} initialized successfully.`);
   }
@@ -278,6 +414,35 @@ export class MeteorS3 {
     return baseName.substring(0, 63);
   }
 
+  /**
+   * Gets an instance by its name.
+   * @param {String} name - The name of the instance.
+   * @returns {MeteorS3|undefined} - The instance, or undefined if there is no instance with this name.
+   */
+  static getInstance(name) {
+    return instances.get(name);
+  }
+
+  /**
+   * internal helper function to get the part size for a multipart upload.
+   * S3 requires parts of at least 5 MiB and allows at most 10,000 parts per upload,
+   * so the preferred part size is increased for very large files.
+   * @param {Number} size - The size of the file in bytes.
+   * @param {Number} preferredPartSize - The configured part size in bytes.
+   * @returns {Number} - The part size in bytes.
+   */
+  static getPartSize(size, preferredPartSize) {
+    const minPartSize = 5 * 1024 * 1024;
+    const maxParts = 10000;
+    const partSize = Math.max(
+      preferredPartSize,
+      minPartSize,
+      Math.ceil(size / maxParts)
+    );
+    // round up to full MiB
+    return Math.ceil(partSize / (1024 * 1024)) * 1024 * 1024;
+  }
+
   /**
    * Deploys a Lambda function.
    */
@@ -357,6 +522,7 @@ export class MeteorS3 {
         Environment: {
           Variables: {
             WEBHOOK_URL: webhookUrl,
+            WEBHOOK_SECRET: this.webhookSecret,
             BUCKET: this.bucketName,
             INSTANCE: this.config.name,
           },
@@ -399,6 +565,7 @@ export class MeteorS3 {
       // Configuration differences
       const desiredEnv = {
         WEBHOOK_URL: webhookUrl,
+        WEBHOOK_SECRET: this.webhookSecret,
         BUCKET: this.bucketName,
         INSTANCE: this.config.name,
       };
@@ -492,10 +659,25 @@ export class MeteorS3 {
     const desired = {
       Id: `uploads-${functionName}`.slice(0, 50),
       LambdaFunctionArn: lambdaArn,
-      Events: ["s3:ObjectCreated:*"],
+      Events: ["s3:ObjectCreated:*", "s3:ObjectRemoved:*"],
       Filter: { Key: { FilterRules: [{ Name: "prefix", Value: "uploads/" }] } },
     };
 
+    await this.putBucketNotification("LambdaFunctionConfigurations", desired);
+    this.log(
+      "[ensureS3UploadTrigger] S3 notification configured for prefix 'uploads/'"
+    );
+  }
+
+  /**
+   * Internal helper to add a notification to the bucket, replacing an existing one with the same Id.
+   * All other notifications of the bucket are kept.
+   * @param {String} type - "LambdaFunctionConfigurations" or "QueueConfigurations".
+   * @param {Object} desired - The notification configuration to add.
+   * @returns {Promise<void>}
+   */
+  async putBucketNotification(type, desired) {
+    // Mit Retry, falls das Ziel (Lambda/Queue) noch nicht validierbar ist
     const putWithRetry = async () => {
       const max = 8;
       for (let i = 0; i < max; i++) {
@@ -504,25 +686,22 @@ export class MeteorS3 {
             Bucket: this.bucketName,
           })
         );
-        const existing = current.LambdaFunctionConfigurations || [];
-        const filtered = existing.filter(
-          (c) =>
-            !(
-              c.LambdaFunctionArn === desired.LambdaFunctionArn &&
-              c.Id === desired.Id
-            )
-        );
-        const merged = [...filtered, desired];
+        const configuration = {
+          LambdaFunctionConfigurations:
+            current.LambdaFunctionConfigurations || [],
+          QueueConfigurations: current.QueueConfigurations || [],
+          TopicConfigurations: current.TopicConfigurations || [],
+        };
+        configuration[type] = [
+          ...configuration[type].filter((c) => c.Id !== desired.Id),
+          desired,
+        ];
 
         try {
           await this.s3Client.send(
             new PutBucketNotificationConfigurationCommand({
               Bucket: this.bucketName,
-              NotificationConfiguration: {
-                LambdaFunctionConfigurations: merged,
-                QueueConfigurations: current.QueueConfigurations || [],
-                TopicConfigurations: current.TopicConfigurations || [],
-              },
+              NotificationConfiguration: configuration,
             })
           );
           return;
@@ -543,22 +722,226 @@ export class MeteorS3 {
 
     await putWithRetry();
 
-    // 3) Verifizieren
+    // Verifizieren
     const verify = await this.s3Client.send(
       new GetBucketNotificationConfigurationCommand({ Bucket: this.bucketName })
     );
-    const ok = (verify.LambdaFunctionConfigurations || []).some(
-      (c) =>
-        c.LambdaFunctionArn === desired.LambdaFunctionArn && c.Id === desired.Id
-    );
+    const ok = (verify[type] || []).some((c) => c.Id === desired.Id);
     if (!ok) {
       throw new Error(
-        "[ensureS3UploadTrigger] Verification failed – trigger not present"
+        "[putBucketNotification] Verification failed – notification not present"
       );
     }
-    this.log(
-      "[ensureS3UploadTrigger] S3 notification configured for prefix 'uploads/'"
+  }
+
+  /**
+   * Ensures that the S3 events of objects under "uploads/" are sent to the SQS queue of this instance
+   * (confirmationStrategy "sqs"). Unless `sqsQueueUrl` is set, the queue "meteorS3-<name>-events" is created
+   * with a policy that allows the bucket to send messages to it.
+   * @returns {Promise<String>} - The URL of the queue.
+   */
+  async ensureSqsQueue() {
+    this.sqsClient = new SQSClient({
+      region: this.config.region,
+      endpoint: this.config.sqsEndpoint,
+      credentials: {
+        accessKeyId: this.config.accessKeyId,
+        secretAccessKey: this.config.secretAccessKey,
+      },
+    });
+
+    let queueUrl = this.config.sqsQueueUrl;
+    if (!queueUrl) {
+      ({ QueueUrl: queueUrl } = await this.sqsClient.send(
+        new CreateQueueCommand({
+          QueueName: `meteorS3-${this.config.name}-events`.slice(0, 80),
+        })
+      ));
+    }
+
+    const { Attributes } = await this.sqsClient.send(
+      new GetQueueAttributesCommand({
+        QueueUrl: queueUrl,
+        AttributeNames: ["QueueArn"],
+      })
     );
+    const queueArn = Attributes.QueueArn;
+
+    // The policy of an existing queue is managed by its owner
+    if (!this.config.sqsQueueUrl) {
+      await this.sqsClient.send(
+        new SetQueueAttributesCommand({
+          QueueUrl: queueUrl,
+          Attributes: {
+            Policy: JSON.stringify({
+              Version: "2012-10-17",
+              Statement: [
+                {
+                  Sid: "AllowS3Events",
+                  Effect: "Allow",
+                  Principal: { Service: "s3.amazonaws.com" },
+                  Action: "sqs:SendMessage",
+                  Resource: queueArn,
+                  Condition: {
+                    ArnEquals: {
+                      "aws:SourceArn": `arn:aws:s3:::${this.bucketName}`,
+                    },
+                  },
+                },
+              ],
+            }),
+          },
+        })
+      );
+    }
+
+    await this.putBucketNotification("QueueConfigurations", {
+      Id: `uploads-meteorS3-${this.config.name}-events`.slice(0, 50),
+      QueueArn: queueArn,
+      Events: ["s3:ObjectCreated:*", "s3:ObjectRemoved:*"],
+      Filter: { Key: { FilterRules: [{ Name: "prefix", Value: "uploads/" }] } },
+    });
+
+    this.sqsQueueUrl = queueUrl;
+    this.log(`[ensureSqsQueue] S3 events are sent to ${queueUrl}`);
+    return queueUrl;
+  }
+
+  /**
+   * Internal helper to long-poll the SQS queue of this instance until `stop` is called.
+   * Errors are logged, and polling continues after a short pause.
+   */
+  startSqsPolling() {
+    if (this.sqsPolling) {
+      return;
+    }
+    const abortController = new AbortController();
+    const done = (async () => {
+      while (!abortController.signal.aborted) {
+        try {
+          await this.pollSqsQueue({ abortSignal: abortController.signal });
+        } catch (error) {
+          if (abortController.signal.aborted) {
+            break;
+          }
+          console.error("Error polling SQS queue:", error);
+          await sleep(5000);
+        }
+      }
+    })();
+    this.sqsPolling = { abortController, done };
+  }
+
+  /**
+   * Receives S3 events from the SQS queue of this instance and handles them like the upload webhook.
+   * Handled messages are deleted. Messages that could not be handled are received again once the
+   * visibility timeout of the queue has passed.
+   * @param {Object} [param0={}]
+   * @param {Number} [param0.waitTimeSeconds=20] - How long to wait for messages (long polling).
+   * @param {AbortSignal} [param0.abortSignal] - Signal to cancel waiting for messages.
+   * @returns {Promise<Number>} - The number of handled messages.
+   */
+  async pollSqsQueue({ waitTimeSeconds = 20, abortSignal } = {}) {
+    const { Messages = [] } = await this.sqsClient.send(
+      new ReceiveMessageCommand({
+        QueueUrl: this.sqsQueueUrl,
+        MaxNumberOfMessages: 10,
+        WaitTimeSeconds: waitTimeSeconds,
+      }),
+      { abortSignal }
+    );
+
+    let handled = 0;
+    for (const message of Messages) {
+      try {
+        await this.handleSqsMessage(message);
+        await this.sqsClient.send(
+          new DeleteMessageCommand({
+            QueueUrl: this.sqsQueueUrl,
+            ReceiptHandle: message.ReceiptHandle,
+          })
+        );
+        handled++;
+      } catch (error) {
+        console.error(
+          `Error handling SQS message ${message.MessageId}:`,
+          error
+        );
+      }
+    }
+    return handled;
+  }
+
+  /**
+   * Internal helper to handle the S3 event records of an SQS message.
+   * Messages that are no S3 events, like the "s3:TestEvent" sent when the notification is configured, are ignored.
+   * @param {Object} message - The message, as received from SQS.
+   * @returns {Promise<void>}
+   */
+  async handleSqsMessage(message) {
+    let event;
+    try {
+      event = JSON.parse(message.Body);
+    } catch (_) {
+      this.log(`Ignoring SQS message ${message.MessageId}: invalid JSON`);
+      return;
+    }
+
+    for (const record of event.Records || []) {
+      if (!record.s3 || record.s3.bucket?.name !== this.bucketName) {
+        continue;
+      }
+      await this.handleS3Event({
+        // Keys are URL-encoded in S3 events, with spaces as "+"
+        key: decodeURIComponent(record.s3.object.key.replace(/\+/g, " ")),
+        eventName: record.eventName,
+      });
+    }
+  }
+
+  /**
+   * Internal helper to check pending uploads every `pollingInterval` seconds (confirmationStrategy "polling").
+   */
+  startUploadPolling() {
+    if (this.pollingTimer) {
+      return;
+    }
+    let running = false;
+    this.pollingTimer = Meteor.setInterval(() => {
+      // Skip this run if the previous one is still busy
+      if (running) {
+        return;
+      }
+      running = true;
+      this.pollPendingUploads()
+        .catch((error) => {
+          console.error("Error polling pending uploads:", error);
+        })
+        .finally(() => {
+          running = false;
+        });
+    }, this.config.pollingInterval * 1000);
+  }
+
+  /**
+   * Stops the timers of this instance (trash purge, stale upload cleanup and upload polling)
+   * and the polling of the SQS queue. Waiting for SQS messages is cancelled, messages that were already
+   * received are still handled.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    for (const timer of ["purgeTimer", "cleanupTimer", "pollingTimer"]) {
+      if (this[timer]) {
+        Meteor.clearInterval(this[timer]);
+        this[timer] = null;
+      }
+    }
+    if (this.sqsPolling) {
+      const { abortController, done } = this.sqsPolling;
+      this.sqsPolling = null;
+      abortController.abort();
+      await done;
+    }
   }
 
   async ensureRoles() {
@@ -744,6 +1127,14 @@ export class MeteorS3 {
 
     if (existingBucket) {
       this.bucketName = existingBucket.bucketName;
+      this.webhookSecret = existingBucket.webhookSecret;
+      if (!this.webhookSecret) {
+        // Buckets registered before webhooks were signed
+        this.webhookSecret = Random.secret();
+        await this.buckets.updateAsync(existingBucket._id, {
+          $set: { webhookSecret: this.webhookSecret },
+        });
+      }
       this.log(`Using existing bucket: ${this.bucketName}`);
       // Check if the bucket exists in S3
       try {
@@ -767,13 +1158,13 @@ export class MeteorS3 {
         // Optionally, you could handle this case by updating the bucket's region or throwing an error.
       }
       this.log(`Bucket ${this.bucketName} is ready for use.`);
-      return;
     } else {
       // Create a new bucket
       const newBucket = {
         instanceName: this.config.name,
         bucketName: MeteorS3.generateValidBucketName(this.config.name),
         region: this.config.region,
+        webhookSecret: Random.secret(),
         createdAt: new Date(),
       };
       // Create the bucket in S3
@@ -797,8 +1188,113 @@ export class MeteorS3 {
       }
       await this.buckets.insertAsync(newBucket);
       this.bucketName = newBucket.bucketName;
+      this.webhookSecret = newBucket.webhookSecret;
       this.log(`Created new bucket: ${this.bucketName}`);
     }
+
+    if (this.config.public) {
+      await this.ensurePublicAccess();
+    }
+
+    if (this.config.versioning) {
+      await this.ensureVersioning();
+    }
+  }
+
+  /**
+   * Enables versioning on the bucket, so uploading a new version of a file keeps the previous ones.
+   * Note that versioning can not be disabled again, only suspended.
+   * @returns {Promise<void>}
+   */
+  async ensureVersioning() {
+    try {
+      await this.s3Client.send(
+        new PutBucketVersioningCommand({
+          Bucket: this.bucketName,
+          VersioningConfiguration: { Status: "Enabled" },
+        })
+      );
+      this.log(`Bucket ${this.bucketName} is versioned.`);
+    } catch (error) {
+      console.error("Error enabling bucket versioning:", error);
+      throw new Meteor.Error(
+        "s3-bucket-versioning",
+        `Failed to enable bucket versioning: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Ensures that uploaded files of a public instance can be read anonymously.
+   * New buckets block public bucket policies by default, so this lifts the block for policies
+   * (ACLs stay blocked) and sets a policy allowing GET requests on the prefix "uploads/".
+   * @returns {Promise<void>}
+   */
+  async ensurePublicAccess() {
+    try {
+      await this.s3Client.send(
+        new PutPublicAccessBlockCommand({
+          Bucket: this.bucketName,
+          PublicAccessBlockConfiguration: {
+            BlockPublicAcls: true,
+            IgnorePublicAcls: true,
+            BlockPublicPolicy: false,
+            RestrictPublicBuckets: false,
+          },
+        })
+      );
+      await this.s3Client.send(
+        new PutBucketPolicyCommand({
+          Bucket: this.bucketName,
+          Policy: JSON.stringify({
+            Version: "2012-10-17",
+            Statement: [
+              {
+                Sid: "MeteorS3PublicRead",
+                Effect: "Allow",
+                Principal: "*",
+                Action: "s3:GetObject",
+                Resource: `arn:aws:s3:::${this.bucketName}/uploads/*`,
+              },
+            ],
+          }),
+        })
+      );
+      this.log(`Bucket ${this.bucketName} allows public read access.`);
+    } catch (error) {
+      console.error("Error setting public bucket policy:", error);
+      throw new Meteor.Error(
+        "s3-bucket-policy",
+        `Failed to set public bucket policy: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Gets the stable, unsigned URL of a file of a public instance.
+   * This does not check permissions or the file status, since everybody can read public files anyway.
+   *
+   * @param {Object} fileDoc - The file document, at least `{ key }`.
+   * @throws {Meteor.Error} If the instance is not public.
+   * @returns {String} - The public URL of the file.
+   */
+  getPublicUrl(fileDoc) {
+    check(fileDoc, Match.ObjectIncluding({ key: String }));
+    if (!this.config.public) {
+      throw new Meteor.Error(
+        "s3-not-public",
+        "Files of this instance are not public."
+      );
+    }
+    return buildObjectUrl({
+      bucket: fileDoc.bucket || this.bucketName,
+      key: fileDoc.key,
+      region: this.config.region,
+      endpoint: this.config.endpoint,
+      forcePathStyle: this.config.forcePathStyle,
+    });
   }
 
   /**
@@ -817,6 +1313,8 @@ export class MeteorS3 {
             AllowedOrigins: [
               Meteor.isDevelopment ? "*" : Meteor.absoluteUrl().slice(0, -1),
             ],
+            // The client needs the ETag of uploaded parts to complete multipart uploads
+            ExposeHeaders: ["ETag"],
             MaxAgeSeconds: 3000,
           },
         ],
@@ -856,6 +1354,7 @@ export class MeteorS3 {
         type,
         meta = {},
         context = {},
+        expiresIn,
       }) {
         check(name, String);
         check(size, Number);
@@ -869,104 +1368,627 @@ export class MeteorS3 {
           type,
           meta,
           context,
+          expiresIn,
           userId: Meteor.userId(), // Add userId to context for permission checks
         });
       },
 
-      [`meteorS3.${this.config.name}.getDownloadUrl`]: async ({
+      [`meteorS3.${this.config.name}.getUploadUrls`]: async function ({
+        files,
+        context = {},
+        expiresIn,
+      }) {
+        check(files, [Object]);
+        check(context, Object);
+
+        return await self.getUploadUrls({
+          files,
+          context,
+          expiresIn,
+          userId: Meteor.userId(), // Add userId to context for permission checks
+        });
+      },
+
+      [`meteorS3.${this.config.name}.createMultipartUpload`]: async function ({
+        name,
+        size,
+        type,
+        meta = {},
+        context = {},
+      }) {
+        check(name, String);
+        check(size, Number);
+        check(type, String);
+        check(meta, Object);
+        check(context, Object);
+
+        return await self.createMultipartUpload({
+          name,
+          size,
+          type,
+          meta,
+          context,
+          userId: Meteor.userId(),
+        });
+      },
+
+      [`meteorS3.${this.config.name}.getUploadPartUrls`]: async function ({
         fileId,
+        partNumbers,
         context = {},
-      }) => {
+      }) {
         check(fileId, String);
+        check(partNumbers, [Match.Integer]);
         check(context, Object);
-        return await self.getDownloadUrl({
+
+        return await self.getUploadPartUrls({
           fileId,
+          partNumbers,
           context,
           userId: Meteor.userId(),
         });
       },
 
-      [`meteorS3.${this.config.name}.head`]: async ({
+      [`meteorS3.${this.config.name}.completeMultipartUpload`]:
+        async function ({ fileId, parts, context = {} }) {
+          check(fileId, String);
+          check(parts, [{ PartNumber: Match.Integer, ETag: String }]);
+          check(context, Object);
+
+          return await self.completeMultipartUpload({
+            fileId,
+            parts,
+            context,
+            userId: Meteor.userId(),
+          });
+        },
+
+      [`meteorS3.${this.config.name}.listUploadedParts`]: async function ({
         fileId,
         context = {},
-      }) => {
+      }) {
         check(fileId, String);
         check(context, Object);
 
-        return await self.head({
+        return await self.listUploadedParts({
           fileId,
           context,
           userId: Meteor.userId(),
         });
       },
 
-      /**
-       * Right now it is neccessary to call this method after the file is uploaded.
-       * The MeteorS3 client will do this automatically after the upload.
-       *
-       * In the future, this will not be neccessary in production anymore, since a S3 event trigger
-       * will call the handleFileUpload handler automatically.
-       * @param {*} fileId
-       * @returns {Promise<MeteorS3FilesSchema>}
-       */
-      [`meteorS3.${this.config.name}.handleFileUploadEvent`]: async (
-        fileId
-      ) => {
+      [`meteorS3.${this.config.name}.abortMultipartUpload`]: async function ({
+        fileId,
+        context = {},
+      }) {
         check(fileId, String);
-        return await self.handleFileUploadEvent(fileId);
+        check(context, Object);
+
+        return await self.abortMultipartUpload({
+          fileId,
+          context,
+          userId: Meteor.userId(),
+        });
       },
 
-      [`meteorS3.${this.config.name}.removeFile`]: async function ({
+      [`meteorS3.${this.config.name}.cancelUpload`]: async function ({
         fileId,
         context = {},
       }) {
         check(fileId, String);
         check(context, Object);
-        return await self.removeFile({
+
+        return await self.cancelUpload({
           fileId,
           context,
           userId: Meteor.userId(),
         });
       },
-    });
-  }
 
-  /**
-   * Ensures that the REST API endpoints are available.
-   * This is called automatically when the instance is initialized and should not be called manually.
-   * @returns {Promise<void>}
-   */
-  async ensureEndpoints() {
-    WebApp.handlers.post(
-      "/api/" + encodeURIComponent(this.config.name) + "/confirm",
-      bodyParser.json(),
+      [`meteorS3.${this.config.name}.renewUploadUrl`]: async function ({
+        fileId,
+        context = {},
+        expiresIn,
+      }) {
+        check(fileId, String);
+        check(context, Object);
+
+        return await self.renewUploadUrl({
+          fileId,
+          context,
+          expiresIn,
+          userId: Meteor.userId(),
+        });
+      },
+
+      [`meteorS3.${this.config.name}.getDownloadUrl`]: async ({
+        fileId,
+        context = {},
+        disposition,
+        filename,
+        cacheControl,
+        contentType,
+        expiresIn,
+        versionId,
+      }) => {
+        check(fileId, String);
+        check(context, Object);
+        return await self.getDownloadUrl({
+          fileId,
+          context,
+          disposition,
+          filename,
+          cacheControl,
+          contentType,
+          expiresIn,
+          versionId,
+          userId: Meteor.userId(),
+        });
+      },
+
+      [`meteorS3.${this.config.name}.getVersionUploadUrl`]: async ({
+        fileId,
+        size,
+        type,
+        context = {},
+        expiresIn,
+      }) => {
+        check(fileId, String);
+        check(context, Object);
+        return await self.getVersionUploadUrl({
+          fileId,
+          size,
+          type,
+          context,
+          expiresIn,
+          userId: Meteor.userId(),
+        });
+      },
+
+      [`meteorS3.${this.config.name}.getReplaceUploadUrl`]: async ({
+        fileId,
+        name,
+        size,
+        type,
+        context = {},
+        expiresIn,
+      }) => {
+        check(fileId, String);
+        check(context, Object);
+        return await self.getReplaceUploadUrl({
+          fileId,
+          name,
+          size,
+          type,
+          context,
+          expiresIn,
+          userId: Meteor.userId(),
+        });
+      },
+
+      [`meteorS3.${this.config.name}.listVersions`]: async ({
+        fileId,
+        context = {},
+      }) => {
+        check(fileId, String);
+        check(context, Object);
+        return await self.listVersions({
+          fileId,
+          context,
+          userId: Meteor.userId(),
+        });
+      },
+
+      [`meteorS3.${this.config.name}.revertToVersion`]: async ({
+        fileId,
+        versionId,
+        context = {},
+      }) => {
+        check(fileId, String);
+        check(versionId, String);
+        check(context, Object);
+        const fileDoc = await self.revertToVersion({
+          fileId,
+          versionId,
+          context,
+          userId: Meteor.userId(),
+        });
+        return { versionId: fileDoc.versionId };
+      },
+
+      [`meteorS3.${this.config.name}.getSignedCookies`]: async ({
+        prefix,
+        context = {},
+        expiresIn,
+      }) => {
+        check(prefix, String);
+        check(context, Object);
+        return await self.getSignedCookies({
+          prefix,
+          context,
+          expiresIn,
+          userId: Meteor.userId(),
+        });
+      },
+
+      [`meteorS3.${this.config.name}.listFiles`]: async ({
+        filter = {},
+        sort,
+        limit,
+        cursor,
+        context = {},
+      }) => {
+        check(filter, Object);
+        check(context, Object);
+        const result = await self.listFiles({
+          filter,
+          sort,
+          limit,
+          cursor,
+          context,
+          userId: Meteor.userId(),
+        });
+        // Only publish the public fields to the client
+        const fields = Object.keys(self.getPublicFileFields());
+        return {
+          ...result,
+          files: result.files.map((fileDoc) =>
+            Object.fromEntries(fields.map((field) => [field, fileDoc[field]]))
+          ),
+        };
+      },
+
+      [`meteorS3.${this.config.name}.head`]: async ({
+        fileId,
+        context = {},
+      }) => {
+        check(fileId, String);
+        check(context, Object);
+
+        return await self.head({
+          fileId,
+          context,
+          userId: Meteor.userId(),
+        });
+      },
+
+      /**
+       * Right now it is neccessary to call this method after the file is uploaded.
+       * The MeteorS3 client will do this automatically after the upload.
+       *
+       * In the future, this will not be neccessary in production anymore, since a S3 event trigger
+       * will call the handleFileUpload handler automatically.
+       * @param {*} fileId
+       * @returns {Promise<MeteorS3FilesSchema>}
+       */
+      [`meteorS3.${this.config.name}.handleFileUploadEvent`]: async (
+        fileId
+      ) => {
+        check(fileId, String);
+        return await self.handleFileUploadEvent(fileId);
+      },
+
+      [`meteorS3.${this.config.name}.removeFile`]: async function ({
+        fileId,
+        context = {},
+        permanent = false,
+      }) {
+        check(fileId, String);
+        check(context, Object);
+        check(permanent, Boolean);
+        return await self.removeFile({
+          fileId,
+          context,
+          permanent,
+          userId: Meteor.userId(),
+        });
+      },
+
+      [`meteorS3.${this.config.name}.restoreFile`]: async function ({
+        fileId,
+        context = {},
+      }) {
+        check(fileId, String);
+        check(context, Object);
+        return await self.restoreFile({
+          fileId,
+          context,
+          userId: Meteor.userId(),
+        });
+      },
+    });
+  }
+
+  /**
+   * Ensures that the publication `meteorS3.<name>.files` is available.
+   * It publishes the public fields of the requested files, as far as the subscribing user has the "download" permission.
+   * This is called automatically when the instance is initialized with `publishFiles: true` and should not be called manually.
+   * @returns {Promise<void>}
+   */
+  async ensurePublications() {
+    const self = this; // Preserve context for the publication
+    Meteor.publish(
+      `meteorS3.${this.config.name}.files`,
+      async function ({ fileIds, context = {} }) {
+        check(fileIds, [String]);
+        check(context, Object);
+
+        const fileDocs = await self.files
+          .find({ _id: { $in: fileIds } })
+          .fetchAsync();
+        const permitted = [];
+        for (const fileDoc of fileDocs) {
+          if (
+            await self.handlePermissionsCheck(
+              fileDoc,
+              "download",
+              this.userId,
+              context
+            )
+          ) {
+            permitted.push(fileDoc._id);
+          }
+        }
+
+        return self.files.find(
+          { _id: { $in: permitted } },
+          { fields: self.getPublicFileFields() }
+        );
+      }
+    );
+  }
+
+  /**
+   * Ensures that the REST API endpoints are available.
+   * This is called automatically when the instance is initialized and should not be called manually.
+   * @returns {Promise<void>}
+   */
+  async ensureEndpoints() {
+    WebApp.handlers.post(
+      "/api/" + encodeURIComponent(this.config.name) + "/confirm",
+      bodyParser.json({
+        // Keep the raw body, since the signature is computed over the exact bytes sent
+        verify: (req, _res, buf) => {
+          req.rawBody = buf;
+        },
+      }),
       async (req, res) => {
         this.log("Webhook triggered");
+        const authError = this.verifyWebhookRequest(req);
+        if (authError) {
+          this.log(`Webhook rejected: ${authError}`);
+          return res.status(401).json({ error: authError });
+        }
+
         // Handle the confirmation request
-        const { key } = req.body;
+        const { key, eventName } = req.body;
 
         // Perform any necessary validation or processing
         if (!key) {
           return res.status(400).json({ error: "Missing key" });
         }
 
-        // Call the file upload confirmation handler
-        const file = await this.files.findOneAsync({ key });
-        if (!file) {
-          return res.status(404).json({ error: "File not found" });
-        }
-
-        this.handleFileUploadEvent(file._id)
-          .then(() => {
-            // Simulate a successful confirmation
-            res.status(200).json({ message: "File upload confirmed", key });
+        const removed = eventName?.startsWith("ObjectRemoved");
+        this.handleS3Event({ key, eventName })
+          .then((found) => {
+            if (!found) {
+              return res.status(404).json({ error: "File not found" });
+            }
+            res.status(200).json({
+              message: removed
+                ? "File removal handled"
+                : "File upload confirmed",
+              key,
+            });
           })
           .catch((error) => {
-            console.error("Error confirming file upload:", error);
+            console.error("Error handling S3 event:", error);
             res.status(500).json({ error: "Internal server error" });
           });
       }
     );
+
+    if (this.config.proxyDownloads) {
+      WebApp.handlers.get(
+        "/api/" + encodeURIComponent(this.config.name) + "/files/:fileId",
+        (req, res) => this.handleProxyDownload(req, res)
+      );
+    }
+  }
+
+  /**
+   * Handles an S3 event for an object, as reported by the upload webhook or the SQS queue.
+   * A created object confirms the upload, or the replacement, of its file (cf. handleFileUploadEvent).
+   * A removed object removes its file (cf. handleFileRemovedEvent).
+   *
+   * @param {Object} param0
+   * @param {String} param0.key - The key of the object.
+   * @param {String} [param0.eventName] - The S3 event name, e.g. "ObjectCreated:Put" or "ObjectRemoved:Delete".
+   * @returns {Promise<Boolean>} - false if no file matches a created object.
+   */
+  async handleS3Event({ key, eventName }) {
+    if (eventName?.startsWith("ObjectRemoved")) {
+      // Removals of objects without a file document are expected, e.g. after removeFile
+      const file = await this.files.findOneAsync({ key });
+      if (file) {
+        await this.handleFileRemovedEvent(file._id, key);
+      }
+      return true;
+    }
+
+    const file = await this.files.findOneAsync({
+      $or: [{ key }, { "replacement.key": key }],
+    });
+    if (!file) {
+      return false;
+    }
+    await this.handleFileUploadEvent(file._id, key);
+    return true;
+  }
+
+  /**
+   * Verifies the signature of a request to the webhook POST /api/<name>/confirm.
+   *
+   * The Lambda function signs the timestamp and the raw body with the webhook secret of this instance
+   * (cf. helper/webhook.js) and sends them in the headers "X-MeteorS3-Timestamp" and "X-MeteorS3-Signature".
+   * Requests older than `webhookTolerance` seconds are rejected, and each signature is accepted only once.
+   *
+   * @param {import("http").IncomingMessage} req - The request, with the `rawBody` kept by the body parser.
+   * @returns {String|undefined} - The reason why the request is rejected, or undefined if it is valid.
+   */
+  verifyWebhookRequest(req) {
+    const timestamp = Number(req.headers["x-meteors3-timestamp"]);
+    const signature = req.headers["x-meteors3-signature"];
+    if (!req.rawBody || !Number.isInteger(timestamp) || !signature) {
+      return "Missing signature";
+    }
+
+    const now = Date.now();
+    if (Math.abs(now / 1000 - timestamp) > this.config.webhookTolerance) {
+      return "Request expired";
+    }
+
+    if (
+      !isValidWebhookSignature(
+        this.webhookSecret,
+        timestamp,
+        req.rawBody,
+        signature
+      )
+    ) {
+      return "Invalid signature";
+    }
+
+    // Signatures only need to be remembered as long as their timestamp is accepted
+    this.webhookSignatures = this.webhookSignatures || new Map();
+    for (const [seen, expiresAt] of this.webhookSignatures) {
+      if (expiresAt < now) {
+        this.webhookSignatures.delete(seen);
+      }
+    }
+    if (this.webhookSignatures.has(signature)) {
+      return "Replayed request";
+    }
+    this.webhookSignatures.set(
+      signature,
+      (timestamp + this.config.webhookTolerance) * 1000
+    );
+  }
+
+  /**
+   * Handles requests to the proxy download route GET /api/<name>/files/<fileId>.
+   * The user is identified by the Meteor login token, sent as bearer token or as "meteor_login_token" cookie.
+   * The object is streamed from S3, supporting Range requests and conditional requests via If-None-Match.
+   * Add the query parameter `download` to make the browser save the file instead of displaying it.
+   *
+   * @param {import("http").IncomingMessage} req
+   * @param {import("http").ServerResponse} res
+   * @returns {Promise<void>}
+   */
+  async handleProxyDownload(req, res) {
+    const sendError = (status, message) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: message }));
+    };
+
+    let fileDoc;
+    try {
+      const userId = await this.getUserIdFromLoginToken(getLoginToken(req));
+      fileDoc = await this.findDownloadableFile({
+        fileId: req.params.fileId,
+        userId,
+        context: { proxy: true },
+      });
+    } catch (error) {
+      const status = {
+        "s3-file-not-found": 404,
+        "s3-permission-denied": 403,
+        "s3-file-not-ready": 409,
+      }[error.error];
+      if (!status) {
+        console.error("Error serving file download:", error);
+      }
+      return sendError(status || 500, status ? error.reason : "Internal error");
+    }
+
+    if (fileDoc.etag && req.headers["if-none-match"] === fileDoc.etag) {
+      res.writeHead(304, { ETag: fileDoc.etag });
+      return res.end();
+    }
+
+    const params = {
+      Bucket: this.bucketName,
+      Key: fileDoc.key,
+    };
+    if (req.headers.range) {
+      params.Range = req.headers.range;
+    }
+
+    let response;
+    try {
+      response = await this.s3Client.send(new GetObjectCommand(params));
+    } catch (error) {
+      if (error.name === "InvalidRange") {
+        res.writeHead(416, { "Content-Range": `bytes */${fileDoc.size}` });
+        return res.end();
+      }
+      console.error("Error reading file from S3:", error);
+      return sendError(502, "Failed to read file");
+    }
+
+    const headers = {
+      "Content-Type": response.ContentType || fileDoc.mimeType,
+      "Content-Length": response.ContentLength,
+      "Content-Disposition": contentDisposition(
+        fileDoc.filename,
+        req.query?.download !== undefined ? "attachment" : "inline"
+      ),
+      "Accept-Ranges": "bytes",
+      "Cache-Control": "private, no-cache",
+    };
+    if (response.ETag) {
+      headers.ETag = response.ETag;
+    }
+    if (response.LastModified) {
+      headers["Last-Modified"] = response.LastModified.toUTCString();
+    }
+    if (response.ContentRange) {
+      headers["Content-Range"] = response.ContentRange;
+    }
+
+    res.writeHead(response.ContentRange ? 206 : 200, headers);
+    // Destroys the S3 body when the client aborts, e.g. when seeking in a video, so its connection is released
+    pipeline(response.Body, res, (error) => {
+      if (error && error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+        console.error("Error streaming file from S3:", error);
+      }
+    });
+  }
+
+  /**
+   * Internal helper to get the ID of the user owning a Meteor login token.
+   * @param {String} [token] - The unhashed login token.
+   * @returns {Promise<String|undefined>} - The user ID, or undefined if the token is missing, unknown or expired.
+   */
+  async getUserIdFromLoginToken(token) {
+    if (!token) {
+      return undefined;
+    }
+    const hashedToken = Accounts._hashLoginToken(token);
+    const user = await Meteor.users.findOneAsync(
+      { "services.resume.loginTokens.hashedToken": hashedToken },
+      { fields: { "services.resume.loginTokens": 1 } }
+    );
+    const loginToken = user?.services.resume.loginTokens.find(
+      (t) => t.hashedToken === hashedToken
+    );
+    if (
+      !loginToken ||
+      Accounts._tokenExpiration(loginToken.when) < new Date()
+    ) {
+      return undefined;
+    }
+    return user._id;
   }
 
   /**
@@ -988,249 +2010,3018 @@ export class MeteorS3 {
    * @param {Object} [param0.meta={}] - Additional metadata to store with the file.
    * @param {String} [param0.userId] - The ID of the user uploading the file (optional).
    * @param {Object} [param0.context={}] - Additional context for permission checks (optional).
-   * @throws {Meteor.Error} If the user does not have permission to upload the file or if the bucket is not configured correctly.
-   * @throws {Meteor.Error} If the file document cannot be created or if the upload URL cannot be generated.
-   * @returns {Promise<Object>} - An object containing the pre-signed URL for uploading the file and the file ID.
+   * @param {Number} [param0.expiresIn] - Expiration time of the URL in seconds, bounded by `maxUploadExpiresIn` (optional).
+   * @throws {Meteor.Error} If the user does not have permission to upload the file or if the bucket is not configured correctly.
+   * @throws {Meteor.Error} If the file document cannot be created or if the upload URL cannot be generated.
+   * @returns {Promise<Object>} - An object containing the pre-signed URL for uploading the file, the HTTP method ("PUT" or "POST"), the form fields for POST uploads and the file ID.
+   */
+  async getUploadUrl({
+    name,
+    size,
+    type,
+    meta = {},
+    userId,
+    context = {},
+    expiresIn,
+  }) {
+    // Validate input parameters
+    check(name, String);
+    check(size, Number);
+    check(type, String);
+    check(meta, Object);
+    check(userId, Match.Maybe(String));
+    check(context, Object);
+    check(expiresIn, Match.Maybe(Match.Integer));
+    this.checkUploadType(type);
+
+    const { fileId, key } = await this.createFileDocument({
+      name,
+      size,
+      type,
+      meta,
+      userId,
+      context,
+    });
+
+    const upload = await this.signUpload({
+      key,
+      size,
+      type,
+      expiresIn: await this.getExpiresIn({
+        fileDoc: { filename: name, size, mimeType: type, meta },
+        action: "upload",
+        expiresIn,
+        userId,
+        context,
+      }),
+    });
+    this.log(`Generated upload URL for file: ${name}`);
+
+    return {
+      ...upload,
+      fileId, // Return the file ID for later reference
+    };
+  }
+
+  /**
+   * Generates pre-signed URLs for uploading several files at once.
+   *
+   * Each file is checked and gets its own file document, just like with `getUploadUrl`.
+   * If any file is rejected, the file documents already created for this batch are removed again,
+   * so a batch is either accepted as a whole or not at all.
+   *
+   * @param {Object} param0
+   * @param {Object[]} param0.files - The files to be uploaded, as `{ name, size, type, meta }` objects.
+   * @param {String} [param0.userId] - The ID of the user uploading the files (optional).
+   * @param {Object} [param0.context={}] - Additional context for permission checks (optional).
+   * @param {Number} [param0.expiresIn] - Expiration time of the URLs in seconds, bounded by `maxUploadExpiresIn` (optional).
+   * @throws {Meteor.Error} If any of the files can not be uploaded.
+   * @returns {Promise<Object[]>} - The upload URLs, in the same order as the files, as returned by `getUploadUrl`.
+   */
+  async getUploadUrls({ files, userId, context = {}, expiresIn }) {
+    check(files, [
+      Match.ObjectIncluding({
+        name: String,
+        size: Number,
+        type: String,
+        meta: Match.Maybe(Object),
+      }),
+    ]);
+    check(userId, Match.Maybe(String));
+    check(context, Object);
+    // Checked for all files first, so no file document is created for a batch that is rejected anyway
+    files.forEach(({ type }) => this.checkUploadType(type));
+
+    const uploads = [];
+    try {
+      // Files are processed one after another, so limits like maxFilesPerUser are counted correctly
+      for (const { name, size, type, meta = {} } of files) {
+        uploads.push(
+          await this.getUploadUrl({
+            name,
+            size,
+            type,
+            meta,
+            userId,
+            context,
+            expiresIn,
+          })
+        );
+      }
+    } catch (error) {
+      await this.files.removeAsync({
+        _id: { $in: uploads.map(({ fileId }) => fileId) },
+      });
+      throw error;
+    }
+
+    this.log(`Generated upload URLs for ${uploads.length} files`);
+    return uploads;
+  }
+
+  /**
+   * Internal helper to check the declared MIME type of a signed upload. POST policies restrict uploads to the
+   * major type of the declared MIME type (e.g. "image/"), so POST uploads need a MIME type with a major type.
+   * PUT uploads accept any type, e.g. an empty one for files without a known type.
+   * @param {String} type - The declared MIME type.
+   * @throws {Meteor.Error} If the MIME type has no major type and `uploadMethod` is "POST".
+   */
+  checkUploadType(type) {
+    if (this.config.uploadMethod === "POST" && !/^[^/]+\/./.test(type)) {
+      throw new Meteor.Error(
+        "s3-upload-invalid",
+        `POST uploads need a MIME type like "image/png", but got "${type}".`
+      );
+    }
+  }
+
+  /**
+   * Internal helper to generate the pre-signed request for uploading an object.
+   * Depending on `uploadMethod`, this is a pre-signed PUT URL or a pre-signed POST with form fields.
+   * Either way, the upload is bound to the declared size: the content length of PUT requests is signed,
+   * and POST policies contain a `content-length-range` condition that is enforced by S3.
+   *
+   * @param {Object} param0
+   * @param {String} param0.key - The S3 key of the object.
+   * @param {Number} param0.size - The declared size of the object in bytes.
+   * @param {String} param0.type - The declared MIME type of the object.
+   * @param {Number} param0.expiresIn - Expiration time of the request in seconds.
+   * @returns {Promise<Object>} - An object with the `url`, the HTTP `method` and, for POST, the form `fields`.
+   */
+  async signUpload({ key, size, type, expiresIn }) {
+    if (this.config.uploadMethod === "POST") {
+      const { url, fields } = await createPresignedPost(this.s3Client, {
+        Bucket: this.bucketName,
+        Key: key,
+        Conditions: [
+          ["content-length-range", size, size],
+          // The trailing slash keeps e.g. "image" from matching "imagefoo/bar"
+          ["starts-with", "$Content-Type", type.split("/")[0] + "/"],
+        ],
+        Fields: { "Content-Type": type },
+        Expires: expiresIn,
+      });
+      return { url, fields, method: "POST" };
+    }
+
+    // The content length is signed, so the client can not upload more bytes than declared
+    const params = {
+      Bucket: this.bucketName,
+      Key: key,
+      ContentType: type,
+      ContentLength: size,
+    };
+
+    const url = await getSignedUrl(
+      this.s3Client,
+      new PutObjectCommand(params),
+      {
+        expiresIn,
+      }
+    );
+    return { url, method: "PUT" };
+  }
+
+  /**
+   * Internal helper for all upload flows.
+   * Checks the upload permission, creates the pending file document and calls the onBeforeUpload hook.
+   *
+   * @param {Object} param0
+   * @param {String} param0.name - The name of the file to be uploaded.
+   * @param {Number} param0.size - The size of the file in bytes.
+   * @param {String} param0.type - The MIME type of the file.
+   * @param {Object} [param0.meta={}] - Additional metadata to store with the file.
+   * @param {String} [param0.userId] - The ID of the user uploading the file (optional).
+   * @param {Object} [param0.context={}] - Additional context for permission checks (optional).
+   * @param {String} [param0.status="pending"] - The initial status of the file document.
+   * @param {String} [param0.key] - The key relative to "uploads/". Generated by `onGetKey` if omitted.
+   * @param {String} [param0.ownerId] - The owner of the file, defaults to the uploading user.
+   * @throws {Meteor.Error} If the user does not have permission to upload the file.
+   * @returns {Promise<Object>} - The ID of the new file document and the S3 key of the file.
+   */
+  async createFileDocument({
+    name,
+    size,
+    type,
+    meta = {},
+    userId,
+    context = {},
+    status = "pending",
+    key: customKey,
+    ownerId = userId,
+  }) {
+    const fileInfos = {
+      filename: name,
+      size,
+      mimeType: type,
+      meta,
+    };
+
+    // Check permissions before generating the URL
+    const hasPermission = await this.handlePermissionsCheck(
+      fileInfos,
+      "upload",
+      userId,
+      context
+    );
+
+    if (!hasPermission) {
+      throw new Meteor.Error(
+        "s3-permission-denied",
+        "You do not have permission to upload this file."
+      );
+    }
+
+    await this.validateUpload(fileInfos, userId);
+
+    // The key is a unique identifier for the file in S3
+    const key =
+      "uploads/" + (customKey ?? this.onGetKey(fileInfos, userId, context));
+
+    // Create a file document to store in the database
+    const fileDoc = {
+      filename: name,
+      size,
+      mimeType: type,
+      key,
+      bucket: this.bucketName,
+      status, // In production, status "uploaded" will only be set by an event trigger on the S3 bucket
+      ownerId, // Set this if you have user management
+      createdAt: new Date(),
+      meta,
+    };
+
+    const fileId = await this.files.insertAsync(fileDoc);
+
+    const fileDocDb = await this.files.findOneAsync(fileId);
+
+    // call hook before upload
+    await this.onBeforeUpload(fileDocDb);
+
+    return { fileId, key };
+  }
+
+  /**
+   * Uploads content from server code, e.g. generated reports, imports or migrations.
+   *
+   * Like client uploads, this checks the upload permission and the upload constraints and creates a file document.
+   * Once the content is written to S3, the object is verified and `onAfterUpload` is called, just as for uploads
+   * confirmed by the S3 event trigger. Large contents are uploaded via multipart uploads automatically.
+   *
+   * @param {Object} param0
+   * @param {Buffer|Readable} param0.data - The content of the file.
+   * @param {String} param0.filename - The name of the file.
+   * @param {String} [param0.mimeType="application/octet-stream"] - The MIME type of the file.
+   * @param {Number} [param0.size] - The size of the file in bytes. Taken from the buffer, required to check size constraints before uploading a stream.
+   * @param {Object} [param0.meta={}] - Additional metadata to store with the file.
+   * @param {String} [param0.userId] - The ID of the user owning the file (optional).
+   * @param {Object} [param0.context={}] - Additional context for permission checks (optional).
+   * @throws {Meteor.Error} If the user does not have permission to upload the file or if the upload fails.
+   * @returns {Promise<MeteorS3FilesSchema>} - The file document of the uploaded file.
+   */
+  async putFile({
+    data,
+    filename,
+    mimeType = "application/octet-stream",
+    size,
+    meta = {},
+    userId,
+    context = {},
+  }) {
+    check(
+      data,
+      Match.Where((d) => Buffer.isBuffer(d) || d instanceof Readable)
+    );
+    check(filename, String);
+    check(mimeType, String);
+    check(size, Match.Maybe(Number));
+    check(meta, Object);
+    check(userId, Match.Maybe(String));
+    check(context, Object);
+
+    if (Buffer.isBuffer(data)) {
+      size = data.length;
+    }
+
+    // The status "uploading" keeps the client from cancelling or resuming an upload the server is doing itself
+    const { fileId, key } = await this.createFileDocument({
+      name: filename,
+      size,
+      type: mimeType,
+      meta,
+      userId,
+      context,
+      status: "uploading",
+    });
+
+    try {
+      const upload = new Upload({
+        client: this.s3Client,
+        params: {
+          Bucket: this.bucketName,
+          Key: key,
+          Body: data,
+          ContentType: mimeType,
+        },
+        partSize: this.config.multipartPartSize,
+      });
+      await upload.done();
+    } catch (error) {
+      await this.files.removeAsync(fileId);
+      throw new Meteor.Error(
+        "s3-upload-failed",
+        `Failed to upload file to S3: ${error.message}`
+      );
+    }
+
+    this.log(`Uploaded file from server: ${filename}`);
+    return await this.handleFileUploadEvent(fileId);
+  }
+
+  /**
+   * Downloads a file from a URL and uploads it via `putFile`.
+   * The content is streamed, so large files are never held in memory.
+   *
+   * @param {String} url - The URL to import the file from.
+   * @param {Object} [options={}]
+   * @param {String} [options.filename] - The name of the file. Defaults to the last segment of the URL path.
+   * @param {String} [options.mimeType] - The MIME type of the file. Defaults to the Content-Type of the response.
+   * @param {Object} [options.meta={}] - Additional metadata to store with the file.
+   * @param {String} [options.userId] - The ID of the user owning the file (optional).
+   * @param {Object} [options.context={}] - Additional context for permission checks (optional).
+   * @throws {Meteor.Error} If the URL can not be fetched, if the server sends no data for `importTimeout` seconds,
+   * if the file exceeds `maxFileSize` or if the upload fails.
+   * @returns {Promise<MeteorS3FilesSchema>} - The file document of the imported file.
+   */
+  async importFromUrl(
+    url,
+    { filename, mimeType, meta = {}, userId, context = {} } = {}
+  ) {
+    check(url, String);
+    check(filename, Match.Maybe(String));
+    check(mimeType, Match.Maybe(String));
+
+    const { maxFileSize } = this.config;
+    let response;
+    try {
+      response = await axios.get(url, {
+        responseType: "stream",
+        // An idle timeout: a slow server that keeps sending data is not stopped by it
+        timeout: this.config.importTimeout * 1000,
+      });
+    } catch (error) {
+      throw new Meteor.Error(
+        "s3-import-failed",
+        `Failed to fetch ${url}: ${error.message}`
+      );
+    }
+
+    const contentLength = parseInt(response.headers["content-length"], 10);
+    let data = response.data;
+    if (maxFileSize !== undefined) {
+      // Without a Content-Length, the size is only known once the file is downloaded.
+      // axios' maxContentLength does not apply to streams, so the size is limited here.
+      let received = 0;
+      const limit = new Transform({
+        transform(chunk, _encoding, callback) {
+          received += chunk.length;
+          callback(
+            received > maxFileSize
+              ? new Meteor.Error(
+                  "s3-upload-invalid",
+                  `File exceeds the maximum size of ${maxFileSize} bytes.`
+                )
+              : null,
+            chunk
+          );
+        },
+      });
+      data = pipeline(response.data, limit, () => {});
+    }
+
+    let defaultFilename = path.posix.basename(new URL(url).pathname);
+    try {
+      defaultFilename = decodeURIComponent(defaultFilename);
+    } catch (_) {
+      // Keep malformed escape sequences like "%E0" as they are
+    }
+
+    try {
+      return await this.putFile({
+        data,
+        filename: filename || defaultFilename || "download",
+        mimeType:
+          mimeType ||
+          response.headers["content-type"] ||
+          "application/octet-stream",
+        size: Number.isNaN(contentLength) ? undefined : contentLength,
+        meta,
+        userId,
+        context,
+      });
+    } finally {
+      // Release the connection if the upload was rejected before the stream was consumed
+      response.data.destroy();
+    }
+  }
+
+  /**
+   * Starts a multipart upload for large files.
+   * Like `getUploadUrl`, this checks permissions and creates a pending file document; instead of a single
+   * pre-signed URL, it returns the S3 upload ID and the part layout the client has to follow.
+   * Use `getUploadPartUrls` to get pre-signed URLs for the parts and `completeMultipartUpload` to finish the upload.
+   *
+   * @param {Object} param0
+   * @param {String} param0.name - The name of the file to be uploaded.
+   * @param {Number} param0.size - The size of the file in bytes.
+   * @param {String} param0.type - The MIME type of the file (e.g., "video/mp4").
+   * @param {Object} [param0.meta={}] - Additional metadata to store with the file.
+   * @param {String} [param0.userId] - The ID of the user uploading the file (optional).
+   * @param {Object} [param0.context={}] - Additional context for permission checks (optional).
+   * @throws {Meteor.Error} If the user does not have permission to upload the file or if S3 rejects the multipart upload.
+   * @returns {Promise<Object>} - An object containing the file ID, the upload ID, the part size and the number of parts.
+   */
+  async createMultipartUpload({
+    name,
+    size,
+    type,
+    meta = {},
+    userId,
+    context = {},
+  }) {
+    check(name, String);
+    check(size, Number);
+    check(type, String);
+    check(meta, Object);
+    check(userId, Match.Maybe(String));
+    check(context, Object);
+
+    const { fileId, key } = await this.createFileDocument({
+      name,
+      size,
+      type,
+      meta,
+      userId,
+      context,
+    });
+
+    let uploadId;
+    try {
+      const result = await this.s3Client.send(
+        new CreateMultipartUploadCommand({
+          Bucket: this.bucketName,
+          Key: key,
+          ContentType: type,
+        })
+      );
+      uploadId = result.UploadId;
+    } catch (error) {
+      await this.files.removeAsync(fileId);
+      throw new Meteor.Error(
+        "s3-multipart-failed",
+        `Failed to create multipart upload: ${error.message}`
+      );
+    }
+
+    const partSize = MeteorS3.getPartSize(size, this.config.multipartPartSize);
+    const partCount = Math.max(1, Math.ceil(size / partSize));
+
+    await this.files.updateAsync(fileId, {
+      $set: { uploadId, partSize },
+    });
+    this.log(
+      `Created multipart upload for file: ${name} (${partCount} parts of ${partSize} bytes)`
+    );
+
+    return { fileId, uploadId, partSize, partCount };
+  }
+
+  /**
+   * Generates pre-signed URLs for uploading parts of a multipart upload.
+   * Request the URLs shortly before uploading the parts, since they expire after `uploadExpiresIn` seconds (cf. `onGetExpiry`).
+   * Each URL is bound to the size of its part: `partSize` bytes, or the rest of the file for the last part.
+   *
+   * @param {Object} param0
+   * @param {String} param0.fileId - The ID of the file that is uploaded.
+   * @param {Number[]} param0.partNumbers - The numbers of the parts to get URLs for (starting with 1).
+   * @param {String} [param0.userId] - The ID of the user uploading the file (optional).
+   * @param {Object} [param0.context={}] - Additional context for permission checks (optional).
+   * @throws {Meteor.Error} If the file has no active multipart upload or if the user does not have permission to upload it.
+   * @returns {Promise<Object[]>} - A list of `{ partNumber, url }` objects.
+   */
+  async getUploadPartUrls({ fileId, partNumbers, userId, context = {} }) {
+    check(fileId, String);
+    check(partNumbers, [Match.Integer]);
+    check(userId, Match.Maybe(String));
+    check(context, Object);
+
+    const fileDoc = await this.findMultipartUpload({ fileId, userId, context });
+    const partCount = Math.max(1, Math.ceil(fileDoc.size / fileDoc.partSize));
+    // Keeps long running or resumed uploads from being cleaned up as stale
+    await this.files.updateAsync(fileId, { $set: { updatedAt: new Date() } });
+    const expiresIn = await this.getExpiresIn({
+      fileDoc,
+      action: "upload",
+      userId,
+      context,
+    });
+
+    return Promise.all(
+      partNumbers.map(async (partNumber) => {
+        if (partNumber < 1 || partNumber > partCount) {
+          throw new Meteor.Error(
+            "s3-invalid-part",
+            `Part number ${partNumber} is out of range.`
+          );
+        }
+        // As for single uploads, the content length is signed, so no part can be larger or smaller than planned
+        const url = await getSignedUrl(
+          this.s3Client,
+          new UploadPartCommand({
+            Bucket: this.bucketName,
+            Key: fileDoc.key,
+            UploadId: fileDoc.uploadId,
+            PartNumber: partNumber,
+            ContentLength:
+              partNumber < partCount
+                ? fileDoc.partSize
+                : fileDoc.size - (partCount - 1) * fileDoc.partSize,
+          }),
+          {
+            expiresIn,
+          }
+        );
+        return { partNumber, url };
+      })
+    );
+  }
+
+  /**
+   * Completes a multipart upload, so S3 assembles the uploaded parts to the final object.
+   * The file status is set to "uploaded" afterwards by the S3 event trigger, as for single uploads.
+   *
+   * @param {Object} param0
+   * @param {String} param0.fileId - The ID of the file that is uploaded.
+   * @param {Object[]} param0.parts - The uploaded parts as `{ PartNumber, ETag }` objects.
+   * @param {String} [param0.userId] - The ID of the user uploading the file (optional).
+   * @param {Object} [param0.context={}] - Additional context for permission checks (optional).
+   * @throws {Meteor.Error} If the file has no active multipart upload or if S3 fails to complete the upload.
+   * @returns {Promise<String>} - The ID of the file.
+   */
+  async completeMultipartUpload({ fileId, parts, userId, context = {} }) {
+    check(fileId, String);
+    check(parts, [{ PartNumber: Match.Integer, ETag: String }]);
+    check(userId, Match.Maybe(String));
+    check(context, Object);
+
+    const fileDoc = await this.findMultipartUpload({ fileId, userId, context });
+
+    try {
+      await this.s3Client.send(
+        new CompleteMultipartUploadCommand({
+          Bucket: this.bucketName,
+          Key: fileDoc.key,
+          UploadId: fileDoc.uploadId,
+          MultipartUpload: {
+            Parts: [...parts].sort((a, b) => a.PartNumber - b.PartNumber),
+          },
+        })
+      );
+    } catch (error) {
+      throw new Meteor.Error(
+        "s3-multipart-failed",
+        `Failed to complete multipart upload: ${error.message}`
+      );
+    }
+
+    await this.files.updateAsync(fileId, {
+      $unset: { uploadId: "", partSize: "" },
+    });
+    this.log(`Completed multipart upload for file: ${fileDoc.filename}`);
+
+    return fileId;
+  }
+
+  /**
+   * Lists the parts of a multipart upload that are already stored in S3.
+   * Use this to resume an interrupted upload: the client only needs to upload the missing parts
+   * and can then call `completeMultipartUpload` as usual.
+   *
+   * @param {Object} param0
+   * @param {String} param0.fileId - The ID of the file that is uploaded.
+   * @param {String} [param0.userId] - The ID of the user uploading the file (optional).
+   * @param {Object} [param0.context={}] - Additional context for permission checks (optional).
+   * @throws {Meteor.Error} If the file has no active multipart upload or if the upload does not exist in S3 anymore.
+   * @returns {Promise<Object>} - The part layout of the upload (`size`, `partSize`, `partCount`) and the uploaded parts as `{ PartNumber, ETag, Size }` objects.
+   */
+  async listUploadedParts({ fileId, userId, context = {} }) {
+    check(fileId, String);
+    check(userId, Match.Maybe(String));
+    check(context, Object);
+
+    const fileDoc = await this.findMultipartUpload({ fileId, userId, context });
+
+    const parts = [];
+    let partNumberMarker;
+    try {
+      do {
+        const result = await this.s3Client.send(
+          new ListPartsCommand({
+            Bucket: this.bucketName,
+            Key: fileDoc.key,
+            UploadId: fileDoc.uploadId,
+            PartNumberMarker: partNumberMarker,
+          })
+        );
+        (result.Parts || []).forEach(({ PartNumber, ETag, Size }) =>
+          parts.push({ PartNumber, ETag, Size })
+        );
+        partNumberMarker = result.IsTruncated
+          ? result.NextPartNumberMarker
+          : undefined;
+      } while (partNumberMarker);
+    } catch (error) {
+      if (error.name === "NoSuchUpload") {
+        throw new Meteor.Error(
+          "s3-upload-not-resumable",
+          "The multipart upload does not exist anymore."
+        );
+      }
+      throw new Meteor.Error(
+        "s3-multipart-failed",
+        `Failed to list uploaded parts: ${error.message}`
+      );
+    }
+
+    return {
+      fileId,
+      size: fileDoc.size,
+      partSize: fileDoc.partSize,
+      partCount: Math.max(1, Math.ceil(fileDoc.size / fileDoc.partSize)),
+      parts,
+    };
+  }
+
+  /**
+   * Aborts a multipart upload and removes the file document, so no orphaned parts remain in the bucket.
+   *
+   * @param {Object} param0
+   * @param {String} param0.fileId - The ID of the file that is uploaded.
+   * @param {String} [param0.userId] - The ID of the user uploading the file (optional).
+   * @param {Object} [param0.context={}] - Additional context for permission checks (optional).
+   * @throws {Meteor.Error} If the file has no active multipart upload or if S3 fails to abort the upload.
+   * @returns {Promise<void>}
+   */
+  async abortMultipartUpload({ fileId, userId, context = {} }) {
+    check(fileId, String);
+    check(userId, Match.Maybe(String));
+    check(context, Object);
+
+    const fileDoc = await this.findMultipartUpload({ fileId, userId, context });
+
+    try {
+      await this.s3Client.send(
+        new AbortMultipartUploadCommand({
+          Bucket: this.bucketName,
+          Key: fileDoc.key,
+          UploadId: fileDoc.uploadId,
+        })
+      );
+    } catch (error) {
+      throw new Meteor.Error(
+        "s3-multipart-failed",
+        `Failed to abort multipart upload: ${error.message}`
+      );
+    }
+
+    await this.files.removeAsync(fileId);
+    this.log(`Aborted multipart upload for file: ${fileDoc.filename}`);
+  }
+
+  /**
+   * Cancels a pending upload and removes the file document.
+   * For multipart uploads, the upload is aborted in S3, so no orphaned parts are billed.
+   *
+   * @param {Object} param0
+   * @param {String} param0.fileId - The ID of the file that is uploaded.
+   * @param {String} [param0.userId] - The ID of the user uploading the file (optional).
+   * @param {Object} [param0.context={}] - Additional context for permission checks (optional).
+   * @throws {Meteor.Error} If the file is not pending anymore or if the user does not have permission to upload it.
+   * @returns {Promise<void>}
+   */
+  async cancelUpload({ fileId, userId, context = {} }) {
+    check(fileId, String);
+    check(userId, Match.Maybe(String));
+    check(context, Object);
+
+    const fileDoc = await this.findPendingUpload({ fileId, userId, context });
+
+    try {
+      if (fileDoc.uploadId) {
+        await this.s3Client.send(
+          new AbortMultipartUploadCommand({
+            Bucket: this.bucketName,
+            Key: fileDoc.key,
+            UploadId: fileDoc.uploadId,
+          })
+        );
+      }
+      // A single upload might have reached S3 before it was cancelled
+      await this.s3Client.send(
+        new DeleteObjectCommand({ Bucket: this.bucketName, Key: fileDoc.key })
+      );
+    } catch (error) {
+      if (error.name !== "NoSuchUpload") {
+        throw new Meteor.Error(
+          "s3-cancel-failed",
+          `Failed to cancel upload: ${error.message}`
+        );
+      }
+    }
+
+    await this.files.removeAsync(fileId);
+    this.log(`Cancelled upload of file: ${fileDoc.filename}`);
+  }
+
+  /**
+   * Generates a new pre-signed request for a pending single upload, e.g. when a paused upload is resumed
+   * after the URL from `getUploadUrl` has expired. Multipart uploads request URLs per part instead (cf. `getUploadPartUrls`).
+   *
+   * @param {Object} param0
+   * @param {String} param0.fileId - The ID of the file that is uploaded.
+   * @param {String} [param0.userId] - The ID of the user uploading the file (optional).
+   * @param {Object} [param0.context={}] - Additional context for permission checks (optional).
+   * @param {Number} [param0.expiresIn] - Expiration time of the URL in seconds, bounded by `maxUploadExpiresIn` (optional).
+   * @throws {Meteor.Error} If the file is not pending anymore, if it is uploaded in parts or if the user does not have permission to upload it.
+   * @returns {Promise<Object>} - The upload URL, the HTTP method, the form fields for POST uploads and the file ID, as returned by `getUploadUrl`.
+   */
+  async renewUploadUrl({ fileId, userId, context = {}, expiresIn }) {
+    check(fileId, String);
+    check(userId, Match.Maybe(String));
+    check(context, Object);
+    check(expiresIn, Match.Maybe(Match.Integer));
+
+    const fileDoc = await this.findPendingUpload({ fileId, userId, context });
+    if (fileDoc.uploadId) {
+      throw new Meteor.Error(
+        "s3-multipart-upload",
+        "The file is uploaded in parts, use getUploadPartUrls instead."
+      );
+    }
+    // Keeps resumed uploads from being cleaned up as stale
+    await this.files.updateAsync(fileId, { $set: { updatedAt: new Date() } });
+
+    const upload = await this.signUpload({
+      key: fileDoc.key,
+      size: fileDoc.size,
+      type: fileDoc.mimeType,
+      expiresIn: await this.getExpiresIn({
+        fileDoc,
+        action: "upload",
+        expiresIn,
+        userId,
+        context,
+      }),
+    });
+    this.log(`Renewed upload URL for file: ${fileId}`);
+
+    return { ...upload, fileId };
+  }
+
+  /**
+   * Internal helper to get the file document of a pending upload.
+   * Only the owner of the upload may continue or cancel it, and the "upload" permission is checked again.
+   *
+   * @param {Object} param0
+   * @param {String} param0.fileId - The ID of the file that is uploaded.
+   * @param {String} [param0.userId] - The ID of the user uploading the file (optional).
+   * @param {Object} [param0.context={}] - Additional context for permission checks (optional).
+   * @throws {Meteor.Error} If the file does not exist, is not pending anymore or if the user does not have permission to upload it.
+   * @returns {Promise<Object>} - The file document.
+   */
+  async findPendingUpload({ fileId, userId, context = {} }) {
+    const fileDoc = await this.files.findOneAsync(fileId);
+    if (!fileDoc) {
+      throw new Meteor.Error("s3-file-not-found", "File not found.");
+    }
+
+    if (fileDoc.status !== "pending") {
+      throw new Meteor.Error(
+        "s3-upload-not-pending",
+        "The upload of this file is not pending anymore."
+      );
+    }
+
+    const hasPermission =
+      fileDoc.ownerId === userId &&
+      (await this.handlePermissionsCheck(fileDoc, "upload", userId, context));
+    if (!hasPermission) {
+      throw new Meteor.Error(
+        "s3-permission-denied",
+        "You do not have permission to upload this file."
+      );
+    }
+
+    return fileDoc;
+  }
+
+  /**
+   * Internal helper to get the file document of an active multipart upload.
+   *
+   * @param {Object} param0
+   * @param {String} param0.fileId - The ID of the file that is uploaded.
+   * @param {String} [param0.userId] - The ID of the user uploading the file (optional).
+   * @param {Object} [param0.context={}] - Additional context for permission checks (optional).
+   * @throws {Meteor.Error} If the file has no active multipart upload or if the user does not have permission to upload it.
+   * @returns {Promise<Object>} - The file document.
+   */
+  async findMultipartUpload({ fileId, userId, context = {} }) {
+    const fileDoc = await this.findPendingUpload({ fileId, userId, context });
+
+    if (!fileDoc.uploadId) {
+      throw new Meteor.Error(
+        "s3-no-multipart-upload",
+        "There is no active multipart upload for this file."
+      );
+    }
+
+    return fileDoc;
+  }
+
+  /**
+   * Checks the file infos of an upload against the upload constraints of this instance
+   * (`maxFileSize`, `minFileSize`, `allowedMimeTypes`, `allowedExtensions` and `maxFilesPerUser`).
+   *
+   * @param {Object} fileInfos - The file infos as `{ filename, size, mimeType }`.
+   * @param {String} [userId] - The ID of the user uploading the file (optional).
+   * @throws {Meteor.Error} If the file violates the upload constraints.
+   * @returns {Promise<void>}
+   */
+  async validateUpload(fileInfos, userId) {
+    const violation = getUploadViolation(fileInfos, this.config);
+    if (violation) {
+      throw new Meteor.Error("s3-upload-invalid", violation);
+    }
+
+    if (this.config.maxFilesPerUser !== undefined && userId) {
+      // Files in the trash, invalid uploads and abandoned uploads do not count
+      const count = await this.files.countDocuments({
+        ownerId: userId,
+        $or: [
+          { status: "uploaded" },
+          {
+            status: { $in: ["pending", "uploading"] },
+            ...lastActivity(
+              "$gte",
+              new Date(Date.now() - this.config.maxUploadExpiresIn * 1000)
+            ),
+          },
+        ],
+      });
+      if (count >= this.config.maxFilesPerUser) {
+        throw new Meteor.Error(
+          "s3-upload-invalid",
+          `You can not upload more than ${this.config.maxFilesPerUser} files.`
+        );
+      }
+    }
+  }
+
+  /**
+   * Gets the metadata for a file in S3.
+   * @param {Object} param0 - The parameters for getting the file metadata.
+   * @param {String} param0.fileId - The ID of the file to get metadata for.
+   * @param {Object} [param0.context={}] - Optional context object, can contain data for permission checks on the server side via onCheckPermissions-Hook.
+   * @returns {Promise<Object>} - The metadata of the file, for instance the file size and MIME type and s3 status (pending or uploaded)
+   * @throws {Meteor.Error} - If the metadata cannot be obtained.
+   */
+  async head({ fileId, context = {}, userId }) {
+    check(fileId, String);
+    check(context, Object);
+    check(userId, Match.Maybe(String));
+
+    const file = await this.files.findOneAsync(fileId);
+    if (!file) {
+      throw new Meteor.Error("s3-file-not-found", "File not found.");
+    }
+
+    const hasPermission = await this.handlePermissionsCheck(
+      file,
+      "download",
+      userId,
+      context
+    );
+    if (!hasPermission) {
+      throw new Meteor.Error(
+        "s3-permission-denied",
+        "You do not have permission to access this file."
+      );
+    }
+
+    const result = await this.files.findOneAsync(fileId, {
+      fields: this.getPublicFileFields(),
+    });
+
+    this.log(`Getting HEAD for file ID: ${fileId}`);
+    return result;
+  }
+
+  /**
+   * Lists the files of this instance with cursor-based pagination.
+   * Only files the user has the "download" permission for are returned, so a page may contain fewer files
+   * than `limit` only if there are no more files.
+   *
+   * @param {Object} param0
+   * @param {Object} [param0.selector={}] - A MongoDB selector for the file documents. Never pass selectors from clients, use `filter` instead.
+   * @param {Object} [param0.filter={}] - A structured filter by `ownerId`, `mimeType` (e.g. "image/*"), `status`, `createdAfter`, `createdBefore` and `meta` values.
+   * Files in the trash are excluded unless filtered by `status: "deleted"`.
+   * @param {Object} [param0.sort={ createdAt: -1 }] - Sort order by one of the fields `createdAt`, `filename` or `size`.
+   * @param {Number} [param0.limit=50] - The maximum number of files per page (at most 1000).
+   * @param {String} [param0.cursor] - The `nextCursor` of the previous page.
+   * @param {String} [param0.userId] - The ID of the user listing the files (optional).
+   * @param {Object} [param0.context={}] - Additional context for permission checks (optional).
+   * @throws {Meteor.Error} If the sort order, the filter or the cursor are invalid.
+   * @returns {Promise<Object>} - An object with the `files` of the page and the `nextCursor`, which is null on the last page.
+   */
+  async listFiles({
+    selector = {},
+    filter = {},
+    sort = { createdAt: -1 },
+    limit = 50,
+    cursor,
+    userId,
+    context = {},
+  }) {
+    check(selector, Object);
+    check(filter, {
+      ownerId: Match.Maybe(String),
+      mimeType: Match.Maybe(String),
+      status: Match.Maybe(Match.OneOf(String, [String])),
+      createdAfter: Match.Maybe(Date),
+      createdBefore: Match.Maybe(Date),
+      // Only plain values, so clients can not inject query operators
+      meta: Match.Maybe(
+        Match.Where(
+          (meta) =>
+            typeof meta === "object" &&
+            meta !== null &&
+            Object.values(meta).every((value) =>
+              ["string", "number", "boolean"].includes(typeof value)
+            )
+        )
+      ),
+    });
+    check(sort, Object);
+    check(
+      limit,
+      Match.Where((n) => Match.test(n, Match.Integer) && n > 0 && n <= 1000)
+    );
+    check(cursor, Match.Maybe(String));
+    check(userId, Match.Maybe(String));
+    check(context, Object);
+
+    const sortEntries = Object.entries(sort);
+    if (
+      sortEntries.length !== 1 ||
+      !["createdAt", "filename", "size"].includes(sortEntries[0][0]) ||
+      ![1, -1].includes(sortEntries[0][1])
+    ) {
+      throw new Meteor.Error(
+        "s3-invalid-sort",
+        "Files can be sorted by createdAt, filename or size only."
+      );
+    }
+    const [[sortField, sortOrder]] = sortEntries;
+
+    let filterSelector;
+    try {
+      filterSelector = {
+        $and: [
+          selector,
+          // Files in the trash are listed only on request
+          filter.status === undefined ? { status: { $ne: "deleted" } } : {},
+          buildFileSelector(filter),
+        ],
+      };
+    } catch (error) {
+      throw new Meteor.Error("s3-invalid-filter", error.message);
+    }
+
+    let last;
+    try {
+      last = cursor && decodeCursor(cursor, sortField);
+    } catch {
+      throw new Meteor.Error("s3-invalid-cursor", "Invalid cursor.");
+    }
+
+    const files = [];
+    let hasMore = true;
+    // Files the user may not see are skipped, so keep fetching until the page is full
+    while (files.length < limit && hasMore) {
+      const batch = await this.files
+        .find(
+          last
+            ? {
+                $and: [filterSelector, selectAfter(last, sortField, sortOrder)],
+              }
+            : filterSelector,
+          { sort: { [sortField]: sortOrder, _id: sortOrder }, limit: limit + 1 }
+        )
+        .fetchAsync();
+      hasMore = batch.length > limit;
+      const page = batch.slice(0, limit);
+
+      for (const [index, fileDoc] of page.entries()) {
+        last = fileDoc;
+        const hasPermission = await this.handlePermissionsCheck(
+          fileDoc,
+          "download",
+          userId,
+          context
+        );
+        if (hasPermission) {
+          files.push(fileDoc);
+        }
+        if (files.length === limit) {
+          hasMore = hasMore || index < page.length - 1;
+          break;
+        }
+      }
+    }
+
+    this.log(`Listed ${files.length} files`);
+    return {
+      files,
+      nextCursor: hasMore ? encodeCursor(last, sortField) : null,
+    };
+  }
+
+  /**
+   * Internal helper to get the fields of file documents that are visible to clients.
+   * @returns {Object} - The fields specifier.
+   */
+  getPublicFileFields() {
+    // Files of public instances are readable anyway, so the client may build their public URL
+    return this.config.public
+      ? { ...publicFileFields, key: 1, bucket: 1 }
+      : publicFileFields;
+  }
+
+  /**
+   * This method generates a pre-signed URL for downloading a file from S3.
+   * It checks permissions and the file status before generating the URL.
+   * The response of S3 carries a Content-Disposition header with the original filename, so browsers
+   * do not save the file under its S3 key.
+   *
+   * @param {Object} param0 - The parameters for generating the download URL.
+   * @param {String} param0.fileId - The ID of the file to be downloaded.
+   * @param {Object} [param0.context={}] - Additional context for permission checks (optional).
+   * @param {String} [param0.userId] - The ID of the user requesting the download (optional).
+   * @param {String} [param0.disposition="inline"] - "inline" to display the file in the browser, "attachment" to save it.
+   * @param {String} [param0.filename] - The filename the browser should use. Defaults to the original filename.
+   * @param {String} [param0.cacheControl] - Overrides the Cache-Control header of the response (optional).
+   * @param {String} [param0.contentType] - Overrides the Content-Type header of the response (optional).
+   * @param {Number} [param0.expiresIn] - Expiration time of the URL in seconds, bounded by `maxDownloadExpiresIn` (optional).
+   * @param {String} [param0.versionId] - Download a previous version of the file instead of the current one (cf. `listVersions`).
+   * @throws {Meteor.Error} If the file does not exist, if the user does not have permission to download the file, or if the file is not ready for download.
+   * @throws {Meteor.Error} If the version does not belong to the file.
+   * @throws {Meteor.Error} If the file status is not "uploaded".
+   * @throws {Meteor.Error} If the S3 client fails to generate the pre-signed URL.
+   * @returns {Promise<String>} - The pre-signed URL for downloading the file.
+   */
+  async getDownloadUrl({
+    fileId,
+    context = {},
+    userId,
+    disposition = "inline",
+    filename,
+    cacheControl,
+    contentType,
+    expiresIn,
+    versionId,
+  }) {
+    // Validate the file document
+    check(fileId, String);
+    check(expiresIn, Match.Maybe(Match.Integer));
+    check(versionId, Match.Maybe(String));
+    check(context, Object);
+    check(disposition, Match.OneOf("inline", "attachment"));
+    check(filename, Match.Maybe(String));
+    check(cacheControl, Match.Maybe(String));
+    check(contentType, Match.Maybe(String));
+    const fileDoc = await this.findDownloadableFile({
+      fileId,
+      userId,
+      context,
+    });
+    if (versionId) {
+      this.findVersion(fileDoc, versionId);
+    }
+
+    const urlExpiresIn = await this.getExpiresIn({
+      fileDoc,
+      action: "download",
+      expiresIn,
+      userId,
+      context,
+    });
+    const responseDisposition = contentDisposition(
+      filename || fileDoc.filename,
+      disposition
+    );
+
+    if (this.config.cdn) {
+      // The distribution has to forward these query parameters to S3
+      const query = { "response-content-disposition": responseDisposition };
+      if (cacheControl) {
+        query["response-cache-control"] = cacheControl;
+      }
+      if (contentType) {
+        query["response-content-type"] = contentType;
+      }
+      if (versionId) {
+        query.versionId = versionId;
+      }
+      return getCloudFrontSignedUrl({
+        url: buildCdnUrl(this.config.cdn.domain, fileDoc.key, query),
+        keyPairId: this.config.cdn.keyPairId,
+        privateKey: this.config.cdn.privateKey,
+        dateLessThan: new Date(Date.now() + urlExpiresIn * 1000).toISOString(),
+      });
+    }
+
+    // Generate a pre-signed URL for downloading the file
+    const params = {
+      Bucket: this.bucketName,
+      Key: fileDoc.key,
+      ResponseContentDisposition: responseDisposition,
+    };
+    if (cacheControl) {
+      params.ResponseCacheControl = cacheControl;
+    }
+    if (contentType) {
+      params.ResponseContentType = contentType;
+    }
+    if (versionId) {
+      params.VersionId = versionId;
+    }
+
+    return getSignedUrl(this.s3Client, new GetObjectCommand(params), {
+      expiresIn: urlExpiresIn,
+    });
+  }
+
+  /**
+   * Issues CloudFront signed cookies for all files with a common key prefix, e.g. a gallery,
+   * so they can be viewed with a single authorization. Requires the `cdn` config.
+   *
+   * Since the cookies grant access to every file with the prefix, the permission is checked with the distinct
+   * action "download-prefix" and the pseudo file document `{ prefix }`, so hooks have to grant it explicitly.
+   * The cookies have to be set for the domain of the distribution, cf. README.
+   *
+   * @param {Object} param0
+   * @param {String} param0.prefix - The non-empty key prefix, relative to "uploads/" (cf. `onGetKey`).
+   * @param {Object} [param0.context={}] - Additional context for permission checks (optional).
+   * @param {String} [param0.userId] - The ID of the user requesting the cookies (optional).
+   * @param {Number} [param0.expiresIn] - Expiration time of the cookies in seconds, bounded by `maxDownloadExpiresIn` (optional).
+   * @throws {Meteor.Error} If no CDN is configured or if the user does not have permission to download the files.
+   * @returns {Promise<Object>} - The `cookies` as name-value pairs, the `resource` URL pattern they grant access to and their `expires` date.
+   */
+  async getSignedCookies({ prefix, context = {}, userId, expiresIn }) {
+    // "*" and "?" are wildcards in CloudFront policies, so they must not appear in the prefix itself.
+    // An empty prefix would grant access to all files.
+    check(
+      prefix,
+      Match.Where((p) => typeof p === "string" && p !== "" && !/[*?]/.test(p))
+    );
+    check(context, Object);
+    check(userId, Match.Maybe(String));
+    check(expiresIn, Match.Maybe(Match.Integer));
+
+    if (!this.config.cdn) {
+      throw new Meteor.Error(
+        "s3-no-cdn",
+        "No CDN is configured for this instance."
+      );
+    }
+
+    const hasPermission = await this.handlePermissionsCheck(
+      { prefix },
+      "download-prefix",
+      userId,
+      context
+    );
+    if (!hasPermission) {
+      throw new Meteor.Error(
+        "s3-permission-denied",
+        "You do not have permission to download these files."
+      );
+    }
+
+    const cookiesExpiresIn = await this.getExpiresIn({
+      fileDoc: { prefix },
+      action: "download-prefix",
+      expiresIn,
+      userId,
+      context,
+    });
+    const expires = new Date(Date.now() + cookiesExpiresIn * 1000);
+    const resource =
+      buildCdnUrl(this.config.cdn.domain, "uploads/" + prefix) + "*";
+
+    const cookies = getCloudFrontSignedCookies({
+      keyPairId: this.config.cdn.keyPairId,
+      privateKey: this.config.cdn.privateKey,
+      policy: JSON.stringify({
+        Statement: [
+          {
+            Resource: resource,
+            Condition: {
+              DateLessThan: {
+                "AWS:EpochTime": Math.floor(expires.getTime() / 1000),
+              },
+            },
+          },
+        ],
+      }),
+    });
+
+    this.log(`Issued signed cookies for prefix: ${prefix}`);
+    return { cookies, resource, expires };
+  }
+
+  /**
+   * Gets the content of a file as a readable stream, directly from S3.
+   * Use this in server code to process large files without loading them into memory.
+   *
+   * @param {Object} param0
+   * @param {String} param0.fileId - The ID of the file to be read.
+   * @param {Object} [param0.range] - Optional byte range to read, as `{ start, end }` (both inclusive, `end` is optional).
+   * @param {Object} [param0.context={}] - Additional context for permission checks (optional).
+   * @param {String} [param0.userId] - The ID of the user requesting the file (optional).
+   * @throws {Meteor.Error} If the file does not exist, if the user does not have permission to download the file, or if the file is not ready for download.
+   * @throws {Meteor.Error} If the range is not satisfiable or if the object can not be read from S3.
+   * @returns {Promise<Readable>} - The content of the file.
+   */
+  async getFileStream({ fileId, range, context = {}, userId }) {
+    check(fileId, String);
+    check(range, Match.Maybe({ start: Number, end: Match.Maybe(Number) }));
+    check(context, Object);
+    check(userId, Match.Maybe(String));
+    const fileDoc = await this.findDownloadableFile({
+      fileId,
+      userId,
+      context,
+    });
+
+    const params = {
+      Bucket: this.bucketName,
+      Key: fileDoc.key,
+    };
+    if (range) {
+      params.Range = `bytes=${range.start}-${range.end ?? ""}`;
+    }
+
+    try {
+      const response = await this.s3Client.send(new GetObjectCommand(params));
+      return response.Body;
+    } catch (error) {
+      if (error.name === "InvalidRange") {
+        throw new Meteor.Error(
+          "s3-invalid-range",
+          "The requested range is not satisfiable."
+        );
+      }
+      throw new Meteor.Error(
+        "s3-download-failed",
+        `Failed to read file from S3: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Gets the content of a file as a Buffer, directly from S3.
+   * Takes the same parameters as `getFileStream`; only use this for files that fit into memory.
+   *
+   * @param {Object} param0 - cf. `getFileStream`
+   * @returns {Promise<Buffer>} - The content of the file.
+   */
+  async getFileBuffer(params) {
+    const stream = await this.getFileStream(params);
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Internal helper to determine the expiration time of a pre-signed URL.
+   * The `onGetExpiry` hook takes precedence over the expiration time requested by the caller, which in turn
+   * takes precedence over `uploadExpiresIn` or `downloadExpiresIn`. The result is bounded by
+   * `maxUploadExpiresIn` or `maxDownloadExpiresIn`.
+   *
+   * @param {Object} param0
+   * @param {Object} param0.fileDoc - The file document. For uploads, this may only be `{ filename, size, mimeType, meta }`.
+   * @param {String} param0.action - "upload" or "download".
+   * @param {Number} [param0.expiresIn] - The expiration time requested by the caller in seconds (optional).
+   * @param {String} [param0.userId] - The ID of the user requesting the URL (optional).
+   * @param {Object} [param0.context={}] - Additional context (optional).
+   * @returns {Promise<Number>} - The expiration time in seconds.
+   */
+  async getExpiresIn({ fileDoc, action, expiresIn, userId, context = {} }) {
+    const isUpload = action === "upload";
+    const max = isUpload
+      ? this.config.maxUploadExpiresIn
+      : this.config.maxDownloadExpiresIn;
+    const fallback = isUpload
+      ? this.config.uploadExpiresIn
+      : this.config.downloadExpiresIn;
+
+    const hookExpiresIn = await this.onGetExpiry(
+      fileDoc,
+      action,
+      userId,
+      context
+    );
+    const result = hookExpiresIn ?? expiresIn ?? fallback;
+    return Math.max(1, Math.min(Math.floor(result), max));
+  }
+
+  /**
+   * Internal helper to get the file document of a file that is ready for download.
+   *
+   * @param {Object} param0
+   * @param {String} param0.fileId - The ID of the file to be downloaded.
+   * @param {String} [param0.userId] - The ID of the user requesting the download (optional).
+   * @param {Object} [param0.context={}] - Additional context for permission checks (optional).
+   * @throws {Meteor.Error} If the file does not exist, if the user does not have permission to download the file, or if the file is not ready for download.
+   * @returns {Promise<Object>} - The file document.
+   */
+  async findDownloadableFile({ fileId, userId, context = {} }) {
+    const fileDoc = await this.files.findOneAsync(fileId);
+    if (!fileDoc) {
+      throw new Meteor.Error("s3-file-not-found", "File not found.");
+    }
+
+    // Check permissions before accessing the file
+    const hasPermission = await this.handlePermissionsCheck(
+      fileDoc,
+      "download",
+      userId,
+      context
+    );
+
+    if (!hasPermission) {
+      throw new Meteor.Error(
+        "s3-permission-denied",
+        "You do not have permission to download this file."
+      );
+    }
+
+    // check status
+    if (fileDoc.status !== "uploaded") {
+      throw new Meteor.Error(
+        "s3-file-not-ready",
+        "File is not ready for download."
+      );
+    }
+
+    return fileDoc;
+  }
+
+  /**
+   * Removes a file from S3 and the database.
+   * With `softDelete`, the file is moved to the trash instead: its object is moved to the prefix "trash/"
+   * and its status is set to "deleted", until it is restored with `restoreFile` or purged after `trashRetention` seconds.
+   * Removing a file that is already in the trash deletes it permanently, and so does removing an unfinished
+   * or invalid upload, which has no object to move.
+   * @param {Object} param0 - The parameters for removing the file.
+   * @param {String} param0.fileId - The ID of the file to be removed.
+   * @param {Object} [param0.context={}] - Additional context for permission checks (optional).
+   * @param {String} [param0.userId] - The ID of the user requesting the removal (optional).
+   * @param {Boolean} [param0.permanent=false] - Delete the file permanently, even with `softDelete`.
+   * @throws {Meteor.Error} If the file does not exist or if the user does not have permission to remove the file.
+   * @returns {Promise<void>}
+   */
+  async removeFile({ fileId, context = {}, userId, permanent = false }) {
+    // Validate the file document
+    check(fileId, String);
+    check(context, Object);
+    check(userId, Match.Maybe(String));
+    check(permanent, Boolean);
+    const fileDoc = await this.files.findOneAsync(fileId);
+    if (!fileDoc) {
+      throw new Meteor.Error("s3-file-not-found", "File not found.");
+    }
+    // Check permissions before removing the file
+    const hasPermission = await this.handlePermissionsCheck(
+      fileDoc,
+      "delete",
+      userId,
+      context
+    );
+
+    if (!hasPermission) {
+      throw new Meteor.Error(
+        "s3-permission-denied",
+        "You do not have permission to delete this file."
+      );
+    }
+
+    if (this.config.softDelete && !permanent && fileDoc.status === "uploaded") {
+      await this.moveToTrash(fileDoc);
+      await this.onAfterRemove(fileDoc);
+      return;
+    }
+
+    // The file may have been removed by the S3 event of the deletion already, which called the hook
+    if (await this.deleteFile(fileDoc)) {
+      await this.onAfterRemove(fileDoc);
+    }
+  }
+
+  /**
+   * Restores a file from the trash (cf. `softDelete`).
+   * The restored object is not confirmed again by its S3 event, so the onAfterUpload hook is not called.
+   * @param {Object} param0
+   * @param {String} param0.fileId - The ID of the file to be restored.
+   * @param {Object} [param0.context={}] - Additional context for permission checks (optional).
+   * @param {String} [param0.userId] - The ID of the user requesting the restore (optional).
+   * @throws {Meteor.Error} If the file does not exist, is not in the trash or if the user does not have permission to restore it.
+   * @returns {Promise<void>}
+   */
+  async restoreFile({ fileId, context = {}, userId }) {
+    check(fileId, String);
+    check(context, Object);
+    check(userId, Match.Maybe(String));
+    const fileDoc = await this.files.findOneAsync(fileId);
+    if (!fileDoc) {
+      throw new Meteor.Error("s3-file-not-found", "File not found.");
+    }
+
+    const hasPermission = await this.handlePermissionsCheck(
+      fileDoc,
+      "restore",
+      userId,
+      context
+    );
+    if (!hasPermission) {
+      throw new Meteor.Error(
+        "s3-permission-denied",
+        "You do not have permission to restore this file."
+      );
+    }
+
+    if (fileDoc.status !== "deleted") {
+      throw new Meteor.Error(
+        "s3-file-not-deleted",
+        "The file is not in the trash."
+      );
+    }
+    if (!fileDoc.trashKey) {
+      throw new Meteor.Error(
+        "s3-restore-failed",
+        "The object of the file was deleted outside of the app."
+      );
+    }
+
+    let copy;
+    try {
+      copy = await this.copyObject(fileDoc.trashKey, fileDoc.key, {
+        size: fileDoc.size,
+        mimeType: fileDoc.mimeType,
+      });
+      await this.s3Client.send(
+        new DeleteObjectCommand({
+          Bucket: this.bucketName,
+          Key: fileDoc.trashKey,
+        })
+      );
+    } catch (error) {
+      throw new Meteor.Error(
+        "s3-restore-failed",
+        `Failed to restore file in S3: ${error.message}`
+      );
+    }
+
+    // The copy has a new ETag, and a new version in versioned buckets, so the S3 event must not confirm it again
+    const update = { status: "uploaded", updatedAt: new Date() };
+    const modifier = { $set: update, $unset: { deletedAt: "", trashKey: "" } };
+    if (copy.ETag) {
+      update.etag = copy.ETag;
+    }
+    if (copy.VersionId) {
+      update.versionId = copy.VersionId;
+      modifier.$push = {
+        versions: {
+          versionId: copy.VersionId,
+          size: fileDoc.size,
+          mimeType: fileDoc.mimeType,
+          etag: copy.ETag,
+          createdAt: update.updatedAt,
+        },
+      };
+    }
+    await this.files.updateAsync({ _id: fileId, status: "deleted" }, modifier);
+    this.log(`Restored file: ${fileDoc.filename}`);
+  }
+
+  /**
+   * Permanently deletes all files that are in the trash for longer than `trashRetention` seconds.
+   * This runs every `purgeInterval` seconds if `softDelete` is enabled.
+   * @returns {Promise<Number>} - The number of purged files.
+   */
+  async purgeTrash() {
+    const fileDocs = await this.files
+      .find({
+        status: "deleted",
+        deletedAt: {
+          $lt: new Date(Date.now() - this.config.trashRetention * 1000),
+        },
+      })
+      .fetchAsync();
+
+    let purged = 0;
+    for (const fileDoc of fileDocs) {
+      try {
+        await this.deleteFile(fileDoc);
+        purged++;
+      } catch (error) {
+        console.error(`Failed to purge file ${fileDoc._id}:`, error);
+      }
+    }
+    if (purged) {
+      this.log(`Purged ${purged} files from the trash`);
+    }
+    return purged;
+  }
+
+  /**
+   * Cleans up uploads that were not active for more than `staleUploadTimeout` seconds, but never confirmed.
+   * Multipart uploads are active as long as part URLs are requested. This runs every `cleanupInterval` seconds.
+   *
+   * Pending files whose object did arrive in S3 (e.g. because the S3 event got lost) are confirmed via
+   * `handleFileUploadEvent`; all other pending files are removed and their multipart uploads are aborted.
+   * Stale replacements (cf. `getReplaceUploadUrl`) are handled the same way, and multipart uploads in the bucket
+   * without a file document are aborted as well.
+   *
+   * @returns {Promise<Object>} - The number of `confirmed` and `removed` files and of `aborted` multipart uploads.
+   */
+  async cleanupStaleUploads() {
+    const staleBefore = new Date(
+      Date.now() - this.config.staleUploadTimeout * 1000
+    );
+    const report = { confirmed: 0, removed: 0, aborted: 0 };
+
+    const staleFiles = await this.files
+      .find({
+        status: { $in: ["pending", "uploading"] },
+        ...lastActivity("$lt", staleBefore),
+      })
+      .fetchAsync();
+    for (const fileDoc of staleFiles) {
+      try {
+        const result = await this.resolvePendingUpload(
+          fileDoc,
+          await this.objectExists(fileDoc.key)
+        );
+        report[result]++;
+        if (result === "removed" && fileDoc.uploadId) {
+          report.aborted++;
+        }
+      } catch (error) {
+        console.error(
+          `Failed to clean up upload of file ${fileDoc._id}:`,
+          error
+        );
+      }
+    }
+
+    const staleReplacements = await this.files
+      .find({ "replacement.createdAt": { $lt: staleBefore } })
+      .fetchAsync();
+    for (const fileDoc of staleReplacements) {
+      try {
+        if (await this.objectExists(fileDoc.replacement.key)) {
+          await this.handleFileUploadEvent(
+            fileDoc._id,
+            fileDoc.replacement.key
+          );
+          report.confirmed++;
+        } else {
+          await this.files.updateAsync(fileDoc._id, {
+            $unset: { replacement: "" },
+          });
+        }
+      } catch (error) {
+        console.error(
+          `Failed to clean up replacement of file ${fileDoc._id}:`,
+          error
+        );
+      }
+    }
+
+    report.aborted += await this.abortOrphanedMultipartUploads(staleBefore);
+
+    if (report.confirmed || report.removed || report.aborted) {
+      this.log(
+        `Cleaned up stale uploads: ${report.confirmed} confirmed, ${report.removed} removed, ${report.aborted} aborted`
+      );
+    }
+    return report;
+  }
+
+  /**
+   * Confirms pending uploads whose object arrived in S3, by checking them with HeadObject.
+   * This runs every `pollingInterval` seconds with the confirmationStrategy "polling", and covers new files,
+   * replacements (cf. getReplaceUploadUrl) and new versions (cf. getVersionUploadUrl).
+   * Only uploads whose URL can still be used are checked: replacements and new versions until their `expiresAt`,
+   * new files for `maxUploadExpiresIn` seconds after their last activity. Abandoned uploads are left to `cleanupStaleUploads`.
+   * Objects removed outside of this app are not detected, use `reconcile` for that.
+   *
+   * @returns {Promise<Number>} - The number of confirmed uploads.
+   */
+  async pollPendingUploads() {
+    const now = new Date();
+    // Upload URLs are valid for at most maxUploadExpiresIn seconds
+    const expiredBefore = new Date(
+      now.getTime() - this.config.maxUploadExpiresIn * 1000
+    );
+    const pendingFiles = await this.files
+      .find({
+        $or: [
+          {
+            status: { $in: ["pending", "uploading"] },
+            ...lastActivity("$gte", expiredBefore),
+          },
+          { "replacement.expiresAt": { $gte: now } },
+          { "pendingVersion.expiresAt": { $gte: now } },
+        ],
+      })
+      .fetchAsync();
+
+    let confirmed = 0;
+    for (const fileDoc of pendingFiles) {
+      const key = fileDoc.replacement?.key ?? fileDoc.key;
+      try {
+        let headResponse;
+        try {
+          headResponse = await this.s3Client.send(
+            new HeadObjectCommand({ Bucket: this.bucketName, Key: key })
+          );
+        } catch (error) {
+          if (error.name === "NotFound") {
+            continue;
+          }
+          throw error;
+        }
+
+        // A new version has arrived once the current version of the object changed
+        if (
+          fileDoc.status === "uploaded" &&
+          !fileDoc.replacement &&
+          headResponse.VersionId === fileDoc.versionId
+        ) {
+          continue;
+        }
+
+        await this.handleFileUploadEvent(fileDoc._id, key);
+        confirmed++;
+      } catch (error) {
+        console.error(`Failed to check upload of file ${fileDoc._id}:`, error);
+      }
+    }
+
+    if (confirmed) {
+      this.log(`Confirmed ${confirmed} uploads by polling`);
+    }
+    return confirmed;
+  }
+
+  /**
+   * Internal helper to check whether an object exists in the bucket.
+   * @param {String} key - The key of the object.
+   * @returns {Promise<Boolean>}
+   */
+  async objectExists(key) {
+    try {
+      await this.s3Client.send(
+        new HeadObjectCommand({ Bucket: this.bucketName, Key: key })
+      );
+      return true;
+    } catch (error) {
+      if (error.name === "NotFound") {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Internal helper to resolve an upload that was never confirmed: if its object exists in S3, the upload is confirmed,
+   * otherwise the file document is removed and its multipart upload is aborted.
+   * @param {Object} fileDoc - The file document of the upload.
+   * @param {Boolean} objectExists - Whether the object of the file exists in S3.
+   * @returns {Promise<String>} - "confirmed" or "removed".
+   */
+  async resolvePendingUpload(fileDoc, objectExists) {
+    if (objectExists) {
+      await this.handleFileUploadEvent(fileDoc._id, fileDoc.key);
+      return "confirmed";
+    }
+    if (fileDoc.uploadId) {
+      await this.s3Client.send(
+        new AbortMultipartUploadCommand({
+          Bucket: this.bucketName,
+          Key: fileDoc.key,
+          UploadId: fileDoc.uploadId,
+        })
+      );
+    }
+    await this.files.removeAsync(fileDoc._id);
+    return "removed";
+  }
+
+  /**
+   * Compares the file documents of this instance with the objects in the bucket and reports, or fixes, any drift:
+   *
+   * - `orphanedObjects`: objects under "uploads/" without a file document. Fixed by deleting the object.
+   * - `missingObjects`: uploaded files whose object is gone. Fixed by setting the file status to "error".
+   * - `mismatches`: uploaded files whose size or ETag differ from the object. Fixed by verifying the object again
+   *   via `handleFileUploadEvent`, which sets the file status to "error" if the size does not match.
+   * - `stuck`: pending files whose object arrived, or which were not active for `staleUploadTimeout` seconds.
+   *   Fixed like in `cleanupStaleUploads`.
+   *
+   * The bucket listing is kept in memory while the file documents are compared.
+   * Uploads may finish while the bucket is compared, so each issue is checked again before it is fixed.
+   *
+   * @param {Object} [param0={}]
+   * @param {Boolean} [param0.dryRun=true] - Only report the issues, without fixing anything.
+   * @param {String[]} [param0.fix] - The kinds of issues to fix, defaults to all of them.
+   * @returns {Promise<Object>} - The report with the lists of issues, each entry with `fixed: true`, `skipped: true`
+   * if the issue resolved itself in the meantime, or an `error` once fixed, and the number of `objects` and `files` that were compared.
+   */
+  async reconcile({
+    dryRun = true,
+    fix = ["orphanedObjects", "missingObjects", "mismatches", "stuck"],
+  } = {}) {
+    check(dryRun, Boolean);
+    check(fix, [
+      Match.OneOf("orphanedObjects", "missingObjects", "mismatches", "stuck"),
+    ]);
+
+    const report = {
+      dryRun,
+      startedAt: new Date(),
+      objects: 0,
+      files: 0,
+      orphanedObjects: [],
+      missingObjects: [],
+      mismatches: [],
+      stuck: [],
+    };
+
+    // Objects that are matched with a file document are removed from this map, the rest are orphaned
+    const objects = new Map();
+    let continuationToken;
+    do {
+      const response = await this.s3Client.send(
+        new ListObjectsV2Command({
+          Bucket: this.bucketName,
+          Prefix: "uploads/",
+          ContinuationToken: continuationToken,
+        })
+      );
+      for (const object of response.Contents || []) {
+        objects.set(object.Key, object);
+      }
+      continuationToken = response.NextContinuationToken;
+    } while (continuationToken);
+    report.objects = objects.size;
+
+    const staleBefore = new Date(
+      Date.now() - this.config.staleUploadTimeout * 1000
+    );
+    await this.files.find({}).forEachAsync((fileDoc) => {
+      report.files++;
+      const object = objects.get(fileDoc.key);
+      objects.delete(fileDoc.key);
+      if (fileDoc.replacement) {
+        objects.delete(fileDoc.replacement.key);
+      }
+
+      if (fileDoc.status === "uploaded" && !object) {
+        report.missingObjects.push({ fileId: fileDoc._id, key: fileDoc.key });
+      } else if (
+        fileDoc.status === "uploaded" &&
+        (object.Size !== fileDoc.size || object.ETag !== fileDoc.etag)
+      ) {
+        report.mismatches.push({
+          fileId: fileDoc._id,
+          key: fileDoc.key,
+          expected: { size: fileDoc.size, etag: fileDoc.etag },
+          actual: { size: object.Size, etag: object.ETag },
+        });
+      } else if (
+        ["pending", "uploading"].includes(fileDoc.status) &&
+        (object || (fileDoc.updatedAt ?? fileDoc.createdAt) < staleBefore)
+      ) {
+        report.stuck.push({
+          fileId: fileDoc._id,
+          key: fileDoc.key,
+          status: fileDoc.status,
+          objectExists: !!object,
+        });
+      }
+    });
+
+    report.orphanedObjects = Array.from(objects.values(), (object) => ({
+      key: object.Key,
+      size: object.Size,
+      lastModified: object.LastModified,
+    }));
+
+    if (!dryRun) {
+      // Fixers return false if the issue resolved itself in the meantime
+      const fixers = {
+        orphanedObjects: async ({ key }) => {
+          if (
+            await this.files.findOneAsync({
+              $or: [{ key }, { "replacement.key": key }],
+            })
+          ) {
+            return false;
+          }
+          if (this.config.versioning) {
+            await this.deleteAllVersions(key);
+          } else {
+            await this.s3Client.send(
+              new DeleteObjectCommand({ Bucket: this.bucketName, Key: key })
+            );
+          }
+        },
+        missingObjects: async ({ fileId }) => {
+          const fileDoc = await this.files.findOneAsync(fileId);
+          if (
+            fileDoc?.status !== "uploaded" ||
+            (await this.objectExists(fileDoc.key))
+          ) {
+            return false;
+          }
+          return !!(await this.files.updateAsync(
+            { _id: fileId, key: fileDoc.key, status: "uploaded" },
+            {
+              $set: {
+                status: "error",
+                errorReason: "The object is missing in S3.",
+                updatedAt: new Date(),
+              },
+            }
+          ));
+        },
+        mismatches: async ({ fileId }) => {
+          await this.handleFileUploadEvent(fileId);
+        },
+        stuck: async ({ fileId }) => {
+          const fileDoc = await this.files.findOneAsync(fileId);
+          if (!["pending", "uploading"].includes(fileDoc?.status)) {
+            return false;
+          }
+          await this.resolvePendingUpload(
+            fileDoc,
+            await this.objectExists(fileDoc.key)
+          );
+        },
+      };
+      for (const kind of fix) {
+        for (const issue of report[kind]) {
+          try {
+            if ((await fixers[kind](issue)) === false) {
+              issue.skipped = true;
+            } else {
+              issue.fixed = true;
+            }
+          } catch (error) {
+            issue.error = error.message;
+          }
+        }
+      }
+    }
+
+    report.finishedAt = new Date();
+    this.log(
+      `Reconciled ${report.files} files with ${report.objects} objects: ` +
+        `${report.orphanedObjects.length} orphaned, ${report.missingObjects.length} missing, ` +
+        `${report.mismatches.length} mismatched, ${report.stuck.length} stuck`
+    );
+    return report;
+  }
+
+  /**
+   * Internal helper to abort multipart uploads in the bucket that have no file document, e.g. because
+   * the document was removed while the upload was running.
+   * @param {Date} staleBefore - Only uploads initiated before this date are aborted.
+   * @returns {Promise<Number>} - The number of aborted uploads.
+   */
+  async abortOrphanedMultipartUploads(staleBefore) {
+    let aborted = 0;
+    let keyMarker;
+    let uploadIdMarker;
+    let truncated;
+    do {
+      const response = await this.s3Client.send(
+        new ListMultipartUploadsCommand({
+          Bucket: this.bucketName,
+          Prefix: "uploads/",
+          KeyMarker: keyMarker,
+          UploadIdMarker: uploadIdMarker,
+        })
+      );
+      for (const upload of response.Uploads || []) {
+        if (upload.Initiated >= staleBefore) {
+          continue;
+        }
+        const fileDoc = await this.files.findOneAsync({
+          uploadId: upload.UploadId,
+        });
+        if (fileDoc) {
+          continue;
+        }
+        try {
+          await this.s3Client.send(
+            new AbortMultipartUploadCommand({
+              Bucket: this.bucketName,
+              Key: upload.Key,
+              UploadId: upload.UploadId,
+            })
+          );
+          aborted++;
+        } catch (error) {
+          console.error(
+            `Failed to abort multipart upload ${upload.UploadId}:`,
+            error
+          );
+        }
+      }
+      keyMarker = response.NextKeyMarker;
+      uploadIdMarker = response.NextUploadIdMarker;
+      truncated = response.IsTruncated;
+    } while (truncated);
+    return aborted;
+  }
+
+  /**
+   * Internal helper to move the object of a file to the trash and mark the file as deleted.
+   * @param {Object} fileDoc - The file document.
+   * @returns {Promise<void>}
+   */
+  async moveToTrash(fileDoc) {
+    const trashKey = "trash/" + fileDoc.key.replace(/^uploads\//, "");
+    try {
+      await this.copyObject(fileDoc.key, trashKey, {
+        size: fileDoc.size,
+        mimeType: fileDoc.mimeType,
+      });
+    } catch (error) {
+      throw new Meteor.Error(
+        "s3-delete-failed",
+        `Failed to move file to the trash: ${error.message}`
+      );
+    }
+
+    // Mark the file as deleted first, so the S3 event of the deletion is ignored
+    await this.files.updateAsync(fileDoc._id, {
+      $set: {
+        status: "deleted",
+        deletedAt: new Date(),
+        trashKey,
+        updatedAt: new Date(),
+      },
+    });
+    try {
+      await this.s3Client.send(
+        new DeleteObjectCommand({ Bucket: this.bucketName, Key: fileDoc.key })
+      );
+    } catch (error) {
+      await this.files.updateAsync(fileDoc._id, {
+        $set: { status: fileDoc.status, updatedAt: new Date() },
+        $unset: { deletedAt: "", trashKey: "" },
+      });
+      throw new Meteor.Error(
+        "s3-delete-failed",
+        `Failed to move file to the trash: ${error.message}`
+      );
+    }
+    this.log(`Moved file to the trash: ${fileDoc.filename}`);
+  }
+
+  /**
+   * This method handles the removal of an object from S3, e.g. by a lifecycle rule or in the AWS console.
+   * If the object of an uploaded file is gone, the file is marked as "deleted" with `softDelete`,
+   * or removed otherwise, and the onAfterRemove hook is called.
+   * This is typically called by the S3 event trigger. Removals by this package itself, of previous versions
+   * and of objects that still exist are ignored.
+   *
+   * @param {String} fileId - The ID of the file.
+   * @param {String} key - The key of the removed object, as reported by the S3 event trigger.
+   * @returns {Promise<Boolean>} - Whether the file was marked as deleted or removed.
+   */
+  async handleFileRemovedEvent(fileId, key) {
+    check(fileId, String);
+    check(key, String);
+
+    const fileDoc = await this.files.findOneAsync(fileId);
+    if (!fileDoc || fileDoc.key !== key || fileDoc.status !== "uploaded") {
+      return false;
+    }
+
+    // In versioned buckets, removing a version or adding a delete marker fires the same event
+    try {
+      await this.s3Client.send(
+        new HeadObjectCommand({ Bucket: this.bucketName, Key: key })
+      );
+      this.log(`Object of file ${fileDoc.filename} still exists.`);
+      return false;
+    } catch (error) {
+      if (error.name !== "NotFound") {
+        throw error;
+      }
+    }
+
+    // The update or removal only succeeds once, so the hook is not called twice
+    const selector = { _id: fileId, key, status: "uploaded" };
+    const changed = this.config.softDelete
+      ? await this.files.updateAsync(selector, {
+          $set: {
+            status: "deleted",
+            deletedAt: new Date(),
+            updatedAt: new Date(),
+          },
+        })
+      : await this.files.removeAsync(selector);
+    if (!changed) {
+      return false;
+    }
+
+    await this.onAfterRemove(fileDoc);
+    this.log(`Object of file ${fileDoc.filename} was removed from S3.`);
+    return true;
+  }
+
+  /**
+   * Internal helper to permanently delete the object and the document of a file.
+   * The multipart upload of an unfinished upload is aborted.
+   * @param {Object} fileDoc - The file document.
+   * @returns {Promise<Number>} - The number of removed file documents, 0 if it was removed in the meantime.
+   */
+  async deleteFile(fileDoc) {
+    try {
+      if (fileDoc.uploadId) {
+        try {
+          await this.s3Client.send(
+            new AbortMultipartUploadCommand({
+              Bucket: this.bucketName,
+              Key: fileDoc.key,
+              UploadId: fileDoc.uploadId,
+            })
+          );
+        } catch (error) {
+          if (error.name !== "NoSuchUpload") {
+            throw error;
+          }
+        }
+      }
+      if (this.config.versioning) {
+        // The previous versions are kept under the original key, even if the file is in the trash
+        await this.deleteAllVersions(fileDoc.key);
+        if (fileDoc.trashKey) {
+          await this.deleteAllVersions(fileDoc.trashKey);
+        }
+      } else if (fileDoc.status !== "deleted") {
+        await this.s3Client.send(
+          new DeleteObjectCommand({ Bucket: this.bucketName, Key: fileDoc.key })
+        );
+      } else if (fileDoc.trashKey) {
+        // Files whose object was deleted outside the app have no object in the trash
+        await this.s3Client.send(
+          new DeleteObjectCommand({
+            Bucket: this.bucketName,
+            Key: fileDoc.trashKey,
+          })
+        );
+      }
+      if (fileDoc.replacement) {
+        await this.s3Client.send(
+          new DeleteObjectCommand({
+            Bucket: this.bucketName,
+            Key: fileDoc.replacement.key,
+          })
+        );
+      }
+    } catch (error) {
+      throw new Meteor.Error(
+        "s3-delete-failed",
+        `Failed to delete file from S3: ${error.message}`
+      );
+    }
+    return await this.files.removeAsync(fileDoc._id);
+  }
+
+  /**
+   * Internal helper to copy an object within the bucket of this instance.
+   * Objects larger than 5 GB are copied in parts (cf. `copyObjectFrom`), so their size must be given.
+   * @param {String} sourceKey - The key of the object to copy.
+   * @param {String} targetKey - The key of the copy.
+   * @param {Object} [options={}]
+   * @param {String} [options.sourceVersionId] - The version of the object to copy, defaults to the current one.
+   * @param {Number} [options.size] - The size of the object in bytes.
+   * @param {String} [options.mimeType] - The content type of the object, kept on copies in parts.
+   * @returns {Promise<Object>} - The `ETag` and, in versioned buckets, the `VersionId` of the copy.
+   */
+  async copyObject(
+    sourceKey,
+    targetKey,
+    { sourceVersionId, size, mimeType } = {}
+  ) {
+    return await this.copyObjectFrom({
+      sourceBucket: this.bucketName,
+      sourceKey,
+      sourceVersionId,
+      targetKey,
+      size,
+      mimeType,
+    });
+  }
+
+  /**
+   * Internal helper to delete all versions of an object in a versioned bucket.
+   * A plain DeleteObject request would only add a delete marker and keep the previous versions.
+   * @param {String} key - The key of the object.
+   * @returns {Promise<void>}
+   */
+  async deleteAllVersions(key) {
+    let keyMarker;
+    let versionIdMarker;
+    let truncated;
+    do {
+      const response = await this.s3Client.send(
+        new ListObjectVersionsCommand({
+          Bucket: this.bucketName,
+          Prefix: key,
+          KeyMarker: keyMarker,
+          VersionIdMarker: versionIdMarker,
+        })
+      );
+      const versions = [
+        ...(response.Versions || []),
+        ...(response.DeleteMarkers || []),
+      ].filter((version) => version.Key === key);
+      for (const version of versions) {
+        await this.s3Client.send(
+          new DeleteObjectCommand({
+            Bucket: this.bucketName,
+            Key: key,
+            VersionId: version.VersionId,
+          })
+        );
+      }
+      keyMarker = response.NextKeyMarker;
+      versionIdMarker = response.NextVersionIdMarker;
+      truncated = response.IsTruncated;
+    } while (truncated);
+  }
+
+  /**
+   * Copies a file to another instance, or to a new key in this instance.
+   *
+   * This checks the "download" permission in this instance and the "upload" permission and the upload constraints
+   * in the target instance. The copy gets its own file document in the target instance and is confirmed like an
+   * upload, so `onBeforeUpload` and `onAfterUpload` of the target are called. Objects larger than 5 GB are copied
+   * via multipart copy. The credentials of the target instance need read access to the bucket of this instance.
+   *
+   * @param {String} fileId - The ID of the file to copy.
+   * @param {Object} [options={}]
+   * @param {MeteorS3|String} [options.toInstance] - The target instance or its name, defaults to this instance.
+   * @param {String} [options.key] - The key of the copy relative to "uploads/". Generated by `onGetKey` of the target if omitted.
+   * @param {Object} [options.meta] - The metadata of the copy, defaults to the metadata of the file.
+   * @param {String} [options.userId] - The ID of the user copying the file, who owns the copy (optional).
+   * @param {Object} [options.context={}] - Additional context for permission checks (optional).
+   * @throws {Meteor.Error} If the file or the target instance do not exist, if the user does not have permission,
+   * if the key is taken or if the copy fails.
+   * @returns {Promise<MeteorS3FilesSchema>} - The file document of the copy.
+   */
+  async copyFile(fileId, options = {}) {
+    const fileDoc = await this.findDownloadableFile({
+      fileId,
+      userId: options.userId,
+      context: options.context ?? {},
+    });
+    return await this.copyFileDocument(fileDoc, {
+      ...options,
+      ownerId: options.userId ?? fileDoc.ownerId,
+    });
+  }
+
+  /**
+   * Moves a file to another instance, or to a new key in this instance.
+   *
+   * Works like `copyFile`, but additionally checks the "delete" permission and removes the file from this instance
+   * once the copy is confirmed. The file keeps its owner, but gets a new ID in the target instance.
+   * Since the old ID is gone, `onAfterRemove` of this instance is called with the old file document.
+   *
+   * @param {String} fileId - The ID of the file to move.
+   * @param {Object} [options={}] - The same options as for `copyFile`.
+   * @throws {Meteor.Error} If the file can not be copied, if the target rejects the copy (the file is kept then)
+   * or if the user does not have permission to delete the file.
+   * @returns {Promise<MeteorS3FilesSchema>} - The file document in the target instance.
+   */
+  async moveFile(fileId, options = {}) {
+    const context = options.context ?? {};
+    const fileDoc = await this.findDownloadableFile({
+      fileId,
+      userId: options.userId,
+      context,
+    });
+
+    const hasPermission = await this.handlePermissionsCheck(
+      fileDoc,
+      "delete",
+      options.userId,
+      context
+    );
+    if (!hasPermission) {
+      throw new Meteor.Error(
+        "s3-permission-denied",
+        "You do not have permission to delete this file."
+      );
+    }
+
+    const targetFileDoc = await this.copyFileDocument(fileDoc, {
+      ...options,
+      ownerId: fileDoc.ownerId,
+    });
+    // The target may reject the copy, e.g. because of its upload constraints. Then the source must be kept.
+    if (targetFileDoc.status !== "uploaded") {
+      const target = this.getTargetInstance(options.toInstance);
+      await target.deleteFile(targetFileDoc);
+      throw new Meteor.Error(
+        "s3-move-failed",
+        `The target rejected the file: ${targetFileDoc.errorReason}`
+      );
+    }
+    // The file lives on in the target, so it does not go to the trash. It is marked first,
+    // so the S3 event of the deletion leaves it alone and onAfterRemove is only called here.
+    await this.files.updateAsync(fileDoc._id, {
+      $set: { status: "deleted", deletedAt: new Date(), updatedAt: new Date() },
+    });
+    try {
+      await this.deleteFile(fileDoc);
+    } catch (error) {
+      await this.files.updateAsync(fileDoc._id, {
+        $set: { status: fileDoc.status, updatedAt: new Date() },
+        $unset: { deletedAt: "" },
+      });
+      throw error;
+    }
+    await this.onAfterRemove(fileDoc);
+    this.log(`Moved file ${fileId} to ${targetFileDoc.key}`);
+    return targetFileDoc;
+  }
+
+  /**
+   * Internal helper for `copyFile` and `moveFile`.
+   * @param {Object} fileDoc - The file document of the source file.
+   * @param {Object} options - The options of `copyFile`, plus the `ownerId` of the copy.
+   * @returns {Promise<MeteorS3FilesSchema>} - The file document of the copy.
+   */
+  async copyFileDocument(
+    fileDoc,
+    { toInstance, key, meta, userId, context = {}, ownerId }
+  ) {
+    check(key, Match.Maybe(String));
+    check(meta, Match.Maybe(Object));
+    check(userId, Match.Maybe(String));
+    check(context, Object);
+
+    const target = this.getTargetInstance(toInstance);
+    if (key && (await target.files.findOneAsync({ key: "uploads/" + key }))) {
+      throw new Meteor.Error("s3-key-exists", `Key ${key} is already taken.`);
+    }
+
+    const { fileId, key: targetKey } = await target.createFileDocument({
+      name: fileDoc.filename,
+      size: fileDoc.size,
+      type: fileDoc.mimeType,
+      meta: meta ?? fileDoc.meta,
+      userId,
+      context,
+      status: "uploading",
+      key,
+      ownerId,
+    });
+
+    try {
+      await target.copyObjectFrom({
+        sourceBucket: this.bucketName,
+        sourceKey: fileDoc.key,
+        targetKey,
+        size: fileDoc.size,
+        mimeType: fileDoc.mimeType,
+      });
+    } catch (error) {
+      await target.files.removeAsync(fileId);
+      throw new Meteor.Error(
+        "s3-copy-failed",
+        `Failed to copy file in S3: ${error.message}`
+      );
+    }
+
+    this.log(`Copied file ${fileDoc._id} to ${target.config.name}`);
+    return await target.handleFileUploadEvent(fileId, targetKey);
+  }
+
+  /**
+   * Internal helper to get the target instance of `copyFile` and `moveFile`.
+   * @param {String|MeteorS3} [toInstance] - The instance or its name, defaults to this instance.
+   * @throws {Meteor.Error} If there is no instance with this name.
+   * @returns {MeteorS3}
+   */
+  getTargetInstance(toInstance) {
+    check(
+      toInstance,
+      Match.Maybe(
+        Match.OneOf(
+          String,
+          Match.Where((i) => i instanceof MeteorS3)
+        )
+      )
+    );
+
+    const target =
+      typeof toInstance === "string"
+        ? MeteorS3.getInstance(toInstance)
+        : toInstance || this;
+    if (!target) {
+      throw new Meteor.Error(
+        "s3-instance-not-found",
+        `Instance ${toInstance} not found.`
+      );
+    }
+    return target;
+  }
+
+  /**
+   * Internal helper to copy an object from any bucket into the bucket of this instance.
+   * Objects larger than 5 GB are copied in parts, since CopyObject is limited to 5 GB.
+   * @param {Object} param0
+   * @param {String} param0.sourceBucket - The bucket of the object to copy.
+   * @param {String} param0.sourceKey - The key of the object to copy.
+   * @param {String} [param0.sourceVersionId] - The version of the object to copy, defaults to the current one.
+   * @param {String} param0.targetKey - The key of the copy.
+   * @param {Number} [param0.size] - The size of the object in bytes, copied with a single request if omitted.
+   * @param {String} [param0.mimeType] - The MIME type of the object.
+   * @returns {Promise<Object>} - The `ETag` and, in versioned buckets, the `VersionId` of the copy.
+   */
+  async copyObjectFrom({
+    sourceBucket,
+    sourceKey,
+    sourceVersionId,
+    targetKey,
+    size,
+    mimeType,
+  }) {
+    let copySource = `${sourceBucket}/${sourceKey
+      .split("/")
+      .map(encodeURIComponent)
+      .join("/")}`;
+    if (sourceVersionId) {
+      copySource += `?versionId=${encodeURIComponent(sourceVersionId)}`;
+    }
+
+    if (!size || size <= maxCopyObjectSize) {
+      const { CopyObjectResult, VersionId } = await this.s3Client.send(
+        new CopyObjectCommand({
+          Bucket: this.bucketName,
+          Key: targetKey,
+          CopySource: copySource,
+        })
+      );
+      return { ETag: CopyObjectResult?.ETag, VersionId };
+    }
+
+    const { UploadId } = await this.s3Client.send(
+      new CreateMultipartUploadCommand({
+        Bucket: this.bucketName,
+        Key: targetKey,
+        ContentType: mimeType,
+      })
+    );
+    try {
+      const partSize = MeteorS3.getPartSize(
+        size,
+        this.config.multipartPartSize
+      );
+      const parts = [];
+      for (let start = 0; start < size; start += partSize) {
+        const partNumber = parts.length + 1;
+        const end = Math.min(start + partSize, size) - 1;
+        const { CopyPartResult } = await this.s3Client.send(
+          new UploadPartCopyCommand({
+            Bucket: this.bucketName,
+            Key: targetKey,
+            UploadId,
+            PartNumber: partNumber,
+            CopySource: copySource,
+            CopySourceRange: `bytes=${start}-${end}`,
+          })
+        );
+        parts.push({ ETag: CopyPartResult.ETag, PartNumber: partNumber });
+      }
+      const { ETag, VersionId } = await this.s3Client.send(
+        new CompleteMultipartUploadCommand({
+          Bucket: this.bucketName,
+          Key: targetKey,
+          UploadId,
+          MultipartUpload: { Parts: parts },
+        })
+      );
+      return { ETag, VersionId };
+    } catch (error) {
+      await this.s3Client
+        .send(
+          new AbortMultipartUploadCommand({
+            Bucket: this.bucketName,
+            Key: targetKey,
+            UploadId,
+          })
+        )
+        .catch((abortError) => {
+          console.error("Failed to abort multipart copy:", abortError);
+        });
+      throw error;
+    }
+  }
+
+  /**
+   * Generates a pre-signed URL for uploading a new version of an uploaded file. Requires `versioning`.
+   *
+   * The new version is uploaded under the same key and is verified by `handleFileUploadEvent`, just like a new file.
+   * Until then, the current version stays available for download. An invalid version is removed again,
+   * so the previous version stays the current one. Only one new version can be pending at a time.
+   *
+   * @param {Object} param0
+   * @param {String} param0.fileId - The ID of the file.
+   * @param {Number} param0.size - The size of the new version in bytes.
+   * @param {String} param0.type - The MIME type of the new version.
+   * @param {String} [param0.userId] - The ID of the user uploading the version (optional).
+   * @param {Object} [param0.context={}] - Additional context for permission checks (optional).
+   * @param {Number} [param0.expiresIn] - Expiration time of the URL in seconds, bounded by `maxUploadExpiresIn` (optional).
+   * @throws {Meteor.Error} If versioning is disabled, if the file is not uploaded, if the user does not have the "update" permission,
+   * if the new version violates the upload constraints or if another new version is pending.
+   * @returns {Promise<Object>} - The upload URL, the HTTP method, the form fields for POST uploads and the file ID, as returned by `getUploadUrl`.
+   */
+  async getVersionUploadUrl({
+    fileId,
+    size,
+    type,
+    userId,
+    context = {},
+    expiresIn,
+  }) {
+    check(fileId, String);
+    check(size, Number);
+    check(type, String);
+    check(userId, Match.Maybe(String));
+    check(context, Object);
+    check(expiresIn, Match.Maybe(Match.Integer));
+    this.checkUploadType(type);
+
+    this.checkVersioning();
+    const fileDoc = await this.findUpdatableFile({ fileId, userId, context });
+
+    const violation = getUploadViolation(
+      { filename: fileDoc.filename, size, mimeType: type },
+      this.config
+    );
+    if (violation) {
+      throw new Meteor.Error("s3-upload-invalid", violation);
+    }
+
+    const uploadExpiresIn = await this.getExpiresIn({
+      fileDoc,
+      action: "upload",
+      expiresIn,
+      userId,
+      context,
+    });
+    // The declared size and type are checked when the upload of the version is confirmed
+    await this.setPendingVersion(
+      fileDoc,
+      { size, mimeType: type },
+      uploadExpiresIn
+    );
+
+    const upload = await this.signUpload({
+      key: fileDoc.key,
+      size,
+      type,
+      expiresIn: uploadExpiresIn,
+    });
+    this.log(`Generated upload URL for a new version of file: ${fileId}`);
+
+    return { ...upload, fileId };
+  }
+
+  /**
+   * Internal helper to mark a new version of a file as pending. Once `expiresIn` seconds have passed,
+   * nothing can be uploaded for the pending version anymore, so it may be replaced by another one.
+   * @param {Object} fileDoc - The file document, as read before.
+   * @param {Object} pendingVersion - The declared `{ size, mimeType }` of the new version.
+   * @param {Number} expiresIn - The time in seconds until the new version has to be uploaded.
+   * @throws {Meteor.Error} If another new version of the file is pending.
+   * @returns {Promise<Object>} - The stored pending version.
+   */
+  async setPendingVersion(fileDoc, pendingVersion, expiresIn) {
+    const previous = fileDoc.pendingVersion;
+    const pendingError = new Meteor.Error(
+      "s3-version-pending",
+      "Another new version of this file is pending."
+    );
+    if (previous && !(previous.expiresAt < new Date())) {
+      throw pendingError;
+    }
+
+    const createdAt = new Date();
+    const stored = {
+      ...pendingVersion,
+      createdAt,
+      expiresAt: new Date(createdAt.getTime() + expiresIn * 1000),
+    };
+    const updated = await this.files.updateAsync(
+      previous
+        ? { _id: fileDoc._id, "pendingVersion.expiresAt": previous.expiresAt }
+        : { _id: fileDoc._id, pendingVersion: { $exists: false } },
+      { $set: { pendingVersion: stored, updatedAt: createdAt } }
+    );
+    if (!updated) {
+      throw pendingError;
+    }
+    return stored;
+  }
+
+  /**
+   * Lists the versions of a file, newest first. Requires the "download" permission.
+   * @param {Object} param0
+   * @param {String} param0.fileId - The ID of the file.
+   * @param {String} [param0.userId] - The ID of the user requesting the versions (optional).
+   * @param {Object} [param0.context={}] - Additional context for permission checks (optional).
+   * @throws {Meteor.Error} If the file does not exist, is not uploaded or if the user does not have permission to download it.
+   * @returns {Promise<Object[]>} - The versions as `{ versionId, size, mimeType, etag, createdAt, isCurrent }`.
+   */
+  async listVersions({ fileId, userId, context = {} }) {
+    check(fileId, String);
+    check(userId, Match.Maybe(String));
+    check(context, Object);
+
+    const fileDoc = await this.findDownloadableFile({
+      fileId,
+      userId,
+      context,
+    });
+
+    return (fileDoc.versions || [])
+      .map((version) => ({
+        ...version,
+        isCurrent: version.versionId === fileDoc.versionId,
+      }))
+      .reverse();
+  }
+
+  /**
+   * Makes a previous version the current version of a file. Requires `versioning` and the "update" permission.
+   * The previous version is copied to a new version, so the history is kept. The copy is confirmed right away,
+   * so the S3 event of the copy finds the file confirmed already.
+   * @param {Object} param0
+   * @param {String} param0.fileId - The ID of the file.
+   * @param {String} param0.versionId - The ID of the version to revert to (cf. `listVersions`).
+   * @param {String} [param0.userId] - The ID of the user reverting the file (optional).
+   * @param {Object} [param0.context={}] - Additional context for permission checks (optional).
+   * @throws {Meteor.Error} If versioning is disabled, if the version does not belong to the file, if the user does not have permission
+   * or if a new version of the file is pending.
+   * @returns {Promise<MeteorS3FilesSchema>} - The updated file document.
+   */
+  async revertToVersion({ fileId, versionId, userId, context = {} }) {
+    check(fileId, String);
+    check(versionId, String);
+    check(userId, Match.Maybe(String));
+    check(context, Object);
+
+    this.checkVersioning();
+    const fileDoc = await this.findUpdatableFile({ fileId, userId, context });
+    const version = this.findVersion(fileDoc, versionId);
+    if (versionId === fileDoc.versionId) {
+      return fileDoc;
+    }
+
+    // Lets the S3 event check the copy, in case it arrives before the copy is confirmed here
+    const pendingVersion = await this.setPendingVersion(
+      fileDoc,
+      { size: version.size, mimeType: version.mimeType },
+      this.config.maxUploadExpiresIn
+    );
+    const pendingSelector = {
+      _id: fileId,
+      "pendingVersion.createdAt": pendingVersion.createdAt,
+    };
+    let copy;
+    try {
+      copy = await this.copyObject(fileDoc.key, fileDoc.key, {
+        sourceVersionId: versionId,
+        size: version.size,
+        mimeType: version.mimeType,
+      });
+    } catch (error) {
+      await this.files.updateAsync(pendingSelector, {
+        $unset: { pendingVersion: "" },
+      });
+      throw new Meteor.Error(
+        "s3-revert-failed",
+        `Failed to revert file in S3: ${error.message}`
+      );
+    }
+    this.log(`Reverted file ${fileId} to version ${versionId}`);
+
+    const update = {
+      size: version.size,
+      mimeType: version.mimeType,
+      etag: copy.ETag,
+      versionId: copy.VersionId,
+      updatedAt: new Date(),
+    };
+    const newVersion = {
+      versionId: copy.VersionId,
+      size: version.size,
+      mimeType: version.mimeType,
+      etag: copy.ETag,
+      createdAt: update.updatedAt,
+    };
+    // Only one of this update and the S3 event of the copy records the new version
+    const updated = await this.files.updateAsync(
+      { ...pendingSelector, versionId: fileDoc.versionId },
+      {
+        $set: update,
+        $push: { versions: newVersion },
+        $unset: { pendingVersion: "" },
+      }
+    );
+    if (!updated) {
+      return await this.files.findOneAsync(fileId);
+    }
+
+    const updatedFileDoc = {
+      ...fileDoc,
+      ...update,
+      versions: [...(fileDoc.versions || []), newVersion],
+    };
+    delete updatedFileDoc.pendingVersion;
+    await this.onAfterUpload(updatedFileDoc);
+    return updatedFileDoc;
+  }
+
+  /**
+   * Generates a pre-signed URL for replacing the content of an uploaded file, while keeping its ID.
+   *
+   * The new content is uploaded to a new key. Once the upload is confirmed by `handleFileUploadEvent`,
+   * the file document is switched to the new key and the old object is deleted. Until then, the old content
+   * stays available for download. Invalid content is removed again and the file is left unchanged.
+   * Only one replacement can be pending at a time. Once the URL of a pending replacement has expired,
+   * it is discarded and a new replacement can be started.
+   *
+   * @param {Object} param0
+   * @param {String} param0.fileId - The ID of the file.
+   * @param {String} param0.name - The name of the new file.
+   * @param {Number} param0.size - The size of the new content in bytes.
+   * @param {String} param0.type - The MIME type of the new content.
+   * @param {String} [param0.userId] - The ID of the user replacing the file (optional).
+   * @param {Object} [param0.context={}] - Additional context for permission checks (optional).
+   * @param {Number} [param0.expiresIn] - Expiration time of the URL in seconds, bounded by `maxUploadExpiresIn` (optional).
+   * @throws {Meteor.Error} If the file is not uploaded, if the user does not have the "update" permission,
+   * if another replacement is pending or if the new content violates the upload constraints.
+   * @returns {Promise<Object>} - The upload URL, the HTTP method, the form fields for POST uploads and the file ID, as returned by `getUploadUrl`.
    */
-  async getUploadUrl({ name, size, type, meta = {}, userId, context = {} }) {
-    // Validate input parameters
+  async getReplaceUploadUrl({
+    fileId,
+    name,
+    size,
+    type,
+    userId,
+    context = {},
+    expiresIn,
+  }) {
+    check(fileId, String);
     check(name, String);
     check(size, Number);
     check(type, String);
-    check(meta, Object);
     check(userId, Match.Maybe(String));
     check(context, Object);
+    check(expiresIn, Match.Maybe(Match.Integer));
+    this.checkUploadType(type);
+
+    const fileDoc = await this.findUpdatableFile({ fileId, userId, context });
 
     const fileInfos = {
       filename: name,
       size,
       mimeType: type,
-      meta,
+      meta: fileDoc.meta,
     };
+    const violation = getUploadViolation(fileInfos, this.config);
+    if (violation) {
+      throw new Meteor.Error("s3-upload-invalid", violation);
+    }
 
-    // Check permissions before generating the URL
-    const hasPermission = await this.handlePermissionsCheck(
-      fileInfos,
-      "upload",
+    const { replacement } = fileDoc;
+    if (replacement && !(replacement.expiresAt < new Date())) {
+      throw new Meteor.Error(
+        "s3-replacement-pending",
+        "Another replacement of this file is pending."
+      );
+    }
+    if (replacement) {
+      // The URL of the previous replacement has expired, so nothing can be uploaded to its key anymore
+      try {
+        await this.s3Client.send(
+          new DeleteObjectCommand({
+            Bucket: this.bucketName,
+            Key: replacement.key,
+          })
+        );
+      } catch (error) {
+        console.error("Failed to remove expired replacement from S3:", error);
+      }
+    }
+
+    const uploadExpiresIn = await this.getExpiresIn({
+      fileDoc,
+      action: "upload",
+      expiresIn,
       userId,
-      context
+      context,
+    });
+
+    // The key is only switched once the new content is confirmed
+    const key = "uploads/" + this.onGetKey(fileInfos, userId, context);
+    const createdAt = new Date();
+    const updated = await this.files.updateAsync(
+      replacement
+        ? { _id: fileId, "replacement.key": replacement.key }
+        : { _id: fileId, replacement: { $exists: false } },
+      {
+        $set: {
+          replacement: {
+            key,
+            filename: name,
+            size,
+            mimeType: type,
+            createdAt,
+            expiresAt: new Date(createdAt.getTime() + uploadExpiresIn * 1000),
+          },
+          updatedAt: createdAt,
+        },
+      }
     );
+    if (!updated) {
+      throw new Meteor.Error(
+        "s3-replacement-pending",
+        "Another replacement of this file is pending."
+      );
+    }
 
-    if (!hasPermission) {
+    const upload = await this.signUpload({
+      key,
+      size,
+      type,
+      expiresIn: uploadExpiresIn,
+    });
+    this.log(`Generated upload URL for replacing file: ${fileId}`);
+
+    return { ...upload, fileId };
+  }
+
+  /**
+   * Internal helper to confirm the new content of a file replaced via `getReplaceUploadUrl`.
+   * @param {Object} fileDoc - The file document with the pending `replacement`.
+   * @throws {Meteor.Error} If the new content is not found in S3.
+   * @returns {Promise<MeteorS3FilesSchema>} - The updated file document, or the unchanged one if the new content is invalid.
+   */
+  async confirmReplacement(fileDoc) {
+    const { replacement } = fileDoc;
+    const headParams = { Bucket: this.bucketName, Key: replacement.key };
+
+    let headResponse;
+    try {
+      headResponse = await this.s3Client.send(
+        new HeadObjectCommand(headParams)
+      );
+    } catch (error) {
       throw new Meteor.Error(
-        "s3-permission-denied",
-        "You do not have permission to upload this file."
+        "s3-file-not-found",
+        `File not found in S3: ${error.message}`
       );
     }
 
-    // Generate a pre-signed URL for uploading the file
-    // The key is a unique identifier for the file in S3
-    const params = {
-      Bucket: this.bucketName,
-      Key: "uploads/" + this.onGetKey(fileInfos, userId, context),
-      ContentType: type,
+    const uploaded = {
+      filename: replacement.filename,
+      size: headResponse.ContentLength,
+      mimeType: headResponse.ContentType || replacement.mimeType,
     };
+    const violation = this.getUploadedFileViolation(
+      { ...fileDoc, ...replacement },
+      uploaded
+    );
 
-    // Create a file document to store in the database
-    const fileDoc = {
-      filename: name,
-      size,
-      mimeType: type,
-      key: params.Key,
-      bucket: this.bucketName,
-      status: "pending", // In production, status "uploaded" will only be set by an event trigger on the S3 bucket
-      ownerId: userId, // Set this if you have user management
-      createdAt: new Date(),
-      meta,
+    // Replacements may be confirmed more than once, e.g. by the S3 event and by cleanupStaleUploads.
+    // Only the first confirmation finds this replacement, and a newer replacement is left alone.
+    const selector = { _id: fileDoc._id, "replacement.key": replacement.key };
+    const alreadyConfirmed = async () => {
+      this.log(`Replacement of ${fileDoc.filename} was confirmed already.`);
+      return await this.files.findOneAsync(fileDoc._id);
     };
 
-    const fileId = await this.files.insertAsync(fileDoc);
-
-    const fileDocDb = await this.files.findOneAsync(fileId);
+    if (violation) {
+      if (
+        !(await this.files.updateAsync(selector, {
+          $unset: { replacement: "" },
+        }))
+      ) {
+        return await alreadyConfirmed();
+      }
+      try {
+        await this.s3Client.send(new DeleteObjectCommand(headParams));
+      } catch (error) {
+        console.error("Failed to remove invalid replacement from S3:", error);
+      }
+      this.log(`Replacement of ${fileDoc.filename} is invalid: ${violation}`);
+      const unchanged = { ...fileDoc };
+      delete unchanged.replacement;
+      return unchanged;
+    }
 
-    // call hook before upload
-    await this.onBeforeUpload(fileDocDb);
+    const update = {
+      key: replacement.key,
+      filename: replacement.filename,
+      size: uploaded.size,
+      mimeType: uploaded.mimeType,
+      etag: headResponse.ETag,
+      updatedAt: new Date(),
+    };
+    const modifier = { $set: update, $unset: { replacement: "" } };
+    if (headResponse.VersionId) {
+      // The history of the old key does not apply to the new content
+      update.versionId = headResponse.VersionId;
+      update.versions = [
+        {
+          versionId: headResponse.VersionId,
+          size: uploaded.size,
+          mimeType: uploaded.mimeType,
+          etag: headResponse.ETag,
+          createdAt: update.updatedAt,
+        },
+      ];
+    }
+    if (!(await this.files.updateAsync(selector, modifier))) {
+      return await alreadyConfirmed();
+    }
 
-    const url = await getSignedUrl(
-      this.s3Client,
-      new PutObjectCommand(params),
-      {
-        expiresIn: this.config.uploadExpiresIn,
+    try {
+      if (this.config.versioning) {
+        await this.deleteAllVersions(fileDoc.key);
+      } else {
+        await this.s3Client.send(
+          new DeleteObjectCommand({ Bucket: this.bucketName, Key: fileDoc.key })
+        );
       }
-    );
-    this.log(`Generated upload URL for file: ${name}`);
+    } catch (error) {
+      console.error("Failed to remove replaced file from S3:", error);
+    }
 
-    return {
-      url,
-      fileId, // Return the file ID for later reference
-    };
+    const updatedFileDoc = { ...fileDoc, ...update };
+    delete updatedFileDoc.replacement;
+
+    // call hook after upload
+    await this.onAfterUpload(updatedFileDoc);
+
+    this.log(`File ${fileDoc.filename} replaced successfully.`);
+    return updatedFileDoc;
   }
 
   /**
-   * Gets the metadata for a file in S3.
-   * @param {Object} param0 - The parameters for getting the file metadata.
-   * @param {String} param0.fileId - The ID of the file to get metadata for.
-   * @param {Object} [param0.context={}] - Optional context object, can contain data for permission checks on the server side via onCheckPermissions-Hook.
-   * @returns {Promise<Object>} - The metadata of the file, for instance the file size and MIME type and s3 status (pending or uploaded)
-   * @throws {Meteor.Error} - If the metadata cannot be obtained.
+   * Internal helper to check that versioning is enabled for this instance.
+   * @throws {Meteor.Error} If versioning is disabled.
    */
-  async head({ fileId, context = {}, userId }) {
-    check(fileId, String);
-    check(context, Object);
-    check(userId, Match.Maybe(String));
-
-    const file = await this.files.findOneAsync(fileId);
-    if (!file) {
-      throw new Meteor.Error("s3-file-not-found", "File not found.");
-    }
-
-    const hasPermission = await this.handlePermissionsCheck(
-      file,
-      "download",
-      userId,
-      context
-    );
-    if (!hasPermission) {
+  checkVersioning() {
+    if (!this.config.versioning) {
       throw new Meteor.Error(
-        "s3-permission-denied",
-        "You do not have permission to access this file."
+        "s3-no-versioning",
+        "Versioning is not enabled for this instance."
       );
     }
-
-    const result = await this.files.findOneAsync(fileId, {
-      fields: publicFileFields,
-    });
-
-    this.log(`Getting HEAD for file ID: ${fileId}`);
-    return result;
   }
 
   /**
-   * This method generates a pre-signed URL for downloading a file from S3.
-   * It checks permissions and the file status before generating the URL.
-   *
-   * @param {Object} param0 - The parameters for generating the download URL.
-   * @param {String} param0.fileId - The ID of the file to be downloaded.
+   * Internal helper to find a file for changing its content.
+   * Checks that the file is uploaded and the "update" permission.
+   * @param {Object} param0
+   * @param {String} param0.fileId - The ID of the file.
+   * @param {String} [param0.userId] - The ID of the user (optional).
    * @param {Object} [param0.context={}] - Additional context for permission checks (optional).
-   * @param {String} [param0.userId] - The ID of the user requesting the download (optional).
-   * @throws {Meteor.Error} If the file does not exist, if the user does not have permission to download the file, or if the file is not ready for download.
-   * @throws {Meteor.Error} If the file status is not "uploaded".
-   * @throws {Meteor.Error} If the S3 client fails to generate the pre-signed URL.
-   * @returns {Promise<String>} - The pre-signed URL for downloading the file.
+   * @throws {Meteor.Error} If the file can not be updated.
+   * @returns {Promise<MeteorS3FilesSchema>} - The file document.
    */
-  async getDownloadUrl({ fileId, context = {}, userId }) {
-    // Validate the file document
-    check(fileId, String);
-    check(context, Object);
+  async findUpdatableFile({ fileId, userId, context = {} }) {
     const fileDoc = await this.files.findOneAsync(fileId);
     if (!fileDoc) {
       throw new Meteor.Error("s3-file-not-found", "File not found.");
     }
 
-    // Check permissions before generating the URL
     const hasPermission = await this.handlePermissionsCheck(
       fileDoc,
-      "download",
+      "update",
       userId,
       context
     );
-
     if (!hasPermission) {
       throw new Meteor.Error(
         "s3-permission-denied",
-        "You do not have permission to download this file."
+        "You do not have permission to update this file."
       );
     }
 
-    // check status
     if (fileDoc.status !== "uploaded") {
       throw new Meteor.Error(
         "s3-file-not-ready",
-        "File is not ready for download."
+        "Only uploaded files can be updated."
       );
     }
 
-    // Generate a pre-signed URL for downloading the file
-    const params = {
-      Bucket: this.bucketName,
-      Key: fileDoc.key,
-    };
-
-    return getSignedUrl(this.s3Client, new GetObjectCommand(params), {
-      expiresIn: this.config.downloadExpiresIn,
-    });
+    return fileDoc;
   }
 
   /**
-   * Removes a file from S3 and the database.
-   * @param {Object} param0 - The parameters for removing the file.
-   * @param {String} param0.fileId - The ID of the file to be removed.
-   * @param {Object} [param0.context={}] - Additional context for permission checks (optional).
-   * @param {String} [param0.userId] - The ID of the user requesting the removal (optional).
-   * @throws {Meteor.Error} If the file does not exist or if the user does not have permission to remove the file.
-   * @returns {Promise<void>}
+   * Internal helper to find a version in the history of a file.
+   * @param {Object} fileDoc - The file document.
+   * @param {String} versionId - The ID of the version.
+   * @throws {Meteor.Error} If the version does not belong to the file.
+   * @returns {Object} - The version.
    */
-  async removeFile({ fileId, context = {}, userId }) {
-    // Validate the file document
-    check(fileId, String);
-    check(context, Object);
-    check(userId, Match.Maybe(String));
-    const fileDoc = await this.files.findOneAsync(fileId);
-    if (!fileDoc) {
-      throw new Meteor.Error("s3-file-not-found", "File not found.");
-    }
-    // Check permissions before removing the file
-    const hasPermission = await this.handlePermissionsCheck(
-      fileDoc,
-      "delete",
-      userId,
-      context
+  findVersion(fileDoc, versionId) {
+    const version = (fileDoc.versions || []).find(
+      (v) => v.versionId === versionId
     );
-
-    if (!hasPermission) {
-      throw new Meteor.Error(
-        "s3-permission-denied",
-        "You do not have permission to delete this file."
-      );
+    if (!version) {
+      throw new Meteor.Error("s3-version-not-found", "Version not found.");
     }
-
-    // Remove the file from S3
-    const params = {
-      Bucket: this.bucketName,
-      Key: fileDoc.key,
-    };
-
-    try {
-      await this.s3Client.send(new DeleteObjectCommand(params));
-    } catch (error) {
-      throw new Meteor.Error(
-        "s3-delete-failed",
-        `Failed to delete file from S3: ${error.message}`
-      );
-    }
-    await this.files.removeAsync(fileId);
+    return version;
   }
 
   /**
    * This method handles the file upload event.
-   * It updates the file status to "uploaded" and calls the onAfterUpload hook.
+   * It verifies the uploaded object against the file document, updates the file status to "uploaded"
+   * and calls the onAfterUpload hook.
+   * If the object does not match the declared size or type, or violates the upload constraints of this instance,
+   * the file status is set to "error" instead (cf. `removeInvalidUploads`).
    * This is typically called by an S3 event trigger when a file is successfully uploaded.
    * In development mode, the client needs to call this method manually after uploading the file.
    *
+   * If the key is the one of a pending replacement (cf. `getReplaceUploadUrl`), the new content is confirmed instead.
+   *
    * @param {String} fileId
+   * @param {String} [key] - The key of the uploaded object, as reported by the S3 event trigger, defaults to the key of the file.
    * @throws {Meteor.Error} If the file document is not found or if the file is not found in S3.
    * @throws {Meteor.Error} If the file status cannot be updated or if the S3 client fails to retrieve the file metadata.
    * @returns {Promise<MeteorS3FilesSchema>} - The updated file document.
    */
-  async handleFileUploadEvent(fileId) {
+  async handleFileUploadEvent(fileId, key) {
     // Validate the file document
     check(fileId, String);
+    check(key, Match.Maybe(String));
 
     const fileDoc = await this.files.findOneAsync(fileId);
     if (!fileDoc) {
       throw new Meteor.Error("s3-file-not-found", "File not found.");
     }
 
+    // The object of a file in the trash only reappears while restoreFile copies it back, which updates the file itself
+    if (fileDoc.status === "deleted") {
+      this.log(`File ${fileDoc.filename} is in the trash, not confirming it.`);
+      return fileDoc;
+    }
+
+    if (fileDoc.replacement && key === fileDoc.replacement.key) {
+      return await this.confirmReplacement(fileDoc);
+    }
+
     // Get the file infos from S3
     const headParams = {
       Bucket: this.bucketName,
@@ -1249,20 +5040,144 @@ export class MeteorS3 {
       );
     }
 
-    // Update the file status to "uploaded"
-    await this.files.updateAsync(fileId, {
-      $set: {
-        status: "uploaded",
+    // The upload may be confirmed twice, e.g. by the S3 event trigger and by putFile
+    if (
+      fileDoc.status === "uploaded" &&
+      fileDoc.etag === headResponse.ETag &&
+      fileDoc.versionId === headResponse.VersionId
+    ) {
+      this.log(`File ${fileDoc.filename} is already confirmed.`);
+      return fileDoc;
+    }
+
+    // Concurrent confirmations, e.g. by the S3 event trigger and by putFile, both get here.
+    // Only the first one changes the file, since the others do not find it in the state they read anymore.
+    const selector = {
+      _id: fileId,
+      status: fileDoc.status,
+      etag: fileDoc.etag ?? null,
+      versionId: fileDoc.versionId ?? null,
+    };
+    const alreadyConfirmed = async () => {
+      this.log(`File ${fileDoc.filename} was confirmed concurrently.`);
+      return await this.files.findOneAsync(fileId);
+    };
+
+    // Take size and type from the actual object, not from what the client declared
+    const uploaded = {
+      filename: fileDoc.filename,
+      size: headResponse.ContentLength,
+      mimeType: headResponse.ContentType || fileDoc.mimeType,
+    };
+    // A new version of the file is checked against what was declared for this version
+    const violation = this.getUploadedFileViolation(
+      { ...fileDoc, ...fileDoc.pendingVersion },
+      uploaded
+    );
+
+    if (violation && fileDoc.pendingVersion) {
+      // Remove the invalid version, so the previous version is the current one again
+      try {
+        await this.s3Client.send(
+          new DeleteObjectCommand({
+            ...headParams,
+            VersionId: headResponse.VersionId,
+          })
+        );
+      } catch (error) {
+        console.error("Failed to remove invalid version from S3:", error);
+      }
+      await this.files.updateAsync(fileId, {
+        $unset: { pendingVersion: "" },
+      });
+      this.log(`New version of ${fileDoc.filename} is invalid: ${violation}`);
+      const unchanged = { ...fileDoc };
+      delete unchanged.pendingVersion;
+      return unchanged;
+    }
+
+    if (violation) {
+      const update = {
+        status: "error",
+        errorReason: violation,
+        size: uploaded.size,
+        mimeType: uploaded.mimeType,
         etag: headResponse.ETag,
         updatedAt: new Date(),
-      },
-    });
+      };
+      if (!(await this.files.updateAsync(selector, { $set: update }))) {
+        return await alreadyConfirmed();
+      }
+      this.log(`File ${fileDoc.filename} is invalid: ${violation}`);
+
+      // Public instances serve every object under "uploads/", so invalid content must not stay there
+      if (this.config.removeInvalidUploads || this.config.public) {
+        try {
+          await this.s3Client.send(new DeleteObjectCommand(headParams));
+        } catch (error) {
+          console.error("Failed to remove invalid upload from S3:", error);
+        }
+      }
+      return { ...fileDoc, ...update };
+    }
+
+    // Update the file status to "uploaded"
+    const update = {
+      status: "uploaded",
+      size: uploaded.size,
+      mimeType: uploaded.mimeType,
+      etag: headResponse.ETag,
+      updatedAt: new Date(),
+    };
+    const modifier = { $set: update };
+    const { pendingVersion, ...updatedFileDoc } = fileDoc;
+    if (pendingVersion) {
+      modifier.$unset = { pendingVersion: "" };
+    }
+    if (headResponse.VersionId) {
+      // Record the version history in versioned buckets
+      const version = {
+        versionId: headResponse.VersionId,
+        size: uploaded.size,
+        mimeType: uploaded.mimeType,
+        etag: headResponse.ETag,
+        createdAt: update.updatedAt,
+      };
+      update.versionId = version.versionId;
+      modifier.$push = { versions: version };
+      updatedFileDoc.versions = [...(fileDoc.versions || []), version];
+    }
+    if (!(await this.files.updateAsync(selector, modifier))) {
+      return await alreadyConfirmed();
+    }
+    Object.assign(updatedFileDoc, update);
 
     // call hook after upload
-    await this.onAfterUpload(fileDoc);
+    await this.onAfterUpload(updatedFileDoc);
 
     this.log(`File ${fileDoc.filename} uploaded successfully.`);
-    return fileDoc;
+    return updatedFileDoc;
+  }
+
+  /**
+   * Compares an uploaded object with its file document and the upload constraints of this instance.
+   *
+   * @param {Object} fileDoc - The file document with the declared size and MIME type.
+   * @param {Object} uploaded - The actual `{ filename, size, mimeType }` of the object in S3.
+   * @returns {String|undefined} - The reason why the upload is invalid, or undefined if it is valid.
+   */
+  getUploadedFileViolation(fileDoc, uploaded) {
+    if (fileDoc.size !== undefined && uploaded.size !== fileDoc.size) {
+      return `Uploaded file size of ${uploaded.size} bytes does not match the declared size of ${fileDoc.size} bytes.`;
+    }
+    if (
+      !isGenericMimeType(fileDoc.mimeType) &&
+      normalizeMimeType(uploaded.mimeType) !==
+        normalizeMimeType(fileDoc.mimeType)
+    ) {
+      return `Uploaded file type "${uploaded.mimeType}" does not match the declared type "${fileDoc.mimeType}".`;
+    }
+    return getUploadViolation(uploaded, this.config);
   }
 
   /**
@@ -21,6 +21,7 @@ const s3 = new MeteorS3({
   region: Meteor.settings?.region || "eu-central-1", // Optional, this defaults to 'eu-central-1'
   verbose: Meteor.settings?.verbose || true, // Optional, this defaults to false
   skipPermissionChecks: Meteor.settings?.skipPermissionChecks || false, // Optional, this defaults to false
+  publishFiles: true, // Optional, publishes file documents to clients, this defaults to false
   uploadExpiresIn: Meteor.settings?.uploadExpiresIn || 60, // Optional, sets the expiration time for the presigned put urls; this defaults to 60 seconds
   downloadExpiresIn: Meteor.settings?.downloadExpiresIn || 60, // Optional, sets the expiration time for the presigned get urls; this defaults to 60 seconds
   onCheckPermissions: async (_fileDoc, _action, _userId, _context) => {
@@ -77,17 +78,8 @@ async function runTests() {
     console.error("Error uploading test file:", error);
   }
 
-  let ready = false;
-  while (!ready) {
-    // Check the status of the upload
-    const fileDoc = await s3Client.head(fileId);
-    if (fileDoc && fileDoc.status === "uploaded") {
-      ready = true;
-    } else {
-      // Wait for a short period before checking again
-      await new Promise((resolve) => setTimeout(resolve, 1000));
-    }
-  }
+  // Wait until the upload is confirmed
+  await s3Client.waitForUpload(fileId);
 
   // Download the file to verify the upload
   try {
@@ -1,5 +1,6 @@
 import { expect } from "chai";
 import sinon from "sinon";
+import { Random } from "meteor/random";
 import { MeteorS3Client } from "meteor/bratelefant:meteor-s3/common";
 
 describe("Test MeteorS3Client (isomorphic)", function () {
@@ -42,6 +43,20 @@ describe("Test MeteorS3Client (isomorphic)", function () {
       expect(onProgress.called).to.be.true;
       expect(onProgress.firstCall.args[0]).to.be.a("number");
     });
+
+    it("should upload a file as form data for POST uploads", async function () {
+      const file = new File(["test"], "test.txt", { type: "text/plain" });
+      const onProgress = sinon.spy();
+
+      await MeteorS3Client.uploadFileWithProgress(
+        "http://localhost:3000/upload",
+        file,
+        onProgress,
+        { method: "POST", fields: { key: "uploads/test.txt" } }
+      );
+
+      expect(onProgress.called).to.be.true;
+    });
   });
 
   describe("uploadFile", function () {
@@ -78,6 +93,24 @@ describe("Test MeteorS3Client (isomorphic)", function () {
       });
     });
 
+    it("should upload files of unknown type as application/octet-stream", async function () {
+      const file = new File(["test"], "test.dat");
+      const s3 = new MeteorS3Client({ name: "testBucket" });
+
+      const callStub = sinon.stub(Meteor, "callAsync");
+      callStub.withArgs("meteorS3.testBucket.getUploadUrl").resolves({
+        url: "http://localhost:3000/upload",
+        fileId: "12345",
+      });
+      sinon.stub(MeteorS3Client, "uploadFileWithProgress").resolves();
+
+      await s3.uploadFile(file);
+
+      expect(callStub.firstCall.args[1].type).to.equal(
+        "application/octet-stream"
+      );
+    });
+
     it("should handle upload errors gracefully", async function () {
       const file = new File(["test"], "test.txt", { type: "text/plain" });
       const s3 = new MeteorS3Client({ name: "testBucket" });
@@ -109,6 +142,563 @@ describe("Test MeteorS3Client (isomorphic)", function () {
     });
   });
 
+  describe("getPublicUrl", function () {
+    const fileDoc = { key: "uploads/abc-my file.png", bucket: "my-bucket" };
+
+    it("should build a virtual-hosted-style URL for AWS", function () {
+      const s3 = new MeteorS3Client({ name: "testBucket" });
+
+      expect(s3.getPublicUrl(fileDoc)).to.equal(
+        "https://my-bucket.s3.eu-central-1.amazonaws.com/uploads/abc-my%20file.png"
+      );
+    });
+
+    it("should honour the endpoint and path-style setting", function () {
+      const s3 = new MeteorS3Client({
+        name: "testBucket",
+        endpoint: "https://storage.example.com",
+        forcePathStyle: true,
+      });
+
+      expect(s3.getPublicUrl(fileDoc)).to.equal(
+        "https://storage.example.com/my-bucket/uploads/abc-my%20file.png"
+      );
+    });
+
+    it("should throw if the file document has no key", function () {
+      const s3 = new MeteorS3Client({ name: "testBucket" });
+
+      expect(() => s3.getPublicUrl({ _id: "12345" })).to.throw(
+        /Is the instance public/
+      );
+    });
+  });
+
+  describe("listFiles", function () {
+    it("should call the server method with the query", async function () {
+      const s3 = new MeteorS3Client({ name: "testBucket" });
+      const callStub = sinon
+        .stub(Meteor, "callAsync")
+        .resolves({ files: [], nextCursor: null });
+
+      const result = await s3.listFiles({
+        filter: { mimeType: "image/*" },
+        limit: 10,
+      });
+
+      expect(result).to.deep.equal({ files: [], nextCursor: null });
+      expect(callStub.firstCall.args[0]).to.equal(
+        "meteorS3.testBucket.listFiles"
+      );
+      expect(callStub.firstCall.args[1]).to.deep.include({
+        filter: { mimeType: "image/*" },
+        limit: 10,
+        context: {},
+      });
+    });
+  });
+
+  describe("waitForUpload", function () {
+    it("should resolve once the file is uploaded", async function () {
+      const s3 = new MeteorS3Client({ name: "testBucket" + Random.id(6) });
+      const callStub = sinon.stub(Meteor, "callAsync");
+      callStub.onFirstCall().resolves({ _id: "12345", status: "pending" });
+      callStub.onSecondCall().resolves({ _id: "12345", status: "uploaded" });
+
+      const fileDoc = await s3.waitForUpload("12345", {}, { interval: 10 });
+
+      expect(fileDoc.status).to.equal("uploaded");
+      expect(callStub.alwaysCalledWith(`meteorS3.${s3.config.name}.head`)).to.be
+        .true;
+    });
+
+    it("should reject if the upload failed", async function () {
+      const s3 = new MeteorS3Client({ name: "testBucket" + Random.id(6) });
+      sinon.stub(Meteor, "callAsync").resolves({
+        _id: "12345",
+        status: "error",
+        errorReason: "Too large",
+      });
+
+      try {
+        await s3.waitForUpload("12345", {}, { interval: 10 });
+        expect.fail("Should have thrown upload failed error");
+      } catch (error) {
+        expect(error.error).to.equal("file-upload-failed");
+        expect(error.reason).to.equal("Too large");
+      }
+    });
+
+    it("should reject after the timeout", async function () {
+      const s3 = new MeteorS3Client({ name: "testBucket" + Random.id(6) });
+      sinon
+        .stub(Meteor, "callAsync")
+        .resolves({ _id: "12345", status: "pending" });
+
+      try {
+        await s3.waitForUpload("12345", {}, { interval: 10, timeout: 50 });
+        expect.fail("Should have thrown timeout error");
+      } catch (error) {
+        expect(error.error).to.equal("file-upload-timeout");
+      }
+    });
+  });
+
+  describe("getProxyUrl", function () {
+    it("should return the URL of the proxy download route", function () {
+      const s3 = new MeteorS3Client({ name: "testBucket" });
+
+      expect(s3.getProxyUrl("12345")).to.equal(
+        Meteor.absoluteUrl("api/testBucket/files/12345")
+      );
+      expect(s3.getProxyUrl("12345", { download: true })).to.equal(
+        Meteor.absoluteUrl("api/testBucket/files/12345?download")
+      );
+    });
+  });
+
+  describe("uploadFiles", function () {
+    it("should request the upload URLs per chunk and report overall progress", async function () {
+      const files = [
+        new File(["a"], "a.txt", { type: "text/plain" }),
+        new File(["bbb"], "b.txt", { type: "text/plain" }),
+        new File(["cccc"], "c.txt", { type: "text/plain" }),
+      ];
+      const s3 = new MeteorS3Client({
+        name: "testBucket",
+        uploadConcurrency: 2,
+      });
+
+      const events = [];
+      const callStub = sinon.stub(Meteor, "callAsync");
+      callStub
+        .withArgs("meteorS3.testBucket.getUploadUrls")
+        .callsFake(async (_name, { files }) => {
+          events.push(`urls-${files.map((file) => file.name).join(",")}`);
+          return files.map((file) => ({
+            url: "http://localhost:3000/upload",
+            method: "PUT",
+            fileId: `id-${file.name}`,
+          }));
+        });
+      const uploadStub = sinon
+        .stub(MeteorS3Client, "uploadFileWithProgress")
+        .callsFake(async (_url, file, onProgress) => {
+          events.push(`put-${file.name}`);
+          onProgress(50);
+        });
+      const onProgress = sinon.spy();
+
+      const fileIds = await s3.uploadFiles(files, { test: true }, onProgress);
+
+      expect(fileIds).to.deep.equal(["id-a.txt", "id-b.txt", "id-c.txt"]);
+      expect(callStub.callCount).to.equal(2);
+      expect(callStub.firstCall.args[1].files[0]).to.deep.include({
+        name: "a.txt",
+        size: 1,
+        meta: { test: true },
+      });
+      // The URLs of the second chunk are only requested once the first chunk is uploaded
+      expect(events).to.deep.equal([
+        "urls-a.txt,b.txt",
+        "put-a.txt",
+        "put-b.txt",
+        "urls-c.txt",
+        "put-c.txt",
+      ]);
+      expect(uploadStub.callCount).to.equal(3);
+      expect(onProgress.lastCall.args).to.deep.equal([100, [100, 100, 100]]);
+    });
+
+    it("should upload large files via multipart uploads", async function () {
+      const files = [
+        new File(["a"], "a.txt", { type: "text/plain" }),
+        new File(["0123456789AB"], "large.bin", {
+          type: "application/octet-stream",
+        }),
+      ];
+      const s3 = new MeteorS3Client({
+        name: "testBucket",
+        multipartThreshold: 10,
+        resumable: false,
+      });
+
+      const callStub = sinon.stub(Meteor, "callAsync");
+      callStub.withArgs("meteorS3.testBucket.getUploadUrls").resolves([
+        {
+          url: "http://localhost:3000/upload",
+          method: "PUT",
+          fileId: "small",
+        },
+      ]);
+      callStub.withArgs("meteorS3.testBucket.createMultipartUpload").resolves({
+        fileId: "large",
+        uploadId: "upload1",
+        partSize: 12,
+        partCount: 1,
+      });
+      callStub
+        .withArgs("meteorS3.testBucket.getUploadPartUrls")
+        .resolves([{ partNumber: 1, url: "http://localhost:3000/upload" }]);
+      callStub
+        .withArgs("meteorS3.testBucket.completeMultipartUpload")
+        .resolves("large");
+      sinon.stub(MeteorS3Client, "uploadFileWithProgress").resolves();
+      sinon.stub(MeteorS3Client, "uploadPartWithProgress").resolves('"etag"');
+
+      const fileIds = await s3.uploadFiles(files);
+
+      expect(fileIds).to.deep.equal(["small", "large"]);
+      const urlsCall = callStub
+        .getCalls()
+        .find((c) => c.args[0] === "meteorS3.testBucket.getUploadUrls");
+      expect(urlsCall.args[1].files).to.have.length(1);
+    });
+
+    it("should cancel the failed and the running uploads and skip the remaining files", async function () {
+      const files = ["a", "b", "c", "d"].map(
+        (name) => new File([name], `${name}.txt`, { type: "text/plain" })
+      );
+      const s3 = new MeteorS3Client({
+        name: "testBucket",
+        uploadConcurrency: 2,
+      });
+
+      const callStub = sinon.stub(Meteor, "callAsync");
+      callStub
+        .withArgs("meteorS3.testBucket.getUploadUrls")
+        .callsFake(async (_name, { files }) =>
+          files.map((file) => ({
+            url: "http://localhost:3000/upload",
+            method: "PUT",
+            fileId: `id-${file.name}`,
+          }))
+        );
+      callStub.withArgs("meteorS3.testBucket.cancelUpload").resolves();
+      sinon
+        .stub(MeteorS3Client, "uploadFileWithProgress")
+        .callsFake((_url, file, _onProgress, { signal }) =>
+          file.name === "a.txt"
+            ? Promise.reject(new Error("Network Error"))
+            : new Promise((_resolve, reject) => {
+                signal.addEventListener("abort", () => reject(new Error()));
+              })
+        );
+
+      try {
+        await s3.uploadFiles(files);
+        expect.fail("Should have thrown the upload error");
+      } catch (error) {
+        expect(error.message).to.equal("Network Error");
+      }
+
+      const cancelled = callStub
+        .withArgs("meteorS3.testBucket.cancelUpload")
+        .getCalls()
+        .map((c) => c.args[1].fileId);
+      expect(cancelled).to.have.members(["id-a.txt", "id-b.txt"]);
+      expect(
+        callStub.withArgs("meteorS3.testBucket.getUploadUrls").callCount
+      ).to.equal(1);
+    });
+  });
+
+  describe("uploadFile (multipart)", function () {
+    it("should upload large files in parts and complete the upload", async function () {
+      const file = new File(["0123456789AB"], "large.bin", {
+        type: "application/octet-stream",
+      });
+      const s3 = new MeteorS3Client({
+        name: "testBucket",
+        multipartThreshold: 10,
+      });
+
+      const callStub = sinon.stub(Meteor, "callAsync");
+      callStub.withArgs("meteorS3.testBucket.createMultipartUpload").resolves({
+        fileId: "12345",
+        uploadId: "upload1",
+        partSize: 5,
+        partCount: 3,
+      });
+      callStub
+        .withArgs("meteorS3.testBucket.getUploadPartUrls")
+        .callsFake(async (_name, { partNumbers }) =>
+          partNumbers.map((partNumber) => ({
+            partNumber,
+            url: "http://localhost:3000/upload",
+          }))
+        );
+      callStub
+        .withArgs("meteorS3.testBucket.completeMultipartUpload")
+        .resolves("12345");
+
+      const uploadPartStub = sinon
+        .stub(MeteorS3Client, "uploadPartWithProgress")
+        .callsFake(async (_url, blob, onProgress) => {
+          onProgress(blob.size);
+          return `"etag-${blob.size}"`;
+        });
+      const onProgress = sinon.spy();
+
+      const fileId = await s3.uploadFile(file, {}, onProgress);
+
+      expect(fileId).to.equal("12345");
+      expect(uploadPartStub.callCount).to.equal(3);
+      expect(uploadPartStub.thirdCall.args[1].size).to.equal(2);
+      expect(onProgress.lastCall.args[0]).to.equal(100);
+
+      const completeCall = callStub
+        .getCalls()
+        .find(
+          (c) => c.args[0] === "meteorS3.testBucket.completeMultipartUpload"
+        );
+      expect(completeCall.args[1].parts).to.deep.equal([
+        { PartNumber: 1, ETag: '"etag-5"' },
+        { PartNumber: 2, ETag: '"etag-5"' },
+        { PartNumber: 3, ETag: '"etag-2"' },
+      ]);
+    });
+
+    it("should abort the multipart upload if a part fails", async function () {
+      const file = new File(["0123456789AB"], "large.bin", {
+        type: "application/octet-stream",
+      });
+      const s3 = new MeteorS3Client({
+        name: "testBucket",
+        multipartThreshold: 10,
+        partRetries: 0,
+        resumable: false,
+      });
+
+      const callStub = sinon.stub(Meteor, "callAsync");
+      callStub.withArgs("meteorS3.testBucket.createMultipartUpload").resolves({
+        fileId: "12345",
+        uploadId: "upload1",
+        partSize: 5,
+        partCount: 3,
+      });
+      callStub
+        .withArgs("meteorS3.testBucket.getUploadPartUrls")
+        .resolves([{ partNumber: 1, url: "http://localhost:3000/upload" }]);
+      callStub.withArgs("meteorS3.testBucket.abortMultipartUpload").resolves();
+
+      sinon
+        .stub(MeteorS3Client, "uploadPartWithProgress")
+        .rejects(new Error("Network Error"));
+
+      try {
+        await s3.uploadFile(file);
+        expect.fail("Should have thrown upload error");
+      } catch (error) {
+        expect(error.message).to.equal("Network Error");
+      }
+
+      expect(
+        callStub.calledWith("meteorS3.testBucket.abortMultipartUpload", {
+          fileId: "12345",
+          context: {},
+        })
+      ).to.be.true;
+    });
+  });
+
+  describe("startUpload", function () {
+    // Simulates an upload that only finishes when it is not aborted
+    const abortableUpload = (_url, _file, _onProgress, { signal }) =>
+      new Promise((resolve, reject) => {
+        signal.addEventListener("abort", () => reject(new Error("aborted")));
+      });
+
+    it("should return a handle whose promise resolves with the file ID", async function () {
+      const file = new File(["test"], "test.txt", { type: "text/plain" });
+      const s3 = new MeteorS3Client({ name: "testBucket" });
+
+      sinon
+        .stub(Meteor, "callAsync")
+        .withArgs("meteorS3.testBucket.getUploadUrl")
+        .resolves({ url: "http://localhost:3000/upload", fileId: "12345" });
+      sinon.stub(MeteorS3Client, "uploadFileWithProgress").resolves();
+
+      const upload = s3.startUpload(file);
+
+      expect(upload.promise).to.be.a("promise");
+      expect(await upload.promise).to.equal("12345");
+      expect(upload.status).to.equal("done");
+      expect(upload.fileId).to.equal("12345");
+    });
+
+    it("should cancel an upload and tell the server", async function () {
+      const file = new File(["test"], "test.txt", { type: "text/plain" });
+      const s3 = new MeteorS3Client({ name: "testBucket" });
+
+      const callStub = sinon.stub(Meteor, "callAsync");
+      callStub
+        .withArgs("meteorS3.testBucket.getUploadUrl")
+        .resolves({ url: "http://localhost:3000/upload", fileId: "12345" });
+      callStub.withArgs("meteorS3.testBucket.cancelUpload").resolves();
+      const uploadStub = sinon
+        .stub(MeteorS3Client, "uploadFileWithProgress")
+        .callsFake(abortableUpload);
+
+      const upload = s3.startUpload(file);
+      while (!uploadStub.called) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      await upload.cancel();
+
+      try {
+        await upload.promise;
+        expect.fail("Should have thrown cancelled error");
+      } catch (error) {
+        expect(error.error).to.equal("file-upload-cancelled");
+      }
+      expect(upload.status).to.equal("cancelled");
+      expect(
+        callStub.calledWith("meteorS3.testBucket.cancelUpload", {
+          fileId: "12345",
+          context: {},
+        })
+      ).to.be.true;
+    });
+
+    it("should restart a paused upload on resume with a new URL", async function () {
+      const file = new File(["test"], "test.txt", { type: "text/plain" });
+      const s3 = new MeteorS3Client({ name: "testBucket" });
+
+      const callStub = sinon.stub(Meteor, "callAsync");
+      callStub
+        .withArgs("meteorS3.testBucket.getUploadUrl")
+        .resolves({ url: "http://localhost:3000/upload", fileId: "12345" });
+      callStub.withArgs("meteorS3.testBucket.renewUploadUrl").resolves({
+        url: "http://localhost:3000/renewed",
+        method: "PUT",
+        fileId: "12345",
+      });
+      const uploadStub = sinon.stub(MeteorS3Client, "uploadFileWithProgress");
+      uploadStub.onFirstCall().callsFake(abortableUpload);
+      uploadStub.onSecondCall().resolves();
+
+      const upload = s3.startUpload(file);
+      while (!uploadStub.called) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      upload.pause();
+      expect(upload.status).to.equal("paused");
+
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      expect(uploadStub.calledOnce).to.be.true;
+
+      upload.resume();
+      expect(await upload.promise).to.equal("12345");
+      expect(uploadStub.calledTwice).to.be.true;
+      expect(uploadStub.firstCall.args[0]).to.equal(
+        "http://localhost:3000/upload"
+      );
+      expect(uploadStub.secondCall.args[0]).to.equal(
+        "http://localhost:3000/renewed"
+      );
+      expect(
+        callStub.calledWith("meteorS3.testBucket.renewUploadUrl", {
+          fileId: "12345",
+          context: {},
+        })
+      ).to.be.true;
+    });
+  });
+
+  describe("resumeUpload", function () {
+    it("should only upload missing parts", async function () {
+      const file = new File(["0123456789AB"], "large.bin", {
+        type: "application/octet-stream",
+      });
+      const s3 = new MeteorS3Client({ name: "testBucket" });
+
+      const callStub = sinon.stub(Meteor, "callAsync");
+      callStub.withArgs("meteorS3.testBucket.listUploadedParts").resolves({
+        fileId: "12345",
+        size: 12,
+        partSize: 5,
+        partCount: 3,
+        parts: [{ PartNumber: 2, ETag: '"etag-2"', Size: 5 }],
+      });
+      callStub
+        .withArgs("meteorS3.testBucket.getUploadPartUrls")
+        .callsFake(async (_name, { partNumbers }) =>
+          partNumbers.map((partNumber) => ({
+            partNumber,
+            url: "http://localhost:3000/upload",
+          }))
+        );
+      callStub
+        .withArgs("meteorS3.testBucket.completeMultipartUpload")
+        .resolves("12345");
+
+      const uploadPartStub = sinon
+        .stub(MeteorS3Client, "uploadPartWithProgress")
+        .resolves('"etag-new"');
+
+      const fileId = await s3.resumeUpload("12345", file);
+
+      expect(fileId).to.equal("12345");
+      expect(uploadPartStub.callCount).to.equal(2);
+
+      const completeCall = callStub
+        .getCalls()
+        .find(
+          (c) => c.args[0] === "meteorS3.testBucket.completeMultipartUpload"
+        );
+      expect(completeCall.args[1].parts).to.deep.equal([
+        { PartNumber: 1, ETag: '"etag-new"' },
+        { PartNumber: 2, ETag: '"etag-2"' },
+        { PartNumber: 3, ETag: '"etag-new"' },
+      ]);
+    });
+
+    it("should reject files that do not match the interrupted upload", async function () {
+      const file = new File(["0123"], "large.bin");
+      const s3 = new MeteorS3Client({ name: "testBucket" });
+
+      sinon
+        .stub(Meteor, "callAsync")
+        .withArgs("meteorS3.testBucket.listUploadedParts")
+        .resolves({
+          fileId: "12345",
+          size: 12,
+          partSize: 5,
+          partCount: 3,
+          parts: [],
+        });
+
+      try {
+        await s3.resumeUpload("12345", file);
+        expect.fail("Should have thrown resume error");
+      } catch (error) {
+        expect(error.error).to.equal("file-resume-failed");
+      }
+    });
+
+    if (Meteor.isClient) {
+      it("should persist resume tokens in localStorage", function () {
+        const file = new File(["0123456789AB"], "large.bin");
+        const s3 = new MeteorS3Client({
+          name: "testBucket" + Random.id(),
+          resumable: true,
+        });
+
+        s3.saveResumeToken({
+          fileId: "12345",
+          name: file.name,
+          size: file.size,
+          lastModified: file.lastModified,
+        });
+        expect(s3.findResumeToken(file).fileId).to.equal("12345");
+
+        s3.removeResumeToken("12345");
+        expect(s3.findResumeToken(file)).to.be.undefined;
+      });
+    }
+  });
+
   describe("getDownloadUrl", function () {
     it("should return a download URL for a file", async function () {
       const s3 = new MeteorS3Client({ name: "testBucket" });
@@ -137,6 +727,24 @@ describe("Test MeteorS3Client (isomorphic)", function () {
       });
     });
 
+    it("should pass the response options to the server", async function () {
+      const s3 = new MeteorS3Client({ name: "testBucket" });
+      const callStub = sinon.stub(Meteor, "callAsync").resolves("url");
+
+      await s3.getDownloadUrl(
+        "12345",
+        {},
+        { disposition: "attachment", filename: "report.pdf" }
+      );
+
+      expect(callStub.firstCall.args[1]).to.deep.equal({
+        fileId: "12345",
+        context: {},
+        disposition: "attachment",
+        filename: "report.pdf",
+      });
+    });
+
     it("should handle errors gracefully", async function () {
       const s3 = new MeteorS3Client({ name: "testBucket" });
       const fileId = "12345";
@@ -249,9 +857,23 @@ describe("Test MeteorS3Client (isomorphic)", function () {
       expect(callStub.firstCall.args[1]).to.deep.equal({
         fileId: "12345",
         context: {},
+        permanent: false,
       });
     });
 
+    it("should pass the permanent option", async function () {
+      const s3 = new MeteorS3Client({ name: "testBucket" });
+      const callStub = sinon.stub(Meteor, "callAsync");
+      callStub.withArgs("meteorS3.testBucket.removeFile").resolves();
+
+      try {
+        await s3.removeFile("12345", {}, { permanent: true });
+        expect(callStub.firstCall.args[1].permanent).to.be.true;
+      } finally {
+        Meteor.callAsync.restore();
+      }
+    });
+
     it("should handle errors gracefully", async function () {
       const s3 = new MeteorS3Client({ name: "testBucket" });
       const fileId = "12345";
@@ -285,4 +907,113 @@ describe("Test MeteorS3Client (isomorphic)", function () {
       }
     });
   });
+
+  describe("restoreFile", function () {
+    it("should restore a file", async function () {
+      const s3 = new MeteorS3Client({ name: "testBucket" });
+      const callStub = sinon.stub(Meteor, "callAsync");
+      callStub.withArgs("meteorS3.testBucket.restoreFile").resolves();
+
+      try {
+        await s3.restoreFile("12345");
+        expect(callStub.firstCall.args[0]).to.equal(
+          "meteorS3.testBucket.restoreFile"
+        );
+        expect(callStub.firstCall.args[1]).to.deep.equal({
+          fileId: "12345",
+          context: {},
+        });
+      } finally {
+        Meteor.callAsync.restore();
+      }
+    });
+
+    it("should handle errors gracefully", async function () {
+      const s3 = new MeteorS3Client({ name: "testBucket" });
+      const callStub = sinon.stub(Meteor, "callAsync");
+      callStub
+        .withArgs("meteorS3.testBucket.restoreFile")
+        .rejects(new Error("The file is not in the trash."));
+
+      try {
+        await s3.restoreFile("12345");
+        expect.fail("Should have thrown an error");
+      } catch (error) {
+        expect(error.error).to.equal("file-restore-failed");
+      } finally {
+        Meteor.callAsync.restore();
+      }
+    });
+  });
+
+  describe("replaceFile", function () {
+    it("should upload the new content to the replacement URL", async function () {
+      const file = new File(["new"], "new.txt", { type: "text/plain" });
+      const s3 = new MeteorS3Client({ name: "testBucket" });
+      const callStub = sinon.stub(Meteor, "callAsync");
+      callStub
+        .withArgs("meteorS3.testBucket.getReplaceUploadUrl")
+        .resolves({ url: "http://localhost:3000/upload", method: "PUT" });
+      const uploadStub = sinon
+        .stub(MeteorS3Client, "uploadFileWithProgress")
+        .resolves();
+
+      expect(await s3.replaceFile("12345", file)).to.equal("12345");
+      expect(callStub.firstCall.args[1]).to.deep.equal({
+        fileId: "12345",
+        name: "new.txt",
+        size: 3,
+        type: "text/plain",
+        context: {},
+      });
+      expect(uploadStub.firstCall.args[0]).to.equal(
+        "http://localhost:3000/upload"
+      );
+    });
+  });
+
+  describe("versions", function () {
+    it("should list the versions of a file", async function () {
+      const s3 = new MeteorS3Client({ name: "testBucket" });
+      const versions = [{ versionId: "v2", isCurrent: true }];
+      const callStub = sinon.stub(Meteor, "callAsync");
+      callStub.withArgs("meteorS3.testBucket.listVersions").resolves(versions);
+
+      expect(await s3.listVersions("12345")).to.deep.equal(versions);
+      expect(callStub.firstCall.args[1]).to.deep.equal({
+        fileId: "12345",
+        context: {},
+      });
+    });
+
+    it("should revert to a version", async function () {
+      const s3 = new MeteorS3Client({ name: "testBucket" });
+      const callStub = sinon.stub(Meteor, "callAsync");
+      callStub
+        .withArgs("meteorS3.testBucket.revertToVersion")
+        .resolves({ versionId: "v3" });
+
+      expect(await s3.revertToVersion("12345", "v1")).to.equal("v3");
+      expect(callStub.firstCall.args[1]).to.deep.equal({
+        fileId: "12345",
+        versionId: "v1",
+        context: {},
+      });
+    });
+
+    it("should wrap errors when reverting", async function () {
+      const s3 = new MeteorS3Client({ name: "testBucket" });
+      sinon
+        .stub(Meteor, "callAsync")
+        .withArgs("meteorS3.testBucket.revertToVersion")
+        .rejects(new Error("Version not found."));
+
+      try {
+        await s3.revertToVersion("12345", "v1");
+        expect.fail("Should have thrown an error");
+      } catch (error) {
+        expect(error.error).to.equal("file-revert-failed");
+      }
+    });
+  });
 });
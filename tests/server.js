@@ -3,7 +3,48 @@ import sinon from "sinon";
 import { MeteorS3 } from "meteor/bratelefant:meteor-s3/server";
 import { resetDb } from "./tools";
 import { Random } from "meteor/random";
-import { PutObjectCommand } from "@aws-sdk/client-s3";
+import {
+  PutObjectCommand,
+  HeadObjectCommand,
+  GetObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCopyCommand,
+  CompleteMultipartUploadCommand,
+  ListMultipartUploadsCommand,
+  DeleteObjectCommand,
+  GetBucketNotificationConfigurationCommand,
+  CopyObjectCommand,
+} from "@aws-sdk/client-s3";
+import { Readable } from "stream";
+import crypto from "crypto";
+import { Accounts } from "meteor/accounts-base";
+
+// Posts to the upload webhook of an instance, signed like the Lambda function does
+const postWebhook = (
+  s3,
+  payload,
+  {
+    secret = s3.webhookSecret,
+    timestamp = Math.floor(Date.now() / 1000),
+    signature,
+  } = {}
+) => {
+  const body = JSON.stringify(payload);
+  return fetch(Meteor.absoluteUrl("/api/" + s3.config.name + "/confirm"), {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-MeteorS3-Timestamp": String(timestamp),
+      "X-MeteorS3-Signature":
+        signature ??
+        crypto
+          .createHmac("sha256", secret)
+          .update(`${timestamp}.${body}`)
+          .digest("hex"),
+    },
+    body,
+  });
+};
 
 describe("Test MeteorS3 initialisation (Server)", function () {
   if (!Meteor.isServer) {
@@ -27,6 +68,32 @@ describe("Test MeteorS3 initialisation (Server)", function () {
       const s3 = new MeteorS3(config);
       expect(s3.config).to.deep.include(config);
     });
+
+    it("should throw if staleUploadTimeout does not exceed maxUploadExpiresIn", function () {
+      expect(
+        () =>
+          new MeteorS3({
+            name: "testBucket",
+            accessKeyId: "testAccessKey",
+            secretAccessKey: "testSecretKey",
+            maxUploadExpiresIn: 3600,
+            staleUploadTimeout: 3600,
+          })
+      ).to.throw(Meteor.Error, "staleUploadTimeout");
+    });
+
+    it("should accept any staleUploadTimeout if the cleanup is disabled", function () {
+      const s3 = new MeteorS3({
+        name: "testBucket",
+        accessKeyId: "testAccessKey",
+        secretAccessKey: "testSecretKey",
+        maxUploadExpiresIn: 2 * 24 * 60 * 60,
+        cleanupInterval: 0,
+      });
+      expect(s3.config.staleUploadTimeout).to.be.below(
+        s3.config.maxUploadExpiresIn
+      );
+    });
   });
 
   describe("initialize", function () {
@@ -78,6 +145,63 @@ describe("Test MeteorS3 initialisation (Server)", function () {
       expect(s3.s3Client).to.exist;
       expect(s3.s3Client.send).to.be.a("function");
     });
+
+    it("should skip the Lambda setup when polling for uploads", async function () {
+      const s3 = new MeteorS3({
+        name: "testBucket" + Random.id(6),
+        accessKeyId: "testAccessKey",
+        secretAccessKey: "testSecretKey",
+        endpoint: "http://localhost:4566",
+        confirmationStrategy: "polling",
+      });
+      sinon.spy(s3, "ensureRoles");
+      sinon.spy(s3, "ensureLambdaFunctions");
+      sinon.spy(s3, "ensureS3UploadTrigger");
+
+      await s3.init();
+
+      expect(s3.ensureRoles.called).to.be.false;
+      expect(s3.ensureLambdaFunctions.called).to.be.false;
+      expect(s3.ensureS3UploadTrigger.called).to.be.false;
+      expect(s3.pollingTimer).to.exist;
+
+      await s3.stop();
+      expect(s3.pollingTimer).to.be.null;
+    });
+
+    it("should send S3 events to an SQS queue", async function () {
+      const s3 = new MeteorS3({
+        name: "testBucket" + Random.id(6),
+        accessKeyId: "testAccessKey",
+        secretAccessKey: "testSecretKey",
+        endpoint: "http://localhost:4566",
+        sqsEndpoint: "http://localhost:4566",
+        confirmationStrategy: "sqs",
+      });
+      sinon.spy(s3, "ensureRoles");
+
+      await s3.init();
+
+      try {
+        expect(s3.ensureRoles.called).to.be.false;
+        expect(s3.sqsQueueUrl).to.include(`meteorS3-${s3.config.name}-events`);
+        expect(await s3.sqsClient.config.endpoint()).to.include({
+          hostname: "localhost",
+        });
+        const { QueueConfigurations = [] } = await s3.s3Client.send(
+          new GetBucketNotificationConfigurationCommand({
+            Bucket: s3.bucketName,
+          })
+        );
+        expect(QueueConfigurations).to.have.length(1);
+        expect(QueueConfigurations[0].Events).to.include.members([
+          "s3:ObjectCreated:*",
+          "s3:ObjectRemoved:*",
+        ]);
+      } finally {
+        await s3.stop();
+      }
+    });
   });
 });
 
@@ -89,6 +213,17 @@ describe("MeteorS3 static functions", function () {
     expect(bucketName).to.include("test-bucket-");
   });
 
+  it("should compute valid part sizes for multipart uploads", function () {
+    const MiB = 1024 * 1024;
+    expect(MeteorS3.getPartSize(100 * MiB, 10 * MiB)).to.equal(10 * MiB);
+    expect(MeteorS3.getPartSize(100 * MiB, 1 * MiB)).to.equal(5 * MiB);
+    // at most 10,000 parts
+    const size = 200 * 1024 * MiB;
+    expect(
+      Math.ceil(size / MeteorS3.getPartSize(size, 10 * MiB))
+    ).to.be.at.most(10000);
+  });
+
   it("removes invalid characters", function () {
     const invalidNames = [
       "",
@@ -164,6 +299,9 @@ describe("Test MeteorS3 class (Server)", function () {
       expect(Object.keys(registerStub.firstCall.args[0])).to.include(
         "meteorS3." + s3.config.name + ".getUploadUrl"
       );
+      expect(Object.keys(registerStub.firstCall.args[0])).to.include(
+        "meteorS3." + s3.config.name + ".getUploadUrls"
+      );
       expect(Object.keys(registerStub.firstCall.args[0])).to.include(
         "meteorS3." + s3.config.name + ".getDownloadUrl"
       );
@@ -173,9 +311,55 @@ describe("Test MeteorS3 class (Server)", function () {
       expect(Object.keys(registerStub.firstCall.args[0])).to.include(
         "meteorS3." + s3.config.name + ".removeFile"
       );
+      expect(Object.keys(registerStub.firstCall.args[0])).to.include(
+        "meteorS3." + s3.config.name + ".restoreFile"
+      );
+      expect(Object.keys(registerStub.firstCall.args[0])).to.include(
+        "meteorS3." + s3.config.name + ".revertToVersion"
+      );
+      expect(Object.keys(registerStub.firstCall.args[0])).to.include(
+        "meteorS3." + s3.config.name + ".getReplaceUploadUrl"
+      );
       expect(Object.keys(registerStub.firstCall.args[0])).to.include(
         "meteorS3." + s3.config.name + ".head"
       );
+      expect(Object.keys(registerStub.firstCall.args[0])).to.include(
+        "meteorS3." + s3.config.name + ".renewUploadUrl"
+      );
+    });
+  });
+
+  describe("ensurePublications", function () {
+    it("should publish the permitted files with public fields only", async function () {
+      const publishStub = sinon.stub(Meteor, "publish");
+      await s3.ensurePublications();
+
+      expect(publishStub.calledOnce).to.be.true;
+      expect(publishStub.firstCall.args[0]).to.equal(
+        "meteorS3." + s3.config.name + ".files"
+      );
+
+      const allowed = await s3.putFile({
+        data: Buffer.from("allowed"),
+        filename: "allowed.txt",
+      });
+      const denied = await s3.putFile({
+        data: Buffer.from("denied"),
+        filename: "denied.txt",
+      });
+      s3.onCheckPermissions = (fileDoc) => fileDoc._id === allowed._id;
+
+      const publication = publishStub.firstCall.args[1];
+      const cursor = await publication.call(
+        { userId: "testUser123" },
+        { fileIds: [allowed._id, denied._id] }
+      );
+      const docs = await cursor.fetchAsync();
+
+      expect(docs).to.have.length(1);
+      expect(docs[0]._id).to.equal(allowed._id);
+      expect(docs[0]).to.not.have.property("key");
+      expect(docs[0].status).to.equal("uploaded");
     });
   });
 
@@ -196,6 +380,13 @@ describe("Test MeteorS3 class (Server)", function () {
 
       // test request handling
 
+      const result = await postWebhook(s3, { key: "testkey" + Random.id() });
+
+      // check response; file will not exist at this point
+      expect(result).to.have.property("status", 404);
+    });
+
+    it("should reject unsigned webhook requests", async function () {
       const result = await fetch(
         Meteor.absoluteUrl("/api/" + s3.config.name + "/confirm"),
         {
@@ -207,8 +398,210 @@ describe("Test MeteorS3 class (Server)", function () {
         }
       );
 
-      // check response; file will not exist at this point
-      expect(result).to.have.property("status", 404);
+      expect(result).to.have.property("status", 401);
+    });
+
+    it("should reject webhook requests with a wrong signature", async function () {
+      const result = await postWebhook(
+        s3,
+        { key: "testkey" + Random.id() },
+        { secret: "wrongSecret" }
+      );
+
+      expect(result).to.have.property("status", 401);
+      expect(await result.json()).to.deep.equal({
+        error: "Invalid signature",
+      });
+    });
+
+    it("should reject expired webhook requests", async function () {
+      const result = await postWebhook(
+        s3,
+        { key: "testkey" + Random.id() },
+        {
+          timestamp:
+            Math.floor(Date.now() / 1000) - s3.config.webhookTolerance - 10,
+        }
+      );
+
+      expect(result).to.have.property("status", 401);
+      expect(await result.json()).to.deep.equal({ error: "Request expired" });
+    });
+
+    it("should reject replayed webhook requests", async function () {
+      const fileDoc = await s3.putFile({
+        data: Buffer.from("test file content"),
+        filename: "replay.txt",
+        mimeType: "text/plain",
+      });
+      const timestamp = Math.floor(Date.now() / 1000);
+
+      const first = await postWebhook(s3, { key: fileDoc.key }, { timestamp });
+      const second = await postWebhook(s3, { key: fileDoc.key }, { timestamp });
+
+      expect(first).to.have.property("status", 200);
+      expect(second).to.have.property("status", 401);
+      expect(await second.json()).to.deep.equal({ error: "Replayed request" });
+    });
+
+    it("should keep the webhook secret of an existing bucket", async function () {
+      const bucket = await s3.buckets.findOneAsync({
+        instanceName: s3.config.name,
+      });
+      expect(bucket.webhookSecret).to.equal(s3.webhookSecret);
+
+      await s3.ensureBucket();
+      expect(s3.webhookSecret).to.equal(bucket.webhookSecret);
+    });
+  });
+
+  describe("public instances", function () {
+    beforeEach(async function () {
+      s3 = new MeteorS3({
+        ...s3.config,
+        name: "testBucket" + Random.id(6),
+        public: true,
+      });
+      await s3.init();
+    });
+
+    it("should serve uploaded files via an unsigned public URL", async function () {
+      const fileDoc = await s3.putFile({
+        data: Buffer.from("test file content"),
+        filename: "logo file.txt",
+        mimeType: "text/plain",
+      });
+
+      const url = s3.getPublicUrl(fileDoc);
+      expect(url).to.equal(
+        `http://localhost:4566/${s3.bucketName}/${fileDoc.key.replace(" ", "%20")}`
+      );
+
+      const result = await fetch(url);
+      expect(result.status).to.equal(200);
+      expect(await result.text()).to.equal("test file content");
+    });
+
+    it("should include key and bucket in head", async function () {
+      const fileDoc = await s3.putFile({
+        data: Buffer.from("test file content"),
+        filename: "logo.txt",
+      });
+
+      const head = await s3.head({ fileId: fileDoc._id });
+      expect(head).to.include({ key: fileDoc.key, bucket: s3.bucketName });
+    });
+
+    it("should not build public URLs for private instances", function () {
+      s3.config.public = false;
+
+      expect(() => s3.getPublicUrl({ key: "uploads/test.txt" })).to.throw(
+        /not public/
+      );
+    });
+  });
+
+  describe("proxy downloads", function () {
+    let fileDoc;
+    let headers;
+
+    beforeEach(async function () {
+      s3.config.proxyDownloads = true;
+      await s3.ensureEndpoints();
+
+      fileDoc = await s3.putFile({
+        data: Buffer.from("test file content"),
+        filename: "Übersicht.txt",
+        mimeType: "text/plain",
+      });
+
+      const token = Random.secret();
+      await Meteor.users.insertAsync({
+        services: {
+          resume: {
+            loginTokens: [
+              {
+                when: new Date(),
+                hashedToken: Accounts._hashLoginToken(token),
+              },
+            ],
+          },
+        },
+      });
+      headers = { Authorization: `Bearer ${token}` };
+    });
+
+    const fileUrl = (fileId) =>
+      Meteor.absoluteUrl(`/api/${s3.config.name}/files/${fileId}`);
+
+    it("should stream a file with the user of the login token", async function () {
+      const permissionsSpy = sinon.spy(s3, "handlePermissionsCheck");
+
+      const result = await fetch(fileUrl(fileDoc._id), { headers });
+
+      expect(result.status).to.equal(200);
+      expect(await result.text()).to.equal("test file content");
+      expect(result.headers.get("etag")).to.equal(fileDoc.etag);
+      expect(result.headers.get("content-disposition")).to.include(
+        "filename*=UTF-8''%C3%9Cbersicht.txt"
+      );
+      expect(permissionsSpy.firstCall.args[2]).to.be.a("string");
+    });
+
+    it("should serve byte ranges", async function () {
+      const result = await fetch(fileUrl(fileDoc._id), {
+        headers: { ...headers, Range: "bytes=5-8" },
+      });
+
+      expect(result.status).to.equal(206);
+      expect(result.headers.get("content-range")).to.equal("bytes 5-8/17");
+      expect(await result.text()).to.equal("file");
+    });
+
+    it("should release the S3 body when the client aborts", async function () {
+      const body = new Readable({ read() {} });
+      body.push("first chunk");
+      const send = s3.s3Client.send.bind(s3.s3Client);
+      sinon
+        .stub(s3.s3Client, "send")
+        .callsFake((command) =>
+          command instanceof GetObjectCommand
+            ? Promise.resolve({ Body: body, ContentType: "text/plain" })
+            : send(command)
+        );
+
+      const controller = new AbortController();
+      const result = await fetch(fileUrl(fileDoc._id), {
+        headers,
+        signal: controller.signal,
+      });
+      expect(result.status).to.equal(200);
+      controller.abort();
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      expect(body.destroyed).to.be.true;
+    });
+
+    it("should answer conditional requests with 304", async function () {
+      const result = await fetch(fileUrl(fileDoc._id), {
+        headers: { ...headers, "If-None-Match": fileDoc.etag },
+      });
+
+      expect(result.status).to.equal(304);
+    });
+
+    it("should deny access if permissions are denied", async function () {
+      sinon.stub(s3, "handlePermissionsCheck").resolves(false);
+
+      const result = await fetch(fileUrl(fileDoc._id));
+
+      expect(result.status).to.equal(403);
+    });
+
+    it("should return 404 for unknown files", async function () {
+      const result = await fetch(fileUrl("unknownFileId"), { headers });
+
+      expect(result.status).to.equal(404);
     });
   });
 
@@ -396,186 +789,2160 @@ describe("Test MeteorS3 class (Server)", function () {
     });
   });
 
-  describe("getDownloadUrl", function () {
-    it("should return a valid download URL for a file", async function () {
-      const fileId = "testFileId";
-      const file = {
-        _id: fileId,
-        filename: "testFile.txt",
-        key: "testFileKey",
-        bucket: "testBucket",
-        status: "uploaded",
-      };
+  describe("upload constraints", function () {
+    const uploadParams = {
+      name: "photo.jpg",
+      size: 1024,
+      type: "image/jpeg",
+      meta: {},
+      userId: "testUser123",
+      context: {},
+    };
 
-      // Mock files collection
-      sinon.stub(s3.files, "findOneAsync").resolves(file);
-      sinon.stub(s3, "handlePermissionsCheck").resolves(true);
+    it("should bind the upload URL to the declared content length", async function () {
+      const result = await s3.getUploadUrl(uploadParams);
 
-      const result = await s3.getDownloadUrl({ fileId });
+      const signedHeaders = new URL(result.url).searchParams.get(
+        "X-Amz-SignedHeaders"
+      );
+      expect(signedHeaders.split(";")).to.include("content-length");
+      expect(result.method).to.equal("PUT");
+    });
 
-      expect(result).to.be.a("string");
-      expect(result).to.include("http");
+    it("should return a pre-signed POST with policy conditions if configured", async function () {
+      s3.config.uploadMethod = "POST";
+
+      const result = await s3.getUploadUrl(uploadParams);
+      expect(result.method).to.equal("POST");
+      expect(result.fields).to.include({ "Content-Type": "image/jpeg" });
+      expect(result.fields).to.have.property("key");
+
+      const policy = JSON.parse(
+        Buffer.from(result.fields.Policy, "base64").toString("utf8")
+      );
+      expect(policy.conditions).to.deep.include([
+        "content-length-range",
+        1024,
+        1024,
+      ]);
+      expect(policy.conditions).to.deep.include([
+        "starts-with",
+        "$Content-Type",
+        "image/",
+      ]);
     });
 
-    it("should throw an error if file does not exist", async function () {
-      const fileId = "nonExistentFileId";
+    it("should require a MIME type for POST uploads only", async function () {
+      const result = await s3.getUploadUrl({ ...uploadParams, type: "" });
+      expect(result.method).to.equal("PUT");
+
+      s3.config.uploadMethod = "POST";
+      for (const type of ["", "image"]) {
+        try {
+          await s3.getUploadUrl({ ...uploadParams, type });
+          expect.fail("Should have thrown upload invalid error");
+        } catch (error) {
+          expect(error.error).to.equal("s3-upload-invalid");
+        }
+      }
+    });
 
-      // Mock files collection to return null
-      sinon.stub(s3.files, "findOneAsync").resolves(null);
+    it("should reject files exceeding maxFileSize", async function () {
+      s3.config.maxFileSize = 512;
 
       try {
-        await s3.getDownloadUrl({ fileId });
-        expect.fail("Should have thrown file not found error");
+        await s3.getUploadUrl(uploadParams);
+        expect.fail("Should have thrown upload invalid error");
       } catch (error) {
-        expect(error.error).to.equal("s3-file-not-found");
+        expect(error.error).to.equal("s3-upload-invalid");
       }
     });
 
-    it("should throw an error if permissions are denied", async function () {
-      const fileId = "testFileId";
-      const file = {
-        _id: fileId,
-        filename: "testFile.txt",
-        key: "testFileKey",
-        bucket: "testBucket",
-        status: "uploaded",
-      };
-
-      // Mock files collection
-      sinon.stub(s3.files, "findOneAsync").resolves(file);
-      sinon.stub(s3, "handlePermissionsCheck").resolves(false);
+    it("should reject files below minFileSize", async function () {
+      s3.config.minFileSize = 2048;
 
       try {
-        await s3.getDownloadUrl({ fileId });
-        expect.fail("Should have thrown permission denied error");
+        await s3.getUploadUrl(uploadParams);
+        expect.fail("Should have thrown upload invalid error");
       } catch (error) {
-        expect(error.error).to.equal("s3-permission-denied");
+        expect(error.error).to.equal("s3-upload-invalid");
       }
     });
 
-    it("should throw an error if file is not uploaded", async function () {
-      const fileId = "testFileId";
-      const file = {
-        _id: fileId,
-        filename: "testFile.txt",
-        key: "testFileKey",
-        bucket: "testBucket",
-        status: "pending", // Not uploaded yet
-      };
+    it("should allow MIME types matching a wildcard", async function () {
+      s3.config.allowedMimeTypes = ["image/*"];
 
-      // Mock files collection
-      sinon.stub(s3.files, "findOneAsync").resolves(file);
-      sinon.stub(s3, "handlePermissionsCheck").resolves(true);
+      const result = await s3.getUploadUrl(uploadParams);
+      expect(result).to.have.property("fileId");
 
       try {
-        await s3.getDownloadUrl({ fileId });
-        expect.fail("Should have thrown file not uploaded error");
+        await s3.getUploadUrl({ ...uploadParams, type: "application/pdf" });
+        expect.fail("Should have thrown upload invalid error");
       } catch (error) {
-        expect(error.error).to.equal("s3-file-not-ready");
+        expect(error.error).to.equal("s3-upload-invalid");
       }
     });
-  });
-
-  describe("head", function () {
-    it("should return file metadata", async function () {
-      const fileId = "testFileId";
-      const file = {
-        _id: fileId,
-        filename: "testFile.txt",
-        key: "testFileKey",
-        bucket: "testBucket",
-        status: "uploaded",
-      };
 
-      // Mock files collection
-      sinon.stub(s3.files, "findOneAsync").resolves(file);
-      sinon.stub(s3, "handlePermissionsCheck").resolves(true);
+    it("should check filename extensions case-insensitively", async function () {
+      s3.config.allowedExtensions = ["JPG", ".png"];
 
-      const result = await s3.head({ fileId });
+      const result = await s3.getUploadUrl(uploadParams);
+      expect(result).to.have.property("fileId");
 
-      expect(result).to.deep.equal({
-        _id: fileId,
-        filename: "testFile.txt",
-        key: "testFileKey",
-        bucket: "testBucket",
-        status: "uploaded",
-      });
+      try {
+        await s3.getUploadUrl({ ...uploadParams, name: "photo.exe" });
+        expect.fail("Should have thrown upload invalid error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-upload-invalid");
+      }
     });
 
-    it("should throw an error if file does not exist", async function () {
-      const fileId = "nonExistentFileId";
+    it("should limit the number of files per user", async function () {
+      s3.config.maxFilesPerUser = 1;
 
-      // Mock files collection to return null
-      sinon.stub(s3.files, "findOneAsync").resolves(null);
+      await s3.getUploadUrl(uploadParams);
+      // other users are not affected
+      await s3.getUploadUrl({ ...uploadParams, userId: "otherUser" });
 
       try {
-        await s3.head({ fileId });
-        expect.fail("Should have thrown file not found error");
+        await s3.getUploadUrl(uploadParams);
+        expect.fail("Should have thrown upload invalid error");
       } catch (error) {
-        expect(error.error).to.equal("s3-file-not-found");
+        expect(error.error).to.equal("s3-upload-invalid");
       }
     });
 
-    it("should throw an error if permissions are denied", async function () {
-      const fileId = "testFileId";
-      const file = {
-        _id: fileId,
-        filename: "testFile.txt",
+    it("should not count invalid and abandoned uploads per user", async function () {
+      s3.config.maxFilesPerUser = 1;
+
+      const invalid = await s3.getUploadUrl(uploadParams);
+      await s3.files.updateAsync(invalid.fileId, { $set: { status: "error" } });
+      const abandoned = await s3.getUploadUrl(uploadParams);
+      await s3.files.updateAsync(abandoned.fileId, {
+        $set: {
+          updatedAt: new Date(
+            Date.now() - (s3.config.maxUploadExpiresIn + 60) * 1000
+          ),
+        },
+      });
+
+      const result = await s3.getUploadUrl(uploadParams);
+      expect(result).to.have.property("fileId");
+    });
+
+    it("should apply the constraints to multipart uploads", async function () {
+      s3.config.maxFileSize = 512;
+
+      try {
+        await s3.createMultipartUpload(uploadParams);
+        expect.fail("Should have thrown upload invalid error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-upload-invalid");
+      }
+    });
+  });
+
+  describe("getUploadUrls", function () {
+    const files = [
+      { name: "a.txt", size: 10, type: "text/plain" },
+      { name: "b.txt", size: 20, type: "text/plain", meta: { test: true } },
+    ];
+
+    it("should return upload URLs and create a file document per file", async function () {
+      const result = await s3.getUploadUrls({ files, userId: "testUser123" });
+
+      expect(result).to.have.length(2);
+      expect(result[0].url).to.include("a.txt");
+      expect(result[1].url).to.include("b.txt");
+
+      const fileDoc = await s3.files.findOneAsync(result[1].fileId);
+      expect(fileDoc.filename).to.equal("b.txt");
+      expect(fileDoc.meta).to.deep.equal({ test: true });
+      expect(fileDoc.status).to.equal("pending");
+    });
+
+    it("should remove all file documents of the batch if a file is rejected", async function () {
+      s3.config.maxFileSize = 15;
+
+      try {
+        await s3.getUploadUrls({ files, userId: "testUser123" });
+        expect.fail("Should have thrown upload invalid error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-upload-invalid");
+      }
+
+      expect(
+        await s3.files.countDocuments({ ownerId: "testUser123" })
+      ).to.equal(0);
+    });
+  });
+
+  describe("multipart uploads", function () {
+    const uploadParams = {
+      name: "large-video.mp4",
+      size: 25 * 1024 * 1024,
+      type: "video/mp4",
+      meta: {},
+      userId: "testUser123",
+      context: {},
+    };
+
+    it("should create a multipart upload and a pending file document", async function () {
+      const result = await s3.createMultipartUpload(uploadParams);
+
+      expect(result).to.have.property("fileId");
+      expect(result).to.have.property("uploadId");
+      expect(result.partSize).to.equal(10 * 1024 * 1024);
+      expect(result.partCount).to.equal(3);
+
+      const fileDoc = await s3.files.findOneAsync(result.fileId);
+      expect(fileDoc.status).to.equal("pending");
+      expect(fileDoc.uploadId).to.equal(result.uploadId);
+    });
+
+    it("should return pre-signed URLs for parts", async function () {
+      const { fileId } = await s3.createMultipartUpload(uploadParams);
+
+      const urls = await s3.getUploadPartUrls({
+        fileId,
+        partNumbers: [1, 3],
+        userId: "testUser123",
+      });
+
+      expect(urls).to.have.length(2);
+      expect(urls[1].partNumber).to.equal(3);
+      expect(urls[1].url).to.include("partNumber=3");
+    });
+
+    it("should bind the part URLs to the content length of their parts", async function () {
+      const { fileId } = await s3.createMultipartUpload(uploadParams);
+
+      const urls = await s3.getUploadPartUrls({
+        fileId,
+        partNumbers: [1, 3],
+        userId: "testUser123",
+      });
+
+      for (const { url } of urls) {
+        const signedHeaders = new URL(url).searchParams.get(
+          "X-Amz-SignedHeaders"
+        );
+        expect(signedHeaders.split(";")).to.include("content-length");
+      }
+    });
+
+    it("should reject part URLs for other users", async function () {
+      const { fileId } = await s3.createMultipartUpload(uploadParams);
+
+      try {
+        await s3.getUploadPartUrls({
+          fileId,
+          partNumbers: [1],
+          userId: "otherUser",
+        });
+        expect.fail("Should have thrown permission denied error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-permission-denied");
+      }
+    });
+
+    it("should reject part numbers out of range", async function () {
+      const { fileId } = await s3.createMultipartUpload(uploadParams);
+
+      try {
+        await s3.getUploadPartUrls({
+          fileId,
+          partNumbers: [4],
+          userId: "testUser123",
+        });
+        expect.fail("Should have thrown invalid part error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-invalid-part");
+      }
+    });
+
+    it("should list the uploaded parts of a multipart upload", async function () {
+      const { fileId, uploadId } = await s3.createMultipartUpload(uploadParams);
+
+      const result = await s3.listUploadedParts({
+        fileId,
+        userId: "testUser123",
+      });
+
+      expect(result).to.deep.equal({
+        fileId,
+        size: uploadParams.size,
+        partSize: 10 * 1024 * 1024,
+        partCount: 3,
+        parts: [],
+      });
+      expect(uploadId).to.be.a("string");
+    });
+
+    it("should cancel a pending upload and remove the file document", async function () {
+      const { fileId } = await s3.createMultipartUpload(uploadParams);
+
+      await s3.cancelUpload({ fileId, userId: "testUser123" });
+
+      expect(await s3.files.findOneAsync(fileId)).to.be.undefined;
+    });
+
+    it("should not cancel uploads of other users", async function () {
+      const { fileId } = await s3.createMultipartUpload(uploadParams);
+
+      try {
+        await s3.cancelUpload({ fileId, userId: "otherUser" });
+        expect.fail("Should have thrown permission denied error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-permission-denied");
+      }
+      expect(await s3.files.findOneAsync(fileId)).to.exist;
+    });
+
+    it("should abort a multipart upload and remove the file document", async function () {
+      const { fileId } = await s3.createMultipartUpload(uploadParams);
+
+      await s3.abortMultipartUpload({ fileId, userId: "testUser123" });
+
+      expect(await s3.files.findOneAsync(fileId)).to.be.undefined;
+    });
+  });
+
+  describe("getDownloadUrl", function () {
+    it("should return a valid download URL for a file", async function () {
+      const fileId = "testFileId";
+      const file = {
+        _id: fileId,
+        filename: "testFile.txt",
+        key: "testFileKey",
+        bucket: "testBucket",
+        status: "uploaded",
+      };
+
+      // Mock files collection
+      sinon.stub(s3.files, "findOneAsync").resolves(file);
+      sinon.stub(s3, "handlePermissionsCheck").resolves(true);
+
+      const result = await s3.getDownloadUrl({ fileId });
+
+      expect(result).to.be.a("string");
+      expect(result).to.include("http");
+    });
+
+    it("should sign the original filename as Content-Disposition", async function () {
+      sinon.stub(s3.files, "findOneAsync").resolves({
+        _id: "testFileId",
+        filename: "Übersicht.pdf",
+        key: "uploads/abc-Übersicht.pdf",
+        bucket: "testBucket",
+        status: "uploaded",
+      });
+
+      const inline = new URL(await s3.getDownloadUrl({ fileId: "testFileId" }));
+      expect(inline.searchParams.get("response-content-disposition")).to.equal(
+        `inline; filename="_bersicht.pdf"; filename*=UTF-8''%C3%9Cbersicht.pdf`
+      );
+
+      const attachment = new URL(
+        await s3.getDownloadUrl({
+          fileId: "testFileId",
+          disposition: "attachment",
+          filename: "report.pdf",
+          cacheControl: "no-store",
+          contentType: "application/octet-stream",
+        })
+      );
+      expect(
+        attachment.searchParams.get("response-content-disposition")
+      ).to.match(/^attachment; filename="report.pdf"/);
+      expect(attachment.searchParams.get("response-cache-control")).to.equal(
+        "no-store"
+      );
+      expect(attachment.searchParams.get("response-content-type")).to.equal(
+        "application/octet-stream"
+      );
+    });
+
+    it("should throw an error if file does not exist", async function () {
+      const fileId = "nonExistentFileId";
+
+      // Mock files collection to return null
+      sinon.stub(s3.files, "findOneAsync").resolves(null);
+
+      try {
+        await s3.getDownloadUrl({ fileId });
+        expect.fail("Should have thrown file not found error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-file-not-found");
+      }
+    });
+
+    it("should throw an error if permissions are denied", async function () {
+      const fileId = "testFileId";
+      const file = {
+        _id: fileId,
+        filename: "testFile.txt",
+        key: "testFileKey",
+        bucket: "testBucket",
+        status: "uploaded",
+      };
+
+      // Mock files collection
+      sinon.stub(s3.files, "findOneAsync").resolves(file);
+      sinon.stub(s3, "handlePermissionsCheck").resolves(false);
+
+      try {
+        await s3.getDownloadUrl({ fileId });
+        expect.fail("Should have thrown permission denied error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-permission-denied");
+      }
+    });
+
+    it("should throw an error if file is not uploaded", async function () {
+      const fileId = "testFileId";
+      const file = {
+        _id: fileId,
+        filename: "testFile.txt",
         key: "testFileKey",
         bucket: "testBucket",
+        status: "pending", // Not uploaded yet
+      };
+
+      // Mock files collection
+      sinon.stub(s3.files, "findOneAsync").resolves(file);
+      sinon.stub(s3, "handlePermissionsCheck").resolves(true);
+
+      try {
+        await s3.getDownloadUrl({ fileId });
+        expect.fail("Should have thrown file not uploaded error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-file-not-ready");
+      }
+    });
+  });
+
+  describe("URL expiry", function () {
+    const fileDoc = {
+      _id: "testFileId",
+      filename: "testFile.txt",
+      key: "testFileKey",
+      bucket: "testBucket",
+      status: "uploaded",
+    };
+    const expiresOf = (url) =>
+      Number(new URL(url).searchParams.get("X-Amz-Expires"));
+
+    beforeEach(function () {
+      sinon.stub(s3.files, "findOneAsync").resolves(fileDoc);
+    });
+
+    it("should use the configured default expiry", async function () {
+      const url = await s3.getDownloadUrl({ fileId: "testFileId" });
+      expect(expiresOf(url)).to.equal(s3.config.downloadExpiresIn);
+    });
+
+    it("should use the expiry requested by the caller up to the maximum", async function () {
+      s3.config.maxDownloadExpiresIn = 600;
+
+      const url = await s3.getDownloadUrl({
+        fileId: "testFileId",
+        expiresIn: 300,
+      });
+      expect(expiresOf(url)).to.equal(300);
+
+      const bounded = await s3.getDownloadUrl({
+        fileId: "testFileId",
+        expiresIn: 3600,
+      });
+      expect(expiresOf(bounded)).to.equal(600);
+    });
+
+    it("should let the onGetExpiry hook override the expiry", async function () {
+      const onGetExpiry = sinon.stub().returns(10);
+      s3.onGetExpiry = onGetExpiry;
+
+      const url = await s3.getDownloadUrl({
+        fileId: "testFileId",
+        expiresIn: 300,
+        userId: "testUser123",
+      });
+
+      expect(expiresOf(url)).to.equal(10);
+      expect(onGetExpiry.firstCall.args.slice(0, 3)).to.deep.equal([
+        fileDoc,
+        "download",
+        "testUser123",
+      ]);
+    });
+
+    it("should apply the upload maximum to upload URLs", async function () {
+      s3.config.maxUploadExpiresIn = 120;
+
+      const { url } = await s3.getUploadUrl({
+        name: "testFile.txt",
+        size: 1024,
+        type: "text/plain",
+        expiresIn: 3600,
+      });
+      expect(expiresOf(url)).to.equal(120);
+    });
+  });
+
+  describe("CloudFront downloads", function () {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+      modulusLength: 2048,
+      privateKeyEncoding: { type: "pkcs1", format: "pem" },
+      publicKeyEncoding: { type: "spki", format: "pem" },
+    });
+    // CloudFront uses a URL safe variant of base64
+    const decode = (value) =>
+      Buffer.from(
+        value.replace(/-/g, "+").replace(/_/g, "=").replace(/~/g, "/"),
+        "base64"
+      );
+    const verify = (data, signature) =>
+      crypto.verify("sha1", Buffer.from(data), publicKey, decode(signature));
+
+    beforeEach(function () {
+      s3.config.cdn = {
+        domain: "d111111abcdef8.cloudfront.net",
+        keyPairId: "K2JCJMDEHXQW5F",
+        privateKey,
+      };
+    });
+
+    it("should return CloudFront signed URLs for downloads", async function () {
+      const fileDoc = {
+        _id: "testFileId",
+        filename: "photo.jpg",
+        key: "uploads/abc-photo.jpg",
+        bucket: "testBucket",
         status: "uploaded",
       };
+      sinon.stub(s3.files, "findOneAsync").resolves(fileDoc);
+
+      const url = new URL(await s3.getDownloadUrl({ fileId: "testFileId" }));
+
+      expect(url.host).to.equal("d111111abcdef8.cloudfront.net");
+      expect(url.pathname).to.equal("/uploads/abc-photo.jpg");
+      expect(url.searchParams.get("Key-Pair-Id")).to.equal("K2JCJMDEHXQW5F");
+      expect(url.searchParams.get("response-content-disposition")).to.match(
+        /^inline; filename="photo.jpg"/
+      );
+      const expires = Number(url.searchParams.get("Expires"));
+      expect(expires).to.be.closeTo(
+        Date.now() / 1000 + s3.config.downloadExpiresIn,
+        5
+      );
+    });
+
+    it("should issue signed cookies for a prefix", async function () {
+      const onCheckPermissions = sinon.stub().returns(true);
+      s3.onCheckPermissions = onCheckPermissions;
+
+      const { cookies, resource } = await s3.getSignedCookies({
+        prefix: "galleries/summer/",
+        userId: "testUser123",
+      });
+
+      expect(resource).to.equal(
+        "https://d111111abcdef8.cloudfront.net/uploads/galleries/summer/*"
+      );
+      expect(cookies["CloudFront-Key-Pair-Id"]).to.equal("K2JCJMDEHXQW5F");
+      const policy = decode(cookies["CloudFront-Policy"]).toString();
+      expect(JSON.parse(policy).Statement[0].Resource).to.equal(resource);
+      expect(verify(policy, cookies["CloudFront-Signature"])).to.be.true;
+      expect(onCheckPermissions.firstCall.args.slice(0, 3)).to.deep.equal([
+        { prefix: "galleries/summer/" },
+        "download-prefix",
+        "testUser123",
+      ]);
+    });
+
+    it("should not issue signed cookies for hooks granting downloads only", async function () {
+      s3.onCheckPermissions = async (_fileDoc, action) => action === "download";
+
+      try {
+        await s3.getSignedCookies({ prefix: "galleries/summer/" });
+        expect.fail("Should have thrown permission denied error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-permission-denied");
+      }
+    });
+
+    it("should reject wildcards in the prefix", async function () {
+      try {
+        await s3.getSignedCookies({ prefix: "galleries/*" });
+        expect.fail("Should have thrown match error");
+      } catch (error) {
+        expect(error.message).to.include("Match error");
+      }
+    });
+
+    it("should reject an empty prefix", async function () {
+      s3.onCheckPermissions = async () => true;
+
+      try {
+        await s3.getSignedCookies({ prefix: "" });
+        expect.fail("Should have thrown match error");
+      } catch (error) {
+        expect(error.message).to.include("Match error");
+      }
+    });
+
+    it("should throw an error if no CDN is configured", async function () {
+      s3.config.cdn = undefined;
+
+      try {
+        await s3.getSignedCookies({ prefix: "galleries/" });
+        expect.fail("Should have thrown no cdn error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-no-cdn");
+      }
+    });
+  });
+
+  describe("listFiles", function () {
+    beforeEach(async function () {
+      const now = Date.now();
+      const files = [
+        { filename: "a.jpg", mimeType: "image/jpeg", ownerId: "alice" },
+        { filename: "b.png", mimeType: "image/png", ownerId: "bob" },
+        { filename: "c.pdf", mimeType: "application/pdf", ownerId: "alice" },
+        { filename: "d.jpg", mimeType: "image/jpeg", ownerId: "alice" },
+        { filename: "e.txt", mimeType: "text/plain", ownerId: "bob" },
+      ];
+      for (const [i, file] of files.entries()) {
+        await s3.files.insertAsync({
+          ...file,
+          size: 100 * (i + 1),
+          key: "uploads/" + file.filename,
+          bucket: s3.bucketName,
+          status: i === 4 ? "pending" : "uploaded",
+          meta: { project: i % 2 ? "odd" : "even" },
+          // all files but the first were created at the same time, to test the tie-breaker
+          createdAt: new Date(now - (i === 0 ? 1000 : 0)),
+        });
+      }
+    });
+
+    const listAll = async (params) => {
+      const filenames = [];
+      let cursor;
+      do {
+        const page = await s3.listFiles({ ...params, cursor });
+        filenames.push(...page.files.map((f) => f.filename));
+        cursor = page.nextCursor;
+      } while (cursor);
+      return filenames;
+    };
+
+    it("should paginate through all files", async function () {
+      const page = await s3.listFiles({ limit: 2 });
+      expect(page.files).to.have.length(2);
+      expect(page.nextCursor).to.be.a("string");
+
+      const filenames = await listAll({ limit: 2 });
+      expect(filenames).to.have.length(5);
+      expect(new Set(filenames).size).to.equal(5);
+      expect(filenames[4]).to.equal("a.jpg"); // oldest file last
+    });
+
+    it("should sort by other fields", async function () {
+      const filenames = await listAll({ sort: { size: 1 }, limit: 2 });
+      expect(filenames).to.deep.equal([
+        "a.jpg",
+        "b.png",
+        "c.pdf",
+        "d.jpg",
+        "e.txt",
+      ]);
+    });
+
+    it("should list files without a size when sorting by size", async function () {
+      for (const filename of ["stream1.bin", "stream2.bin"]) {
+        await s3.files.insertAsync({
+          filename,
+          mimeType: "application/octet-stream",
+          key: "uploads/" + filename,
+          bucket: s3.bucketName,
+          status: "uploading",
+          createdAt: new Date(),
+        });
+      }
+
+      const ascending = await listAll({ sort: { size: 1 }, limit: 1 });
+      expect(ascending).to.have.length(7);
+      expect(ascending.slice(0, 2)).to.have.members([
+        "stream1.bin",
+        "stream2.bin",
+      ]);
+
+      const descending = await listAll({ sort: { size: -1 }, limit: 2 });
+      expect(descending).to.have.length(7);
+      expect(descending.slice(0, 5)).to.deep.equal([
+        "e.txt",
+        "d.jpg",
+        "c.pdf",
+        "b.png",
+        "a.jpg",
+      ]);
+    });
+
+    it("should filter by owner, MIME type, status and meta", async function () {
+      const byOwner = await listAll({ filter: { ownerId: "alice" } });
+      expect(byOwner).to.have.members(["a.jpg", "c.pdf", "d.jpg"]);
+
+      const images = await listAll({ filter: { mimeType: "image/*" } });
+      expect(images).to.have.members(["a.jpg", "b.png", "d.jpg"]);
+
+      const pending = await listAll({ filter: { status: "pending" } });
+      expect(pending).to.deep.equal(["e.txt"]);
+
+      const odd = await listAll({ filter: { meta: { project: "odd" } } });
+      expect(odd).to.have.members(["b.png", "d.jpg"]);
+
+      const recent = await listAll({
+        filter: { createdAfter: new Date(Date.now() - 500) },
+      });
+      expect(recent).to.have.length(4);
+    });
+
+    it("should only return permitted files but fill the pages", async function () {
+      s3.onCheckPermissions = (fileDoc) => fileDoc.ownerId === "bob";
+
+      const page = await s3.listFiles({ sort: { size: 1 }, limit: 2 });
+      expect(page.files.map((f) => f.filename)).to.deep.equal([
+        "b.png",
+        "e.txt",
+      ]);
+      expect(page.nextCursor).to.be.null;
+    });
+
+    it("should reject invalid sort orders, filters and cursors", async function () {
+      const expectError = async (params, check) => {
+        try {
+          await s3.listFiles(params);
+          expect.fail("Should have thrown an error");
+        } catch (error) {
+          check(error);
+        }
+      };
+
+      await expectError({ sort: { key: 1 } }, (error) =>
+        expect(error.error).to.equal("s3-invalid-sort")
+      );
+      await expectError({ cursor: "invalid" }, (error) =>
+        expect(error.error).to.equal("s3-invalid-cursor")
+      );
+      // query operators in filters are not allowed
+      await expectError(
+        { filter: { meta: { project: { $ne: "odd" } } } },
+        (error) => expect(error.message).to.include("Match error")
+      );
+    });
+  });
+
+  describe("getFileStream / getFileBuffer", function () {
+    let fileDoc;
+
+    beforeEach(async function () {
+      fileDoc = await s3.putFile({
+        data: Buffer.from("test file content"),
+        filename: "testFile.txt",
+        mimeType: "text/plain",
+      });
+    });
+
+    it("should return the content of a file as a stream", async function () {
+      const stream = await s3.getFileStream({ fileId: fileDoc._id });
+
+      let content = "";
+      for await (const chunk of stream) {
+        content += chunk.toString();
+      }
+      expect(content).to.equal("test file content");
+    });
+
+    it("should return the content of a file as a buffer", async function () {
+      const buffer = await s3.getFileBuffer({ fileId: fileDoc._id });
+
+      expect(Buffer.isBuffer(buffer)).to.be.true;
+      expect(buffer.toString()).to.equal("test file content");
+    });
+
+    it("should return a byte range of a file", async function () {
+      const buffer = await s3.getFileBuffer({
+        fileId: fileDoc._id,
+        range: { start: 5, end: 8 },
+      });
+      expect(buffer.toString()).to.equal("file");
+
+      const tail = await s3.getFileBuffer({
+        fileId: fileDoc._id,
+        range: { start: 10 },
+      });
+      expect(tail.toString()).to.equal("content");
+    });
+
+    it("should throw an error if the range is not satisfiable", async function () {
+      try {
+        await s3.getFileBuffer({
+          fileId: fileDoc._id,
+          range: { start: 100 },
+        });
+        expect.fail("Should have thrown invalid range error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-invalid-range");
+      }
+    });
+
+    it("should throw an error if permissions are denied", async function () {
+      sinon.stub(s3, "handlePermissionsCheck").resolves(false);
+
+      try {
+        await s3.getFileStream({ fileId: fileDoc._id });
+        expect.fail("Should have thrown permission denied error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-permission-denied");
+      }
+    });
+  });
+
+  describe("head", function () {
+    it("should return file metadata", async function () {
+      const fileId = "testFileId";
+      const file = {
+        _id: fileId,
+        filename: "testFile.txt",
+        key: "testFileKey",
+        bucket: "testBucket",
+        status: "uploaded",
+      };
+
+      // Mock files collection
+      sinon.stub(s3.files, "findOneAsync").resolves(file);
+      sinon.stub(s3, "handlePermissionsCheck").resolves(true);
+
+      const result = await s3.head({ fileId });
+
+      expect(result).to.deep.equal({
+        _id: fileId,
+        filename: "testFile.txt",
+        key: "testFileKey",
+        bucket: "testBucket",
+        status: "uploaded",
+      });
+    });
+
+    it("should throw an error if file does not exist", async function () {
+      const fileId = "nonExistentFileId";
+
+      // Mock files collection to return null
+      sinon.stub(s3.files, "findOneAsync").resolves(null);
+
+      try {
+        await s3.head({ fileId });
+        expect.fail("Should have thrown file not found error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-file-not-found");
+      }
+    });
+
+    it("should throw an error if permissions are denied", async function () {
+      const fileId = "testFileId";
+      const file = {
+        _id: fileId,
+        filename: "testFile.txt",
+        key: "testFileKey",
+        bucket: "testBucket",
+        status: "uploaded",
+      };
+
+      // Mock files collection
+      sinon.stub(s3.files, "findOneAsync").resolves(file);
+      sinon.stub(s3, "handlePermissionsCheck").resolves(false);
+
+      try {
+        await s3.head({ fileId });
+        expect.fail("Should have thrown permission denied error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-permission-denied");
+      }
+    });
+  });
+
+  describe("removeFile", function () {
+    it("should remove a file by ID", async function () {
+      const fileId = "testFileId";
+      const file = {
+        _id: fileId,
+        filename: "testFile.txt",
+        key: "testFileKey",
+        bucket: "testBucket",
+        status: "uploaded",
+      };
+
+      // Mock files collection
+      sinon.stub(s3.files, "findOneAsync").resolves(file);
+      sinon.stub(s3.files, "removeAsync").resolves();
+      sinon.stub(s3.s3Client, "send").resolves();
+
+      await s3.removeFile({ fileId });
+
+      expect(s3.files.findOneAsync.calledWith(fileId)).to.be.true;
+      expect(s3.files.removeAsync.calledWith(fileId)).to.be.true;
+    });
+
+    it("should throw an error if file does not exist", async function () {
+      const fileId = "nonExistentFileId";
+
+      // Mock files collection to return null
+      sinon.stub(s3.files, "findOneAsync").resolves(null);
+
+      try {
+        await s3.removeFile({ fileId });
+        expect.fail("Should have thrown file not found error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-file-not-found");
+      }
+    });
+  });
+
+  describe("handleFileRemovedEvent", function () {
+    let fileDoc;
+    let onAfterRemove;
+
+    const deleteObject = () =>
+      s3.s3Client.send(
+        new DeleteObjectCommand({ Bucket: s3.bucketName, Key: fileDoc.key })
+      );
+
+    beforeEach(async function () {
+      onAfterRemove = sinon.stub().resolves();
+      s3.onAfterRemove = onAfterRemove;
+      fileDoc = await s3.putFile({
+        data: Buffer.from("test file content"),
+        filename: "lifecycle.txt",
+        mimeType: "text/plain",
+      });
+    });
+
+    it("should remove files whose object was deleted via the webhook", async function () {
+      await deleteObject();
+
+      const result = await postWebhook(s3, {
+        key: fileDoc.key,
+        eventName: "ObjectRemoved:Delete",
+      });
+
+      expect(result.status).to.equal(200);
+      expect(await s3.files.findOneAsync(fileDoc._id)).to.be.undefined;
+      expect(onAfterRemove.calledOnce).to.be.true;
+      expect(onAfterRemove.firstCall.args[0]._id).to.equal(fileDoc._id);
+    });
+
+    it("should mark files as deleted with softDelete", async function () {
+      s3.config.softDelete = true;
+      await deleteObject();
+
+      expect(await s3.handleFileRemovedEvent(fileDoc._id, fileDoc.key)).to.be
+        .true;
+
+      const dbDoc = await s3.files.findOneAsync(fileDoc._id);
+      expect(dbDoc.status).to.equal("deleted");
+      expect(dbDoc.trashKey).to.be.undefined;
+      try {
+        await s3.restoreFile({ fileId: fileDoc._id });
+        expect.fail("Should have thrown restore failed error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-restore-failed");
+      }
+      await s3.removeFile({ fileId: fileDoc._id });
+      expect(await s3.files.findOneAsync(fileDoc._id)).to.be.undefined;
+    });
+
+    it("should ignore the event if the object still exists", async function () {
+      expect(await s3.handleFileRemovedEvent(fileDoc._id, fileDoc.key)).to.be
+        .false;
+
+      expect((await s3.files.findOneAsync(fileDoc._id)).status).to.equal(
+        "uploaded"
+      );
+      expect(onAfterRemove.called).to.be.false;
+    });
+
+    it("should ignore removals of objects without a file document", async function () {
+      const result = await postWebhook(s3, {
+        key: "uploads/unknown" + Random.id(),
+        eventName: "ObjectRemoved:Delete",
+      });
+
+      expect(result.status).to.equal(200);
+    });
+
+    it("should call onAfterRemove once when removing a file", async function () {
+      await s3.removeFile({ fileId: fileDoc._id });
+      // The S3 event of the deletion arrives after the file was removed
+      expect(await s3.handleFileRemovedEvent(fileDoc._id, fileDoc.key)).to.be
+        .false;
+
+      expect(onAfterRemove.calledOnce).to.be.true;
+    });
+
+    it("should ignore the removal of the original when moving to the trash", async function () {
+      s3.config.softDelete = true;
+      await s3.removeFile({ fileId: fileDoc._id });
+
+      expect(await s3.handleFileRemovedEvent(fileDoc._id, fileDoc.key)).to.be
+        .false;
+      expect(onAfterRemove.calledOnce).to.be.true;
+      expect((await s3.files.findOneAsync(fileDoc._id)).trashKey).to.exist;
+    });
+  });
+
+  describe("renewUploadUrl", function () {
+    it("should sign a new URL for a pending upload", async function () {
+      const { fileId } = await s3.getUploadUrl({
+        name: "paused.txt",
+        size: 17,
+        type: "text/plain",
+        userId: "testUser123",
+      });
+
+      const { url, method } = await s3.renewUploadUrl({
+        fileId,
+        userId: "testUser123",
+      });
+      const result = await fetch(url, {
+        method,
+        headers: { "Content-Type": "text/plain" },
+        body: "test file content",
+      });
+
+      expect(result.status).to.equal(200);
+    });
+
+    it("should reject uploads of other users", async function () {
+      const { fileId } = await s3.getUploadUrl({
+        name: "paused.txt",
+        size: 17,
+        type: "text/plain",
+        userId: "testUser123",
+      });
+
+      try {
+        await s3.renewUploadUrl({ fileId, userId: "otherUser" });
+        expect.fail("Should have thrown permission denied error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-permission-denied");
+      }
+    });
+  });
+
+  describe("cleanupStaleUploads", function () {
+    const backdate = async (fileId) => {
+      await s3.files.updateAsync(fileId, {
+        $set: {
+          createdAt: new Date(
+            Date.now() - (s3.config.staleUploadTimeout + 60) * 1000
+          ),
+        },
+      });
+    };
+
+    it("should confirm stale uploads that arrived in S3", async function () {
+      const { fileId } = await s3.getUploadUrl({
+        name: "arrived.txt",
+        size: 17,
+        type: "text/plain",
+      });
+      const fileDoc = await s3.files.findOneAsync(fileId);
+      await s3.s3Client.send(
+        new PutObjectCommand({
+          Bucket: s3.bucketName,
+          Key: fileDoc.key,
+          Body: "test file content",
+          ContentType: "text/plain",
+        })
+      );
+      await backdate(fileId);
+
+      const report = await s3.cleanupStaleUploads();
+
+      expect(report.confirmed).to.equal(1);
+      expect((await s3.files.findOneAsync(fileId)).status).to.equal("uploaded");
+    });
+
+    it("should remove stale uploads that never arrived", async function () {
+      const stale = await s3.getUploadUrl({
+        name: "lost.txt",
+        size: 17,
+        type: "text/plain",
+      });
+      const recent = await s3.getUploadUrl({
+        name: "running.txt",
+        size: 17,
+        type: "text/plain",
+      });
+      await backdate(stale.fileId);
+
+      const report = await s3.cleanupStaleUploads();
+
+      expect(report.removed).to.equal(1);
+      expect(await s3.files.findOneAsync(stale.fileId)).to.be.undefined;
+      expect(await s3.files.findOneAsync(recent.fileId)).to.exist;
+    });
+
+    it("should abort stale multipart uploads", async function () {
+      const { fileId, uploadId } = await s3.createMultipartUpload({
+        name: "large.bin",
+        size: 20 * 1024 * 1024,
+        type: "application/octet-stream",
+      });
+      await backdate(fileId);
+
+      const report = await s3.cleanupStaleUploads();
+
+      expect(report).to.include({ removed: 1, aborted: 1 });
+      expect(await s3.files.findOneAsync(fileId)).to.be.undefined;
+      const { Uploads = [] } = await s3.s3Client.send(
+        new ListMultipartUploadsCommand({ Bucket: s3.bucketName })
+      );
+      expect(Uploads.map((u) => u.UploadId)).not.to.include(uploadId);
+    });
+
+    it("should keep multipart uploads whose part URLs were requested recently", async function () {
+      const { fileId } = await s3.createMultipartUpload({
+        name: "large.bin",
+        size: 20 * 1024 * 1024,
+        type: "application/octet-stream",
+      });
+      await backdate(fileId);
+      await s3.getUploadPartUrls({ fileId, partNumbers: [2] });
+
+      const report = await s3.cleanupStaleUploads();
+
+      expect(report.removed).to.equal(0);
+      expect((await s3.files.findOneAsync(fileId)).status).to.equal("pending");
+    });
+
+    it("should abort multipart uploads without a file document", async function () {
+      const { UploadId } = await s3.s3Client.send(
+        new CreateMultipartUploadCommand({
+          Bucket: s3.bucketName,
+          Key: "uploads/orphan.bin",
+        })
+      );
+      const { uploadId } = await s3.createMultipartUpload({
+        name: "large.bin",
+        size: 20 * 1024 * 1024,
+        type: "application/octet-stream",
+      });
+
+      const aborted = await s3.abortOrphanedMultipartUploads(
+        new Date(Date.now() + 60 * 1000)
+      );
+
+      expect(aborted).to.equal(1);
+      const { Uploads = [] } = await s3.s3Client.send(
+        new ListMultipartUploadsCommand({ Bucket: s3.bucketName })
+      );
+      const uploadIds = Uploads.map((u) => u.UploadId);
+      expect(uploadIds).not.to.include(UploadId);
+      expect(uploadIds).to.include(uploadId);
+    });
+  });
+
+  describe("confirmation strategies", function () {
+    const s3Event = (eventName, key) => ({
+      MessageId: Random.id(),
+      ReceiptHandle: Random.id(),
+      Body: JSON.stringify({
+        Records: [
+          {
+            eventName,
+            s3: {
+              bucket: { name: s3.bucketName },
+              object: { key: encodeURIComponent(key) },
+            },
+          },
+        ],
+      }),
+    });
+
+    const upload = async (name) => {
+      const { fileId } = await s3.getUploadUrl({
+        name,
+        size: 17,
+        type: "text/plain",
+      });
+      const fileDoc = await s3.files.findOneAsync(fileId);
+      await s3.s3Client.send(
+        new PutObjectCommand({
+          Bucket: s3.bucketName,
+          Key: fileDoc.key,
+          Body: "test file content",
+          ContentType: "text/plain",
+        })
+      );
+      return fileDoc;
+    };
+
+    it("should confirm pending uploads that arrived when polling", async function () {
+      const arrived = await upload("arrived.txt");
+      const { fileId } = await s3.getUploadUrl({
+        name: "running.txt",
+        size: 17,
+        type: "text/plain",
+      });
+
+      const confirmed = await s3.pollPendingUploads();
+
+      expect(confirmed).to.equal(1);
+      expect((await s3.files.findOneAsync(arrived._id)).status).to.equal(
+        "uploaded"
+      );
+      expect((await s3.files.findOneAsync(fileId)).status).to.equal("pending");
+      expect(await s3.pollPendingUploads()).to.equal(0);
+    });
+
+    it("should not poll uploads whose URL has expired", async function () {
+      const abandoned = await upload("abandoned.txt");
+      await s3.files.updateAsync(abandoned._id, {
+        $set: {
+          updatedAt: new Date(
+            Date.now() - (s3.config.maxUploadExpiresIn + 60) * 1000
+          ),
+        },
+      });
+      const headSpy = sinon.spy(s3.s3Client, "send");
+
+      expect(await s3.pollPendingUploads()).to.equal(0);
+      expect(headSpy.called).to.be.false;
+      expect((await s3.files.findOneAsync(abandoned._id)).status).to.equal(
+        "pending"
+      );
+    });
+
+    it("should confirm uploads from SQS messages", async function () {
+      const fileDoc = await upload("queued file.txt");
+
+      await s3.handleSqsMessage(s3Event("ObjectCreated:Put", fileDoc.key));
+
+      expect((await s3.files.findOneAsync(fileDoc._id)).status).to.equal(
+        "uploaded"
+      );
+    });
+
+    it("should handle removals from SQS messages", async function () {
+      const fileDoc = await upload("removed.txt");
+      await s3.handleFileUploadEvent(fileDoc._id);
+      await s3.s3Client.send(
+        new DeleteObjectCommand({ Bucket: s3.bucketName, Key: fileDoc.key })
+      );
+
+      await s3.handleSqsMessage(s3Event("ObjectRemoved:Delete", fileDoc.key));
+
+      expect(await s3.files.findOneAsync(fileDoc._id)).to.be.undefined;
+    });
+
+    it("should ignore SQS messages that are no S3 events", async function () {
+      sinon.spy(s3, "handleS3Event");
+
+      await s3.handleSqsMessage({
+        MessageId: Random.id(),
+        Body: JSON.stringify({ Event: "s3:TestEvent" }),
+      });
+      await s3.handleSqsMessage({ MessageId: Random.id(), Body: "invalid" });
+
+      expect(s3.handleS3Event.called).to.be.false;
+    });
+
+    it("should only delete SQS messages that were handled", async function () {
+      const handled = s3Event("ObjectCreated:Put", "uploads/unknown.txt");
+      const failed = s3Event("ObjectCreated:Put", "uploads/failing.txt");
+      const send = sinon.stub().resolves({});
+      send.onFirstCall().resolves({ Messages: [handled, failed] });
+      s3.sqsClient = { send };
+      s3.sqsQueueUrl = "http://localhost:4566/queue/test";
+      sinon
+        .stub(s3, "handleS3Event")
+        .callsFake(async ({ key }) =>
+          key === "uploads/failing.txt" ? Promise.reject(new Error()) : false
+        );
+
+      const count = await s3.pollSqsQueue({ waitTimeSeconds: 0 });
+
+      expect(count).to.equal(1);
+      expect(send.callCount).to.equal(2);
+      expect(send.secondCall.args[0].input.ReceiptHandle).to.equal(
+        handled.ReceiptHandle
+      );
+    });
+  });
+
+  describe("reconcile", function () {
+    let uploaded;
+    let missing;
+    let mismatched;
+    let stuck;
+
+    beforeEach(async function () {
+      uploaded = await s3.putFile({
+        data: Buffer.from("in sync"),
+        filename: "ok.txt",
+        mimeType: "text/plain",
+      });
+      missing = await s3.putFile({
+        data: Buffer.from("gone"),
+        filename: "missing.txt",
+        mimeType: "text/plain",
+      });
+      mismatched = await s3.putFile({
+        data: Buffer.from("original"),
+        filename: "changed.txt",
+        mimeType: "text/plain",
+      });
+      const { fileId } = await s3.getUploadUrl({
+        name: "stuck.txt",
+        size: 5,
+        type: "text/plain",
+      });
+      stuck = await s3.files.findOneAsync(fileId);
+
+      const put = (key, body) =>
+        s3.s3Client.send(
+          new PutObjectCommand({
+            Bucket: s3.bucketName,
+            Key: key,
+            Body: body,
+            ContentType: "text/plain",
+          })
+        );
+      await s3.s3Client.send(
+        new DeleteObjectCommand({ Bucket: s3.bucketName, Key: missing.key })
+      );
+      await put(mismatched.key, "modified");
+      await put(stuck.key, "stuck");
+      await put("uploads/orphan.txt", "orphan");
+    });
+
+    it("should report drift without changing anything in a dry run", async function () {
+      const report = await s3.reconcile();
+
+      expect(report.dryRun).to.be.true;
+      expect(report.objects).to.equal(4);
+      expect(report.files).to.equal(4);
+      expect(report.orphanedObjects.map((o) => o.key)).to.deep.equal([
+        "uploads/orphan.txt",
+      ]);
+      expect(report.missingObjects.map((f) => f.fileId)).to.deep.equal([
+        missing._id,
+      ]);
+      expect(report.mismatches).to.have.length(1);
+      expect(report.mismatches[0].fileId).to.equal(mismatched._id);
+      expect(report.mismatches[0].expected.size).to.equal(
+        report.mismatches[0].actual.size
+      );
+      expect(report.stuck.map((f) => f.fileId)).to.deep.equal([stuck._id]);
+      expect(report.stuck[0].fixed).to.be.undefined;
+
+      expect((await s3.files.findOneAsync(missing._id)).status).to.equal(
+        "uploaded"
+      );
+      expect((await s3.files.findOneAsync(stuck._id)).status).to.equal(
+        "pending"
+      );
+    });
+
+    it("should fix the drift", async function () {
+      const report = await s3.reconcile({ dryRun: false });
+
+      expect(report.orphanedObjects[0].fixed).to.be.true;
+      expect(report.missingObjects[0].fixed).to.be.true;
+      expect(report.mismatches[0].fixed).to.be.true;
+      expect(report.stuck[0].fixed).to.be.true;
+
+      expect((await s3.files.findOneAsync(missing._id)).status).to.equal(
+        "error"
+      );
+      const changed = await s3.files.findOneAsync(mismatched._id);
+      expect(changed.status).to.equal("uploaded");
+      expect(changed.etag).not.to.equal(mismatched.etag);
+      expect((await s3.files.findOneAsync(stuck._id)).status).to.equal(
+        "uploaded"
+      );
+      expect(
+        (await s3.files.findOneAsync(uploaded._id)).updatedAt
+      ).to.deep.equal(uploaded.updatedAt);
+
+      const again = await s3.reconcile();
+      expect(again.orphanedObjects).to.be.empty;
+      expect(again.mismatches).to.be.empty;
+      expect(again.stuck).to.be.empty;
+    });
+
+    it("should check issues again before fixing them", async function () {
+      // The missing object arrives and the orphan gets a file, right after the files were compared
+      const find = s3.files.find.bind(s3.files);
+      sinon.stub(s3.files, "find").callsFake((...args) => ({
+        forEachAsync: async (fn) => {
+          await find(...args).forEachAsync(fn);
+          await s3.s3Client.send(
+            new PutObjectCommand({
+              Bucket: s3.bucketName,
+              Key: missing.key,
+              Body: "gone",
+              ContentType: "text/plain",
+            })
+          );
+          await s3.files.updateAsync(uploaded._id, {
+            $set: { replacement: { key: "uploads/orphan.txt" } },
+          });
+        },
+      }));
+
+      const report = await s3.reconcile({
+        dryRun: false,
+        fix: ["orphanedObjects", "missingObjects"],
+      });
+
+      expect(report.missingObjects[0].skipped).to.be.true;
+      expect(report.orphanedObjects[0].skipped).to.be.true;
+      expect((await s3.files.findOneAsync(missing._id)).status).to.equal(
+        "uploaded"
+      );
+      const head = await s3.s3Client.send(
+        new HeadObjectCommand({
+          Bucket: s3.bucketName,
+          Key: "uploads/orphan.txt",
+        })
+      );
+      expect(head.ContentLength).to.equal(6);
+    });
+
+    it("should only fix the selected kinds of issues", async function () {
+      const report = await s3.reconcile({
+        dryRun: false,
+        fix: ["stuck"],
+      });
+
+      expect(report.stuck[0].fixed).to.be.true;
+      expect(report.orphanedObjects[0].fixed).to.be.undefined;
+      const head = await s3.s3Client.send(
+        new HeadObjectCommand({
+          Bucket: s3.bucketName,
+          Key: "uploads/orphan.txt",
+        })
+      );
+      expect(head.ContentLength).to.equal(6);
+    });
+  });
+
+  describe("soft delete", function () {
+    let fileDoc;
+
+    beforeEach(async function () {
+      s3.config.softDelete = true;
+      fileDoc = await s3.putFile({
+        data: Buffer.from("test file content"),
+        filename: "trash.txt",
+        mimeType: "text/plain",
+        userId: "testUser123",
+      });
+    });
+
+    it("should move a removed file to the trash", async function () {
+      await s3.removeFile({ fileId: fileDoc._id });
+
+      const dbDoc = await s3.files.findOneAsync(fileDoc._id);
+      expect(dbDoc.status).to.equal("deleted");
+      expect(dbDoc.deletedAt).to.be.instanceOf(Date);
+      expect(dbDoc.trashKey).to.match(/^trash\//);
+
+      const head = await s3.s3Client.send(
+        new HeadObjectCommand({ Bucket: s3.bucketName, Key: dbDoc.trashKey })
+      );
+      expect(head.ContentLength).to.equal(17);
+      try {
+        await s3.s3Client.send(
+          new HeadObjectCommand({ Bucket: s3.bucketName, Key: fileDoc.key })
+        );
+        expect.fail("The original object should have been moved");
+      } catch (error) {
+        expect(error.name).to.equal("NotFound");
+      }
+    });
+
+    it("should exclude files in the trash from listings and downloads", async function () {
+      await s3.removeFile({ fileId: fileDoc._id });
+
+      const { files } = await s3.listFiles({});
+      expect(files.map((f) => f._id)).not.to.include(fileDoc._id);
+      const { files: deleted } = await s3.listFiles({
+        filter: { status: "deleted" },
+      });
+      expect(deleted.map((f) => f._id)).to.include(fileDoc._id);
+
+      try {
+        await s3.getDownloadUrl({ fileId: fileDoc._id });
+        expect.fail("Should not serve files in the trash");
+      } catch (error) {
+        expect(error).to.be.instanceOf(Meteor.Error);
+      }
+    });
+
+    it("should restore a file from the trash", async function () {
+      await s3.removeFile({ fileId: fileDoc._id });
+      await s3.restoreFile({ fileId: fileDoc._id });
+
+      const dbDoc = await s3.files.findOneAsync(fileDoc._id);
+      expect(dbDoc.status).to.equal("uploaded");
+      expect(dbDoc.deletedAt).to.be.undefined;
+      expect(dbDoc.trashKey).to.be.undefined;
+
+      const head = await s3.s3Client.send(
+        new HeadObjectCommand({ Bucket: s3.bucketName, Key: fileDoc.key })
+      );
+      expect(head.ContentLength).to.equal(17);
+    });
+
+    it("should not confirm a restored file again", async function () {
+      const onAfterUpload = sinon.stub().resolves();
+      s3.onAfterUpload = onAfterUpload;
+      await s3.removeFile({ fileId: fileDoc._id });
+
+      // The S3 event of the copy may arrive while the file is still in the trash, or afterwards
+      await s3.handleFileUploadEvent(fileDoc._id, fileDoc.key);
+      expect((await s3.files.findOneAsync(fileDoc._id)).status).to.equal(
+        "deleted"
+      );
+      await s3.restoreFile({ fileId: fileDoc._id });
+      await s3.handleFileUploadEvent(fileDoc._id, fileDoc.key);
+
+      expect(onAfterUpload.called).to.be.false;
+      const dbDoc = await s3.files.findOneAsync(fileDoc._id);
+      const head = await s3.s3Client.send(
+        new HeadObjectCommand({ Bucket: s3.bucketName, Key: fileDoc.key })
+      );
+      expect(dbDoc.etag).to.equal(head.ETag);
+    });
+
+    it("should not restore a file that is not in the trash", async function () {
+      try {
+        await s3.restoreFile({ fileId: fileDoc._id });
+        expect.fail("Should have thrown file not deleted error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-file-not-deleted");
+      }
+    });
+
+    it("should delete permanently on request or from the trash", async function () {
+      await s3.removeFile({ fileId: fileDoc._id });
+      await s3.removeFile({ fileId: fileDoc._id });
+      expect(await s3.files.findOneAsync(fileDoc._id)).to.be.undefined;
+
+      const other = await s3.putFile({
+        data: Buffer.from("other"),
+        filename: "other.txt",
+      });
+      await s3.removeFile({ fileId: other._id, permanent: true });
+      expect(await s3.files.findOneAsync(other._id)).to.be.undefined;
+    });
+
+    it("should move files larger than 5 GB to the trash in parts", async function () {
+      const size = 6 * 1024 * 1024 * 1024;
+      const send = sinon.stub(s3.s3Client, "send").callsFake((command) => {
+        if (command instanceof CreateMultipartUploadCommand) {
+          return { UploadId: "testUploadId" };
+        }
+        if (command instanceof UploadPartCopyCommand) {
+          return { CopyPartResult: { ETag: '"etag"' } };
+        }
+        return {};
+      });
+
+      await s3.moveToTrash({ ...fileDoc, size });
+
+      expect(
+        send.args.some(([command]) => command instanceof CopyObjectCommand)
+      ).to.be.false;
+      const partCopies = send.args.filter(
+        ([command]) => command instanceof UploadPartCopyCommand
+      );
+      expect(partCopies[0][0].input.Key).to.match(/^trash\//);
+      expect((await s3.files.findOneAsync(fileDoc._id)).status).to.equal(
+        "deleted"
+      );
+    });
+
+    it("should delete unfinished uploads instead of moving them to the trash", async function () {
+      const { fileId, uploadId } = await s3.createMultipartUpload({
+        name: "large.bin",
+        size: 20 * 1024 * 1024,
+        type: "application/octet-stream",
+      });
+
+      await s3.removeFile({ fileId });
+
+      expect(await s3.files.findOneAsync(fileId)).to.be.undefined;
+      const { Uploads = [] } = await s3.s3Client.send(
+        new ListMultipartUploadsCommand({ Bucket: s3.bucketName })
+      );
+      expect(Uploads.map((u) => u.UploadId)).not.to.include(uploadId);
+    });
+
+    it("should purge files after the retention period", async function () {
+      await s3.removeFile({ fileId: fileDoc._id });
+
+      expect(await s3.purgeTrash()).to.equal(0);
+      expect(await s3.files.findOneAsync(fileDoc._id)).to.exist;
+
+      await s3.files.updateAsync(fileDoc._id, {
+        $set: {
+          deletedAt: new Date(
+            Date.now() - (s3.config.trashRetention + 60) * 1000
+          ),
+        },
+      });
+      expect(await s3.purgeTrash()).to.equal(1);
+      expect(await s3.files.findOneAsync(fileDoc._id)).to.be.undefined;
+    });
+  });
+
+  describe("copyFile and moveFile", function () {
+    let fileDoc;
+    let target;
+
+    beforeEach(async function () {
+      target = new MeteorS3({
+        ...s3.config,
+        name: "testBucket" + Random.id(6),
+      });
+      await target.init();
+      fileDoc = await s3.putFile({
+        data: Buffer.from("draft content"),
+        filename: "draft.txt",
+        mimeType: "text/plain",
+        meta: { state: "draft" },
+        userId: "testUser123",
+      });
+    });
+
+    it("should copy a file to another instance by name", async function () {
+      const copy = await s3.copyFile(fileDoc._id, {
+        toInstance: target.config.name,
+        key: "published/draft.txt",
+        meta: { state: "published" },
+        userId: "otherUser",
+      });
+
+      expect(copy.key).to.equal("uploads/published/draft.txt");
+      expect(copy.bucket).to.equal(target.bucketName);
+      expect(copy.status).to.equal("uploaded");
+      expect(copy.size).to.equal(13);
+      expect(copy.meta).to.deep.equal({ state: "published" });
+      expect(copy.ownerId).to.equal("otherUser");
+      expect(await target.files.findOneAsync(copy._id)).to.exist;
+      expect(await s3.files.findOneAsync(fileDoc._id)).to.exist;
+
+      const buffer = await target.getFileBuffer({ fileId: copy._id });
+      expect(buffer.toString()).to.equal("draft content");
+    });
+
+    it("should copy a file within the same instance", async function () {
+      const copy = await s3.copyFile(fileDoc._id);
+
+      expect(copy._id).not.to.equal(fileDoc._id);
+      expect(copy.key).not.to.equal(fileDoc.key);
+      expect(copy.meta).to.deep.equal({ state: "draft" });
+      const buffer = await s3.getFileBuffer({ fileId: copy._id });
+      expect(buffer.toString()).to.equal("draft content");
+    });
+
+    it("should move a file and remove the source", async function () {
+      const onAfterRemove = sinon.stub().resolves();
+      s3.onAfterRemove = onAfterRemove;
+
+      const moved = await s3.moveFile(fileDoc._id, { toInstance: target });
+      // The S3 event of the deletion may arrive after the move
+      await s3.handleFileRemovedEvent(fileDoc._id, fileDoc.key);
+
+      expect(onAfterRemove.calledOnce).to.be.true;
+      expect(onAfterRemove.firstCall.args[0]._id).to.equal(fileDoc._id);
+
+      expect(moved.ownerId).to.equal("testUser123");
+      expect(await s3.files.findOneAsync(fileDoc._id)).to.be.undefined;
+      try {
+        await s3.s3Client.send(
+          new HeadObjectCommand({ Bucket: s3.bucketName, Key: fileDoc.key })
+        );
+        expect.fail("The source object should have been deleted");
+      } catch (error) {
+        expect(error.name).to.equal("NotFound");
+      }
+      const buffer = await target.getFileBuffer({ fileId: moved._id });
+      expect(buffer.toString()).to.equal("draft content");
+    });
+
+    it("should keep the source if the target rejects the copy", async function () {
+      sinon
+        .stub(target, "getUploadedFileViolation")
+        .returns("Uploaded file is invalid.");
+
+      try {
+        await s3.moveFile(fileDoc._id, { toInstance: target });
+        expect.fail("Should have thrown move failed error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-move-failed");
+      }
+
+      expect(await target.files.countDocuments({})).to.equal(0);
+      expect((await s3.files.findOneAsync(fileDoc._id)).status).to.equal(
+        "uploaded"
+      );
+      const buffer = await s3.getFileBuffer({ fileId: fileDoc._id });
+      expect(buffer.toString()).to.equal("draft content");
+    });
+
+    it("should check the permissions of both instances", async function () {
+      target.onCheckPermissions = async (_fileDoc, action) =>
+        action !== "upload";
+
+      try {
+        await s3.moveFile(fileDoc._id, { toInstance: target });
+        expect.fail("Should have thrown permission denied error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-permission-denied");
+      }
+      expect(await target.files.countDocuments({})).to.equal(0);
+      expect(await s3.files.findOneAsync(fileDoc._id)).to.exist;
+
+      target.onCheckPermissions = async () => true;
+      s3.onCheckPermissions = async (_fileDoc, action) => action !== "delete";
+      try {
+        await s3.moveFile(fileDoc._id, { toInstance: target });
+        expect.fail("Should have thrown permission denied error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-permission-denied");
+      }
+      expect(await target.files.countDocuments({})).to.equal(0);
+    });
+
+    it("should reject unknown instances and taken keys", async function () {
+      try {
+        await s3.copyFile(fileDoc._id, { toInstance: "unknownInstance" });
+        expect.fail("Should have thrown instance not found error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-instance-not-found");
+      }
+
+      try {
+        await s3.copyFile(fileDoc._id, {
+          key: fileDoc.key.replace(/^uploads\//, ""),
+        });
+        expect.fail("Should have thrown key exists error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-key-exists");
+      }
+    });
+
+    it("should copy objects larger than 5 GB in parts", async function () {
+      const size = 6 * 1024 * 1024 * 1024;
+      const send = sinon.stub(target.s3Client, "send").callsFake((command) => {
+        if (command instanceof CreateMultipartUploadCommand) {
+          return { UploadId: "testUploadId" };
+        }
+        if (command instanceof UploadPartCopyCommand) {
+          return { CopyPartResult: { ETag: '"etag"' } };
+        }
+        return {};
+      });
+
+      await target.copyObjectFrom({
+        sourceBucket: s3.bucketName,
+        sourceKey: "uploads/large.bin",
+        targetKey: "uploads/copy.bin",
+        size,
+      });
+
+      const partCopies = send.args.filter(
+        ([command]) => command instanceof UploadPartCopyCommand
+      );
+      const partSize = MeteorS3.getPartSize(
+        size,
+        target.config.multipartPartSize
+      );
+      expect(partCopies).to.have.length(Math.ceil(size / partSize));
+      expect(partCopies[1][0].input.CopySourceRange).to.equal(
+        `bytes=${partSize}-${2 * partSize - 1}`
+      );
+      const complete = send.args.find(
+        ([command]) => command instanceof CompleteMultipartUploadCommand
+      );
+      expect(complete[0].input.MultipartUpload.Parts).to.have.length(
+        partCopies.length
+      );
+    });
+  });
+
+  describe("replaceFile", function () {
+    let fileDoc;
+
+    beforeEach(async function () {
+      fileDoc = await s3.putFile({
+        data: Buffer.from("old content"),
+        filename: "report.txt",
+        mimeType: "text/plain",
+      });
+    });
+
+    const uploadReplacement = async (content, size) => {
+      const { url } = await s3.getReplaceUploadUrl({
+        fileId: fileDoc._id,
+        name: "report-v2.txt",
+        size: size ?? Buffer.byteLength(content),
+        type: "text/plain",
+      });
+      const pending = await s3.files.findOneAsync(fileDoc._id);
+      await fetch(url, {
+        method: "PUT",
+        headers: { "Content-Type": "text/plain" },
+        body: content,
+      });
+      return pending.replacement.key;
+    };
+
+    it("should keep the old content until the replacement is confirmed", async function () {
+      const key = await uploadReplacement("new content!");
+
+      const pending = await s3.files.findOneAsync(fileDoc._id);
+      expect(pending.key).to.equal(fileDoc.key);
+      expect(key).not.to.equal(fileDoc.key);
+      const buffer = await s3.getFileBuffer({ fileId: fileDoc._id });
+      expect(buffer.toString()).to.equal("old content");
+    });
+
+    it("should switch to the new key and delete the old object", async function () {
+      const key = await uploadReplacement("new content!");
+      const replaced = await s3.handleFileUploadEvent(fileDoc._id, key);
+
+      expect(replaced._id).to.equal(fileDoc._id);
+      expect(replaced.key).to.equal(key);
+      expect(replaced.filename).to.equal("report-v2.txt");
+      expect(replaced.size).to.equal(12);
+      expect(replaced.replacement).to.be.undefined;
+
+      const buffer = await s3.getFileBuffer({ fileId: fileDoc._id });
+      expect(buffer.toString()).to.equal("new content!");
+      try {
+        await s3.s3Client.send(
+          new HeadObjectCommand({ Bucket: s3.bucketName, Key: fileDoc.key })
+        );
+        expect.fail("The old object should have been deleted");
+      } catch (error) {
+        expect(error.name).to.equal("NotFound");
+      }
+    });
+
+    it("should switch the key only once for concurrent confirmations", async function () {
+      await uploadReplacement("new content!");
+      const pending = await s3.files.findOneAsync(fileDoc._id);
+      const onAfterUpload = sinon.spy();
+      s3.onAfterUpload = onAfterUpload;
+
+      // Both confirmations read the file before either of them switched the key
+      await s3.confirmReplacement(pending);
+      const second = await s3.confirmReplacement(pending);
+
+      expect(onAfterUpload.calledOnce).to.be.true;
+      expect(second.key).to.equal(pending.replacement.key);
+      const buffer = await s3.getFileBuffer({ fileId: fileDoc._id });
+      expect(buffer.toString()).to.equal("new content!");
+    });
+
+    it("should confirm the replacement via the webhook", async function () {
+      const key = await uploadReplacement("new content!");
+
+      const result = await postWebhook(s3, { key });
+      expect(result.status).to.equal(200);
+      expect((await s3.files.findOneAsync(fileDoc._id)).key).to.equal(key);
+    });
+
+    it("should discard invalid replacements", async function () {
+      const key = await uploadReplacement("new content!");
+      await s3.files.updateAsync(fileDoc._id, {
+        $set: { "replacement.size": 99 },
+      });
+
+      const result = await s3.handleFileUploadEvent(fileDoc._id, key);
+      expect(result.key).to.equal(fileDoc.key);
+      expect((await s3.files.findOneAsync(fileDoc._id)).replacement).to.be
+        .undefined;
+      const buffer = await s3.getFileBuffer({ fileId: fileDoc._id });
+      expect(buffer.toString()).to.equal("old content");
+    });
+
+    it("should only confirm the replacement with its key", async function () {
+      const key = await uploadReplacement("new content!");
+
+      await s3.handleFileUploadEvent(fileDoc._id);
+
+      const pending = await s3.files.findOneAsync(fileDoc._id);
+      expect(pending.key).to.equal(fileDoc.key);
+      expect(pending.replacement.key).to.equal(key);
+    });
+
+    it("should reject a second replacement until the first one expired", async function () {
+      const key = await uploadReplacement("new content!");
+
+      try {
+        await uploadReplacement("newer content");
+        expect.fail("Should have thrown replacement pending error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-replacement-pending");
+      }
+
+      await s3.files.updateAsync(fileDoc._id, {
+        $set: { "replacement.expiresAt": new Date(Date.now() - 1000) },
+      });
+      const newKey = await uploadReplacement("newer content");
+      expect(newKey).not.to.equal(key);
+      try {
+        await s3.s3Client.send(
+          new HeadObjectCommand({ Bucket: s3.bucketName, Key: key })
+        );
+        expect.fail("The expired replacement should have been deleted");
+      } catch (error) {
+        expect(error.name).to.equal("NotFound");
+      }
+    });
+
+    it("should check the update permission", async function () {
+      s3.onCheckPermissions = async (_fileDoc, action) => action !== "update";
+
+      try {
+        await uploadReplacement("new content!");
+        expect.fail("Should have thrown permission denied error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-permission-denied");
+      }
+    });
+  });
+
+  describe("versioning", function () {
+    let fileDoc;
+
+    // Uploads a new version like a client would and confirms it like the S3 event trigger
+    const uploadVersion = async (content, type = "text/plain") => {
+      const { url } = await s3.getVersionUploadUrl({
+        fileId: fileDoc._id,
+        size: Buffer.byteLength(content),
+        type,
+      });
+      const result = await fetch(url, {
+        method: "PUT",
+        headers: { "Content-Type": type },
+        body: content,
+      });
+      expect(result.status).to.equal(200);
+      return await s3.handleFileUploadEvent(fileDoc._id);
+    };
 
-      // Mock files collection
-      sinon.stub(s3.files, "findOneAsync").resolves(file);
-      sinon.stub(s3, "handlePermissionsCheck").resolves(false);
+    beforeEach(async function () {
+      s3 = new MeteorS3({
+        ...s3.config,
+        name: "testBucket" + Random.id(6),
+        versioning: true,
+      });
+      await s3.init();
+      fileDoc = await s3.putFile({
+        data: Buffer.from("first version"),
+        filename: "contract.txt",
+        mimeType: "text/plain",
+      });
+    });
+
+    it("should record the version of an upload", async function () {
+      expect(fileDoc.versionId).to.be.a("string");
+      expect(fileDoc.versions).to.have.length(1);
+      expect(fileDoc.versions[0].versionId).to.equal(fileDoc.versionId);
+    });
+
+    it("should upload a new version under the same key", async function () {
+      const updated = await uploadVersion("second version");
+
+      expect(updated.key).to.equal(fileDoc.key);
+      expect(updated.versionId).not.to.equal(fileDoc.versionId);
+      expect(updated.size).to.equal(14);
+      expect(updated.pendingVersion).to.be.undefined;
+
+      const versions = await s3.listVersions({ fileId: fileDoc._id });
+      expect(versions.map((v) => v.versionId)).to.deep.equal([
+        updated.versionId,
+        fileDoc.versionId,
+      ]);
+      expect(versions[0].isCurrent).to.be.true;
+      expect(versions[1].isCurrent).to.be.false;
+    });
+
+    it("should download a previous version", async function () {
+      await uploadVersion("second version");
+
+      const url = await s3.getDownloadUrl({
+        fileId: fileDoc._id,
+        versionId: fileDoc.versionId,
+      });
+      const result = await fetch(url);
+      expect(await result.text()).to.equal("first version");
 
       try {
-        await s3.head({ fileId });
-        expect.fail("Should have thrown permission denied error");
+        await s3.getDownloadUrl({ fileId: fileDoc._id, versionId: "unknown" });
+        expect.fail("Should have thrown version not found error");
       } catch (error) {
-        expect(error.error).to.equal("s3-permission-denied");
+        expect(error.error).to.equal("s3-version-not-found");
       }
     });
-  });
 
-  describe("removeFile", function () {
-    it("should remove a file by ID", async function () {
-      const fileId = "testFileId";
-      const file = {
-        _id: fileId,
-        filename: "testFile.txt",
-        key: "testFileKey",
-        bucket: "testBucket",
-        status: "uploaded",
-      };
+    it("should revert to a previous version", async function () {
+      await uploadVersion("second version");
 
-      // Mock files collection
-      sinon.stub(s3.files, "findOneAsync").resolves(file);
-      sinon.stub(s3.files, "removeAsync").resolves();
-      sinon.stub(s3.s3Client, "send").resolves();
+      const reverted = await s3.revertToVersion({
+        fileId: fileDoc._id,
+        versionId: fileDoc.versionId,
+      });
+      expect(reverted.size).to.equal(13);
+      expect(reverted.versions).to.have.length(3);
+      expect(reverted.pendingVersion).to.be.undefined;
 
-      await s3.removeFile({ fileId });
+      const buffer = await s3.getFileBuffer({ fileId: fileDoc._id });
+      expect(buffer.toString()).to.equal("first version");
+    });
 
-      expect(s3.files.findOneAsync.calledWith(fileId)).to.be.true;
-      expect(s3.files.removeAsync.calledWith(fileId)).to.be.true;
+    it("should record a reverted version once, although its S3 event confirms it again", async function () {
+      await uploadVersion("second version");
+      const onAfterUpload = sinon.spy();
+      s3.onAfterUpload = onAfterUpload;
+
+      const reverted = await s3.revertToVersion({
+        fileId: fileDoc._id,
+        versionId: fileDoc.versionId,
+      });
+      await s3.handleFileUploadEvent(fileDoc._id);
+
+      const updated = await s3.files.findOneAsync(fileDoc._id);
+      expect(updated.versionId).to.equal(reverted.versionId);
+      expect(updated.versions).to.have.length(3);
+      expect(onAfterUpload.calledOnce).to.be.true;
     });
 
-    it("should throw an error if file does not exist", async function () {
-      const fileId = "nonExistentFileId";
+    it("should reject another new version while one is pending", async function () {
+      await uploadVersion("second version");
+      await s3.getVersionUploadUrl({
+        fileId: fileDoc._id,
+        size: 14,
+        type: "text/plain",
+      });
 
-      // Mock files collection to return null
-      sinon.stub(s3.files, "findOneAsync").resolves(null);
+      for (const request of [
+        () =>
+          s3.getVersionUploadUrl({
+            fileId: fileDoc._id,
+            size: 13,
+            type: "text/plain",
+          }),
+        () =>
+          s3.revertToVersion({
+            fileId: fileDoc._id,
+            versionId: fileDoc.versionId,
+          }),
+      ]) {
+        try {
+          await request();
+          expect.fail("Should have thrown version pending error");
+        } catch (error) {
+          expect(error.error).to.equal("s3-version-pending");
+        }
+      }
+    });
+
+    it("should discard a new version that does not match the declaration", async function () {
+      const { url } = await s3.getVersionUploadUrl({
+        fileId: fileDoc._id,
+        size: 14,
+        type: "text/plain",
+      });
+      await fetch(url, {
+        method: "PUT",
+        headers: { "Content-Type": "text/plain" },
+        body: "second version",
+      });
+      // Pretend that a different size was declared
+      await s3.files.updateAsync(fileDoc._id, {
+        $set: { "pendingVersion.size": 99 },
+      });
+
+      const result = await s3.handleFileUploadEvent(fileDoc._id);
+      expect(result.versionId).to.equal(fileDoc.versionId);
+      expect(result.status).to.equal("uploaded");
+
+      const buffer = await s3.getFileBuffer({ fileId: fileDoc._id });
+      expect(buffer.toString()).to.equal("first version");
+    });
+
+    it("should check the update permission", async function () {
+      s3.onCheckPermissions = async (_fileDoc, action) => action !== "update";
 
       try {
-        await s3.removeFile({ fileId });
-        expect.fail("Should have thrown file not found error");
+        await s3.getVersionUploadUrl({
+          fileId: fileDoc._id,
+          size: 14,
+          type: "text/plain",
+        });
+        expect.fail("Should have thrown permission denied error");
       } catch (error) {
-        expect(error.error).to.equal("s3-file-not-found");
+        expect(error.error).to.equal("s3-permission-denied");
+      }
+    });
+
+    it("should delete all versions of a removed file", async function () {
+      await uploadVersion("second version");
+      await s3.removeFile({ fileId: fileDoc._id });
+
+      try {
+        await s3.s3Client.send(
+          new GetObjectCommand({
+            Bucket: s3.bucketName,
+            Key: fileDoc.key,
+            VersionId: fileDoc.versionId,
+          })
+        );
+        expect.fail("Previous versions should have been deleted");
+      } catch (error) {
+        expect(error.name).to.equal("NoSuchVersion");
       }
     });
   });
 
+  it("should require versioning for new versions", async function () {
+    sinon.stub(s3.files, "findOneAsync").resolves({
+      _id: "testFileId",
+      status: "uploaded",
+    });
+    try {
+      await s3.getVersionUploadUrl({
+        fileId: "testFileId",
+        size: 14,
+        type: "text/plain",
+      });
+      expect.fail("Should have thrown no versioning error");
+    } catch (error) {
+      expect(error.error).to.equal("s3-no-versioning");
+    }
+  });
+
   describe("handleFileUploadEvent", function () {
     it("should handle file upload event", async function () {
       const fileId = "testFileId";
@@ -584,6 +2951,8 @@ describe("Test MeteorS3 class (Server)", function () {
       sinon.stub(s3.files, "findOneAsync").resolves({
         _id: fileId,
         filename: "testFile.txt",
+        size: 17,
+        mimeType: "text/plain",
         key: "testFileKey",
         bucket: "testBucket",
         status: "pending",
@@ -596,6 +2965,7 @@ describe("Test MeteorS3 class (Server)", function () {
           Bucket: s3.bucketName,
           Key: "testFileKey",
           Body: "test file content",
+          ContentType: "text/plain",
         })
       );
 
@@ -606,9 +2976,159 @@ describe("Test MeteorS3 class (Server)", function () {
       expect(s3.files.updateAsync.calledWith(fileId)).to.be.true;
       expect(s3.files.updateAsync.args[0][1].$set).to.have.keys([
         "status",
+        "size",
+        "mimeType",
         "etag",
         "updatedAt",
       ]);
+      expect(s3.files.updateAsync.args[0][1].$set.status).to.equal("uploaded");
+    });
+
+    it("should set status to error if the size does not match", async function () {
+      const fileId = "testFileId";
+      const onAfterUploadStub = sinon.stub();
+      s3.onAfterUpload = onAfterUploadStub;
+
+      // The client declared 1 KB, but uploaded 17 bytes
+      sinon.stub(s3.files, "findOneAsync").resolves({
+        _id: fileId,
+        filename: "testFile.txt",
+        size: 1024,
+        mimeType: "text/plain",
+        key: "testFileKey",
+        bucket: "testBucket",
+        status: "pending",
+      });
+      sinon.stub(s3.files, "updateAsync").resolves();
+
+      await s3.s3Client.send(
+        new PutObjectCommand({
+          Bucket: s3.bucketName,
+          Key: "testFileKey",
+          Body: "test file content",
+          ContentType: "text/plain",
+        })
+      );
+
+      const result = await s3.handleFileUploadEvent(fileId);
+
+      const update = s3.files.updateAsync.args[0][1].$set;
+      expect(update.status).to.equal("error");
+      expect(update.errorReason).to.include("does not match");
+      expect(update.size).to.equal(17);
+      expect(result.status).to.equal("error");
+      expect(onAfterUploadStub.called).to.be.false;
+    });
+
+    it("should set status to error if the type does not match", async function () {
+      const fileId = "testFileId";
+
+      sinon.stub(s3.files, "findOneAsync").resolves({
+        _id: fileId,
+        filename: "testFile.txt",
+        size: 17,
+        mimeType: "text/plain",
+        key: "testFileKey",
+        bucket: "testBucket",
+        status: "pending",
+      });
+      sinon.stub(s3.files, "updateAsync").resolves();
+
+      await s3.s3Client.send(
+        new PutObjectCommand({
+          Bucket: s3.bucketName,
+          Key: "testFileKey",
+          Body: "test file content",
+          ContentType: "application/x-msdownload",
+        })
+      );
+
+      await s3.handleFileUploadEvent(fileId);
+
+      const update = s3.files.updateAsync.args[0][1].$set;
+      expect(update.status).to.equal("error");
+      expect(update.mimeType).to.equal("application/x-msdownload");
+    });
+
+    it("should remove invalid uploads if configured", async function () {
+      const fileId = "testFileId";
+      s3.config.maxFileSize = 10;
+      s3.config.removeInvalidUploads = true;
+
+      sinon.stub(s3.files, "findOneAsync").resolves({
+        _id: fileId,
+        filename: "testFile.txt",
+        size: 17,
+        mimeType: "text/plain",
+        key: "testFileKey",
+        bucket: "testBucket",
+        status: "pending",
+      });
+      sinon.stub(s3.files, "updateAsync").resolves();
+
+      await s3.s3Client.send(
+        new PutObjectCommand({
+          Bucket: s3.bucketName,
+          Key: "testFileKey",
+          Body: "test file content",
+          ContentType: "text/plain",
+        })
+      );
+
+      await s3.handleFileUploadEvent(fileId);
+
+      expect(s3.files.updateAsync.args[0][1].$set.status).to.equal("error");
+      try {
+        await s3.s3Client.send(
+          new HeadObjectCommand({ Bucket: s3.bucketName, Key: "testFileKey" })
+        );
+        expect.fail("Object should have been removed");
+      } catch (error) {
+        expect(error.name).to.equal("NotFound");
+      }
+    });
+
+    it("should always remove invalid uploads of public instances", async function () {
+      const fileId = "testFileId";
+      s3.config.maxFileSize = 10;
+      s3.config.removeInvalidUploads = false;
+      s3.config.public = true;
+
+      sinon.stub(s3.files, "findOneAsync").resolves({
+        _id: fileId,
+        filename: "testFile.txt",
+        size: 17,
+        mimeType: "text/plain",
+        key: "testFileKey",
+        bucket: "testBucket",
+        status: "pending",
+      });
+      sinon.stub(s3.files, "updateAsync").resolves();
+
+      await s3.s3Client.send(
+        new PutObjectCommand({
+          Bucket: s3.bucketName,
+          Key: "testFileKey",
+          Body: "test file content",
+          ContentType: "text/plain",
+        })
+      );
+
+      try {
+        await s3.handleFileUploadEvent(fileId);
+      } finally {
+        s3.config.public = false;
+      }
+
+      expect(s3.files.updateAsync.args[0][1].$set.status).to.equal("error");
+      try {
+        await s3.s3Client.send(
+          new HeadObjectCommand({ Bucket: s3.bucketName, Key: "testFileKey" })
+        );
+        expect.fail("Object should have been removed");
+      } catch (error) {
+        expect(error.name).to.equal("NotFound");
+      }
     });
 
     it("should throw an error if file does not exist", async function () {
@@ -633,6 +3153,8 @@ describe("Test MeteorS3 class (Server)", function () {
       sinon.stub(s3.files, "findOneAsync").resolves({
         _id: fileId,
         filename: "testFile.txt",
+        size: 17,
+        mimeType: "text/plain",
         key: "testFileKey",
         bucket: "testBucket",
         status: "pending",
@@ -648,6 +3170,7 @@ describe("Test MeteorS3 class (Server)", function () {
           Bucket: s3.bucketName,
           Key: "testFileKey",
           Body: "test file content",
+          ContentType: "text/plain",
         })
       );
 
@@ -657,6 +3180,142 @@ describe("Test MeteorS3 class (Server)", function () {
 
       s3.onAfterUpload = undefined; // Reset the hook
     });
+
+    it("should not call onAfterUpload twice for the same object", async function () {
+      const onAfterUploadStub = sinon.stub();
+      s3.onAfterUpload = onAfterUploadStub;
+
+      const fileDoc = await s3.putFile({
+        data: Buffer.from("test file content"),
+        filename: "testFile.txt",
+        mimeType: "text/plain",
+      });
+      await s3.handleFileUploadEvent(fileDoc._id);
+
+      expect(onAfterUploadStub.calledOnce).to.be.true;
+    });
+  });
+
+  describe("putFile", function () {
+    it("should upload a buffer and create an uploaded file document", async function () {
+      const onAfterUploadStub = sinon.stub();
+      s3.onAfterUpload = onAfterUploadStub;
+
+      const fileDoc = await s3.putFile({
+        data: Buffer.from("test file content"),
+        filename: "report.txt",
+        mimeType: "text/plain",
+        meta: { generated: true },
+        userId: "testUser123",
+      });
+
+      expect(fileDoc.status).to.equal("uploaded");
+      expect(fileDoc.size).to.equal(17);
+      expect(fileDoc.ownerId).to.equal("testUser123");
+      expect(fileDoc.meta).to.deep.equal({ generated: true });
+      expect(onAfterUploadStub.calledOnce).to.be.true;
+
+      const dbDoc = await s3.files.findOneAsync(fileDoc._id);
+      expect(dbDoc.status).to.equal("uploaded");
+
+      const head = await s3.s3Client.send(
+        new HeadObjectCommand({ Bucket: s3.bucketName, Key: fileDoc.key })
+      );
+      expect(head.ContentLength).to.equal(17);
+    });
+
+    it("should call onAfterUpload once if the upload is confirmed concurrently", async function () {
+      const onAfterUploadStub = sinon.stub();
+      s3.onAfterUpload = onAfterUploadStub;
+      const { fileId } = await s3.getUploadUrl({
+        name: "report.txt",
+        size: 17,
+        type: "text/plain",
+      });
+      const { key } = await s3.files.findOneAsync(fileId);
+      await s3.s3Client.send(
+        new PutObjectCommand({
+          Bucket: s3.bucketName,
+          Key: key,
+          Body: "test file content",
+          ContentType: "text/plain",
+        })
+      );
+
+      const results = await Promise.all([
+        s3.handleFileUploadEvent(fileId, key),
+        s3.handleFileUploadEvent(fileId, key),
+      ]);
+
+      expect(onAfterUploadStub.calledOnce).to.be.true;
+      expect(results.map((fileDoc) => fileDoc.status)).to.deep.equal([
+        "uploaded",
+        "uploaded",
+      ]);
+    });
+
+    it("should upload a stream of unknown size", async function () {
+      const fileDoc = await s3.putFile({
+        data: Readable.from([Buffer.from("test "), Buffer.from("content")]),
+        filename: "stream.txt",
+        mimeType: "text/plain",
+      });
+
+      expect(fileDoc.status).to.equal("uploaded");
+      expect(fileDoc.size).to.equal(12);
+    });
+
+    it("should check the upload constraints", async function () {
+      s3.config.maxFileSize = 10;
+
+      try {
+        await s3.putFile({
+          data: Buffer.from("test file content"),
+          filename: "report.txt",
+        });
+        expect.fail("Should have thrown upload invalid error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-upload-invalid");
+      }
+      expect(await s3.files.countDocuments({})).to.equal(0);
+    });
+  });
+
+  describe("importFromUrl", function () {
+    it("should import a file from a URL", async function () {
+      const fileDoc = await s3.importFromUrl(
+        Meteor.absoluteUrl("download/testfile.txt"),
+        { meta: { imported: true } }
+      );
+
+      expect(fileDoc.status).to.equal("uploaded");
+      expect(fileDoc.filename).to.equal("testfile.txt");
+      expect(fileDoc.mimeType).to.equal("text/plain");
+      expect(fileDoc.size).to.equal(35);
+      expect(fileDoc.meta).to.deep.equal({ imported: true });
+    });
+
+    it("should stop downloads exceeding maxFileSize", async function () {
+      s3.config.maxFileSize = 10;
+
+      try {
+        await s3.importFromUrl(Meteor.absoluteUrl("download/testfile.txt"));
+        expect.fail("Should have thrown an error");
+      } catch (error) {
+        expect(error).to.be.instanceOf(Meteor.Error);
+      }
+      expect(await s3.files.countDocuments({})).to.equal(0);
+    });
+
+    it("should throw an error if the URL can not be fetched", async function () {
+      try {
+        // Nothing is listening on this port
+        await s3.importFromUrl("http://localhost:1/file.txt");
+        expect.fail("Should have thrown import failed error");
+      } catch (error) {
+        expect(error.error).to.equal("s3-import-failed");
+      }
+    });
   });
 
   describe("handlePermissionChecks", function () {
@@ -13,6 +13,12 @@ if (Meteor.isServer) {
     res.writeHead(200, { "Content-Type": "application/json" });
     res.end(JSON.stringify({ message: "File uploaded successfully" }));
   });
+
+  WebApp.handlers.post("/upload", (req, res) => {
+    // Simulate a successful form upload response
+    res.writeHead(204);
+    res.end();
+  });
 }
 
 describe("check test environment", function () {